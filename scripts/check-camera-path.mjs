@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Camera Path Check
+ *
+ * Samples camera paths from src/utils/cameraPath.js and asserts they stay
+ * roll-free (the camera's right axis horizontal, as Camera.orbit keeps it),
+ * pass through their keyframes and turn the short way round.
+ *
+ * Usage:
+ *   node scripts/check-camera-path.mjs
+ *
+ * Exits 1 if any check fails.
+ *
+ * Requires Node 20.19+ / 22.7+ (src/ is ES modules without a package.json).
+ */
+
+import { Camera } from '../src/core/Camera.js';
+import { sampleCameraPath } from '../src/utils/cameraPath.js';
+import { quatRotate } from '../src/utils/quaternion.js';
+
+const SAMPLES = 200;
+const EPSILON = 1e-9;
+
+let failures = 0;
+
+function check(name, ok, detail = '') {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+  if (!ok) failures++;
+}
+
+// Signed difference of two headings in degrees, wrapped into [-180, 180)
+const angleDiff = (a, b) => ((((a - b + 180) % 360) + 360) % 360) - 180;
+
+function keyframe(time, yaw, pitch, mode = 'orbit') {
+  const camera = new Camera({ yaw, pitch });
+  camera.setMode(mode);
+  return { time, camera: camera.toJSON(), params: {}, easing: 'easeInOut' };
+}
+
+const PATHS = [
+  { name: 'yaw 0 pitch 60 → yaw 150 pitch -30', keyframes: [keyframe(0, 0, 60), keyframe(2, 150, -30)] },
+  { name: 'across ±180 yaw', keyframes: [keyframe(0, 170, 10), keyframe(1, -170, 20)] },
+  { name: 'over the pole', keyframes: [keyframe(0, 30, 80), keyframe(1, 30, 120), keyframe(3, -90, -45)] },
+  { name: 'orbit → fly → orbit', keyframes: [keyframe(0, -60, 20), keyframe(1, 45, -10, 'fly'), keyframe(2, 120, 40)] },
+];
+
+for (const { name, keyframes } of PATHS) {
+  const duration = keyframes[keyframes.length - 1].time;
+  let maxRoll = 0;
+  let maxStep = 0;
+  let previous = null;
+  for (let i = 0; i <= SAMPLES; i++) {
+    const { orientation } = sampleCameraPath(keyframes, (duration * i) / SAMPLES).camera;
+    maxRoll = Math.max(maxRoll, Math.abs(quatRotate(orientation, [1, 0, 0])[1]));
+    const camera = new Camera();
+    camera.setState({ orientation });
+    if (previous) {
+      maxStep = Math.max(maxStep, Math.abs(angleDiff(camera.yaw, previous.yaw)), Math.abs(camera.pitch - previous.pitch));
+    }
+    previous = { yaw: camera.yaw, pitch: camera.pitch };
+  }
+  check(`${name}: right axis stays horizontal`, maxRoll < EPSILON, `max |right.y| ${maxRoll.toExponential(2)}`);
+  // A long-way-round turn would jump far more than a few degrees per sample
+  check(`${name}: turns the short way`, maxStep < 10, `largest step ${maxStep.toFixed(2)}°`);
+
+  const hits = keyframes.every((k) => {
+    const { orientation } = sampleCameraPath(keyframes, k.time).camera;
+    return orientation.every((v, i) => Math.abs(v - k.camera.orientation[i]) < 1e-9);
+  });
+  check(`${name}: passes through its keyframes`, hits);
+}
+
+if (failures > 0) {
+  console.error(`${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('Camera path checks passed');
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * CPU Reference Check
+ *
+ * Asserts computeStep() and reduceAverage() from src/core/CpuSimulation3D.js
+ * on fixed small inputs, so a change to the reference (or to the shared
+ * uniforms, seed and LUT code it runs on) is caught without a GPU. The
+ * browser's "vs CPU" button compares the WGSL against the same reference.
+ *
+ * Usage:
+ *   node scripts/check-cpu-reference.mjs
+ *
+ * Exits 1 if any check fails. Expected values were recorded from a reference
+ * that matched the GPU to one half-float ulp; if a change to the model is
+ * intended, re-check it with "vs CPU" in the browser before updating them.
+ *
+ * Requires Node 20.19+ / 22.7+ (src/ is ES modules without a package.json).
+ */
+
+import { DEFAULT_PARAMS, isTerrainEnabled } from '../src/config/defaults.js';
+import { TERRAIN_CHANNEL } from '../src/config/constants.js';
+import { CpuSimulation3D, computeStep, reduceAverage } from '../src/core/CpuSimulation3D.js';
+import { encodeHalfArray, roundHalf } from '../src/utils/halfFloat.js';
+import { gridCellCount } from '../src/utils/gridDims.js';
+
+// One step from the seed field; hash is FNV-1a over the rgba16float bits
+const STEP_CASES = [
+  {
+    name: 'one species, periodic, 16³',
+    gridSize: 16,
+    seed: 1234,
+    params: {},
+    sum: 175.5698772072792,
+    hash: 0x29b715bd,
+  },
+  {
+    name: 'two species + terrain, 26 neighbors, reflecting x / absorbing z, 6×8×10',
+    gridSize: [6, 8, 10],
+    seed: 99,
+    params: { speciesCount: 2, extendedMode: 1, neighborMode: 26, boundaryX: 2, boundaryZ: 1 },
+    sum: 491.6705574989319,
+    hash: 0x02b23097,
+  },
+];
+
+let failures = 0;
+
+function check(name, ok, detail = '') {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+  if (!ok) failures++;
+}
+
+function fnv1a(words) {
+  let h = 0x811c9dc5;
+  for (const w of words) {
+    h = Math.imul(h ^ (w & 0xff), 0x01000193);
+    h = Math.imul(h ^ (w >>> 8), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+for (const { name, gridSize, seed, params, sum, hash } of STEP_CASES) {
+  const sim = new CpuSimulation3D({ initialParams: { ...DEFAULT_PARAMS, ...params }, gridSize, seed });
+  const output = new Float32Array(sim.field.length);
+  computeStep(sim.field, output, sim.getUniforms());
+
+  const total = output.reduce((s, v) => s + v, 0);
+  check(`computeStep ${name}: energy sum`, Math.abs(total - sum) < 1e-9, `${total}`);
+  const bits = fnv1a(encodeHalfArray(output));
+  check(`computeStep ${name}: rgba16float bits`, bits === hash, `0x${bits.toString(16)}`);
+  check(
+    `computeStep ${name}: values are half floats in [0, 1]`,
+    output.every((v) => v >= 0 && v <= 1 && roundHalf(v) === v),
+  );
+  const terrain = isTerrainEnabled(sim.params);
+  check(
+    `computeStep ${name}: unused channels are 0`,
+    output.every((v, i) => i % 4 < sim.speciesCount || (terrain && i % 4 === TERRAIN_CHANNEL) || v === 0),
+  );
+}
+
+// Odd sizes give the reduction partial blocks at the far edges; the result is still the plain mean
+const dims = [5, 3, 7];
+const cells = gridCellCount(dims);
+const constant = new Float32Array(cells * 4).fill(0.25);
+check('reduceAverage constant field', reduceAverage(constant, dims) === 0.25);
+
+const ramp = new Float32Array(cells * 4);
+const means = [0, 0];
+for (let i = 0; i < cells; i++) {
+  ramp[i * 4] = (i % 11) / 10;
+  ramp[i * 4 + 1] = (i % 7) / 20;
+  ramp[i * 4 + 2] = 1; // not an active species in either check
+  means[0] += ramp[i * 4] / cells;
+  means[1] += (ramp[i * 4] + ramp[i * 4 + 1]) / cells;
+}
+[1, 2].forEach((species) => {
+  const average = reduceAverage(ramp, dims, species);
+  const expected = means[species - 1];
+  check(
+    `reduceAverage 5×3×7 ramp, ${species} species`,
+    Math.abs(average - expected) < 1e-6,
+    `${average} vs ${expected}`,
+  );
+});
+
+if (failures > 0) {
+  console.error(`${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('CPU reference checks passed');
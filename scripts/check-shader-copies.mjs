@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Shader Copy Check
+ *
+ * The shaders ship as src/shaders/*.wgsl.js (ES modules, no build step); some
+ * also have a plain .wgsl copy for reading and editor highlighting. This
+ * asserts every .wgsl copy is the same text as its module, template
+ * placeholders ({{WORKGROUP_X}} etc.) included.
+ *
+ * Usage:
+ *   node scripts/check-shader-copies.mjs          # check
+ *   node scripts/check-shader-copies.mjs --write  # rewrite the copies from the modules
+ *
+ * Exits 1 if a copy differs.
+ *
+ * Requires Node 20.19+ / 22.7+ (src/ is ES modules without a package.json).
+ */
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const SHADER_DIR = fileURLToPath(new URL('../src/shaders/', import.meta.url));
+const write = process.argv.includes('--write');
+
+let failures = 0;
+for (const file of readdirSync(SHADER_DIR).filter((f) => f.endsWith('.wgsl')).sort()) {
+  const path = join(SHADER_DIR, file);
+  const { default: source } = await import(pathToFileURL(`${path}.js`).href);
+  const expected = `${source}\n`;
+  if (readFileSync(path, 'utf8') === expected) {
+    console.log(`ok   ${file}`);
+  } else if (write) {
+    writeFileSync(path, expected);
+    console.log(`wrote ${file}`);
+  } else {
+    console.log(`FAIL ${file} differs from ${file}.js (run with --write to update it)`);
+    failures++;
+  }
+}
+
+if (failures > 0) {
+  console.error(`${failures} shader copy(s) out of date`);
+  process.exit(1);
+}
+console.log('Shader copies match their modules');
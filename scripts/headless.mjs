@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Headless Runner for the 3D Simulation
+ *
+ * Drives CpuSimulation3D from the command line (no index.html, canvas or
+ * navigator.gpu) for overnight parameter runs on servers.
+ *
+ * Usage:
+ *   node scripts/headless.mjs --params saved.json --steps 2000 --grid 32 --seed 1234 \
+ *     --out runs/example --dump-every 250
+ *
+ * Options:
+ *   --params      JSON file: either a params object or a "Save JSON" export
+ *                 ({ params, gridDims, seed }); missing keys use DEFAULT_PARAMS
+ *   --steps       Number of steps to run (default 1000)
+ *   --grid        Grid size, N for a cube or NXxNYxNZ (e.g. 128x128x32)
+ *                 (default: file's gridDims/gridSize, else DEFAULT_GRID_SIZE)
+ *   --seed        Run seed (default: file's seed, else 0)
+ *   --out         Output directory (default runs/<timestamp>)
+ *   --dump-every  Steps between field dumps; 0 disables (default 100)
+ *   --avg-every   Steps between time-series rows (default 1)
+ *
+ * Outputs (in --out):
+ *   run.json          Params, grid dimensions, seed, steps and dump layout
+ *                     (field.channels names the four components of each cell)
+ *   averages.csv      step, globalAverage (value fed to growth), mean, max of the
+ *                     energy summed over species, then mean_<channel> per used channel
+ *   field_<step>.f32  rgba field as little-endian float32, 4 per cell (species A-D,
+ *                     terrain in the last when on), x fastest then y then z
+ *
+ * Requires Node 20.19+ / 22.7+ (src/ is ES modules without a package.json).
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, appendFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { DEFAULT_PARAMS, SPECIES_LABELS, getActiveSpeciesCount, isTerrainEnabled } from '../src/config/defaults.js';
+import { DEFAULT_GRID_SIZE, TERRAIN_CHANNEL } from '../src/config/constants.js';
+import { CpuSimulation3D } from '../src/core/CpuSimulation3D.js';
+import { toGridDims, parseGridDims, formatGridDims } from '../src/utils/gridDims.js';
+
+function timestamp() {
+  const ts = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${ts.getFullYear()}${pad(ts.getMonth() + 1)}${pad(ts.getDate())}_${pad(ts.getHours())}${pad(ts.getMinutes())}${pad(ts.getSeconds())}`;
+}
+
+function readRunFile(path) {
+  if (!path) return {};
+  const parsed = JSON.parse(readFileSync(path, 'utf8'));
+  // "Save JSON" exports wrap params; bare params objects are accepted too
+  return parsed.params ? parsed : { params: parsed };
+}
+
+function toInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`--${name} must be a non-negative integer (got "${value}")`);
+  }
+  return n;
+}
+
+function fieldStats(energy) {
+  let sum = 0;
+  let max = 0;
+  for (let i = 0; i < energy.length; i++) {
+    sum += energy[i];
+    if (energy[i] > max) max = energy[i];
+  }
+  return { mean: sum / energy.length, max };
+}
+
+// Name of each rgba component: its species, 'terrain', or null when unused
+function channelLayout(params) {
+  const species = getActiveSpeciesCount(params);
+  const terrain = isTerrainEnabled(params);
+  return [0, 1, 2, 3].map((c) => {
+    if (terrain && c === TERRAIN_CHANNEL) return 'terrain';
+    return c < species ? SPECIES_LABELS[c] : null;
+  });
+}
+
+// Mean of each used component of an rgba field
+function channelMeans(field, channels) {
+  const sums = [0, 0, 0, 0];
+  for (let i = 0; i < field.length; i += 4) {
+    for (let c = 0; c < 4; c++) sums[c] += field[i + c];
+  }
+  const cells = field.length / 4;
+  return channels.flatMap((name, c) => (name ? [sums[c] / cells] : []));
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      params: { type: 'string' },
+      steps: { type: 'string', default: '1000' },
+      grid: { type: 'string' },
+      seed: { type: 'string' },
+      out: { type: 'string' },
+      'dump-every': { type: 'string', default: '100' },
+      'avg-every': { type: 'string', default: '1' },
+    },
+  });
+
+  const file = readRunFile(values.params);
+  const params = { ...DEFAULT_PARAMS, ...file.params };
+  delete params.globalAverage; // runtime state, always restarts from 0
+  const gridDims = values.grid
+    ? parseGridDims(values.grid)
+    : toGridDims(file.gridDims ?? file.gridSize ?? DEFAULT_GRID_SIZE);
+  const seed = toInt(values.seed ?? file.seed ?? 0, 'seed');
+  const steps = toInt(values.steps, 'steps');
+  const dumpEvery = toInt(values['dump-every'], 'dump-every');
+  const avgEvery = Math.max(1, toInt(values['avg-every'], 'avg-every'));
+  const outDir = resolve(values.out ?? join('runs', timestamp()));
+
+  const channels = channelLayout(params);
+  mkdirSync(outDir, { recursive: true });
+  writeFileSync(
+    join(outDir, 'run.json'),
+    JSON.stringify(
+      {
+        params,
+        gridDims,
+        seed,
+        steps,
+        dumpEvery,
+        field: { format: 'float32-le', order: 'x-fastest', dims: gridDims, components: 4, channels },
+        createdAt: new Date().toISOString(),
+      },
+      null,
+      2,
+    ),
+  );
+  const csvPath = join(outDir, 'averages.csv');
+  const channelColumns = channels.filter(Boolean).map((name) => `,mean_${name}`).join('');
+  writeFileSync(csvPath, `step,globalAverage,mean,max${channelColumns}\n`);
+
+  const sim = new CpuSimulation3D({ initialParams: params, gridSize: gridDims, seed });
+  const started = Date.now();
+
+  const record = () => {
+    if (sim.stepCount % avgEvery === 0) {
+      const { mean, max } = fieldStats(sim.getEnergy());
+      const perChannel = channelMeans(sim.field, channels).map((v) => `,${v}`).join('');
+      appendFileSync(csvPath, `${sim.stepCount},${sim.params.globalAverage || 0},${mean},${max}${perChannel}\n`);
+    }
+    if (dumpEvery > 0 && sim.stepCount % dumpEvery === 0) {
+      const name = `field_${String(sim.stepCount).padStart(6, '0')}.f32`;
+      const { field } = sim;
+      writeFileSync(join(outDir, name), new Uint8Array(field.buffer, field.byteOffset, field.byteLength));
+      const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+      console.error(`[${elapsed}s] step ${sim.stepCount}/${steps} → ${name}`);
+    }
+  };
+
+  record();
+  while (sim.stepCount < steps) {
+    sim.step();
+    record();
+  }
+  console.error(`Done: ${steps} steps of ${formatGridDims(gridDims)} (seed ${seed}) in ${outDir}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
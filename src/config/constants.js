@@ -1,22 +1,68 @@
+// Cube edge or [nx, ny, nz]; any other shape can be typed into the X/Y/Z inputs
 export const GRID_SIZE_PRESETS = [
   { label: '32³ (fastest)', value: 32 },
   { label: '64³ (fast)', value: 64 },
   { label: '96³ (safe)', value: 96 },
   { label: '128³', value: 128 },
   { label: '256³ (heavy)', value: 256 },
+  { label: '128×128×32 (slab)', value: [128, 128, 32] },
+  { label: '256×256×16 (thin slab)', value: [256, 256, 16] },
 ];
 
 export const DEFAULT_GRID_SIZE = 32;
+// Per-axis bounds of custom grids (256 is the largest preset). 11 cells keep
+// getKernelRadiusLimit at the Outer Radius slider's minimum of 5
+export const GRID_DIM_MIN = 11;
+export const GRID_DIM_MAX = 256;
 
-// 3D kernel radius kept small to contain sampling cost while preserving rule shape.
-export const KERNEL_SIZE = 10;
-export const GLOBAL_AVG_INTERVAL = 2; // frames between reductions
+// Kernel taps reach as far as each species' outerRadius (the loops are bounded at
+// run time). The radius is capped here and by the grid (see getKernelRadiusLimit).
+export const MAX_KERNEL_RADIUS = 15;
+// Halo of the tiled convolution's workgroup-memory slab; taps beyond it in x/y
+// are read from the texture instead (10 keeps an 8×8 slab under 16 KB)
+export const TILE_HALO = 10;
+// Samples in the outer-ring weight lookup texture (exp(-2t²), t ∈ [0, 1])
+export const KERNEL_LUT_SIZE = 256;
+export const GLOBAL_AVG_INTERVAL = 2; // steps between global-average samples
+// Steps before a sample takes effect. Must be a multiple of GLOBAL_AVG_INTERVAL and
+// at least the largest speed so readbacks can resolve across a frame boundary.
+export const GLOBAL_AVG_LATENCY = 6;
+
+// Simulated seconds per step (drives the fission chaos phase instead of the wall clock)
+export const SIM_TIME_STEP = 1 / 60;
+
+// Species live in the rgba channels of the field texture (A = red … D = alpha)
+export const MAX_SPECIES = 4;
+
+// Terrain (2D's G channel) takes over the last channel when enabled, leaving 3 species
+export const TERRAIN_CHANNEL = 3;
+export const TERRAIN_INITIAL_HEIGHT = 0.5;
 
 // Workgroup size for compute shaders (NVIDIA optimal: 8×8×4 = 256 threads)
 export const WORKGROUP_SIZE_X = 8;
 export const WORKGROUP_SIZE_Y = 8;
 export const WORKGROUP_SIZE_Z = 4;
 
+// Kernel convolution in the compute pass: 'direct' reads every tap from the texture,
+// 'tiled' stages z planes of the tile + halo in workgroup memory (same result, fewer reads),
+// 'fft' convolves the whole grid spectrally (power-of-two grids; for 128³ and up)
+export const CONVOLUTION_MODES = ['tiled', 'direct', 'fft'];
+export const DEFAULT_CONVOLUTION = 'tiled';
+
+// GPU vs CPU reference check (sim.compareWithCpu): the CPU step runs on the main thread
+// at ~1 s per step at 32³, so grids are capped there; fields agree within one half-float
+// ulp at energy 1 (2^-11)
+export const CPU_CHECK_STEPS = 1;
+export const CPU_CHECK_MAX_CELLS = 32 ** 3;
+export const CPU_CHECK_TOLERANCE = 2 ** -11;
+
+// Boundary condition per grid axis (params boundaryX/Y/Z hold the index):
+// 'periodic' wraps around (torus), 'absorbing' reads 0 past the face, 'reflecting'
+// mirrors the field at the face (no flux), 'fixed' holds boundaryValue in every
+// active species past the face
+export const BOUNDARY_MODES = ['periodic', 'absorbing', 'reflecting', 'fixed'];
+export const BOUNDARY_AXES = ['boundaryX', 'boundaryY', 'boundaryZ'];
+
 // CFL-style safety factor for 3D diffusion (stability depends on neighbor count)
 export const CFL_SCALES = {
   6: 1.0 / 6.0,      // 6-neighbor (face only)
@@ -24,6 +70,25 @@ export const CFL_SCALES = {
   26: 1.0 / 19.0,    // 26-neighbor (full cube): 6 + 12*0.7071 + 8*0.5774
 };
 
+// Volume rendering: 'mip' keeps the brightest sample along each ray, 'composite'
+// blends samples front to back (emission–absorption) through the opacity transfer function,
+// 'isosurface' shades the first crossing of isoLevel, 'slice' shows one axis-aligned cross-section
+export const RENDER_MODES = ['mip', 'composite', 'isosurface', 'slice'];
+// Slice depth params per axis (fraction 0–1 of the grid); sliceAxis indexes this list
+export const SLICE_AXES = ['sliceX', 'sliceY', 'sliceZ'];
+// Orthoview panels (Z, Y, X slices stacked at the right edge) take at most this share of the width
+export const ORTHOVIEW_MAX_WIDTH = 0.5;
+// Stereo views of the volume (stereoMode indexes this list): red-cyan 'anaglyph', 'sideBySide'
+// with the left eye on the left (parallel viewing, VR cardboard) and 'crossEye' with the eyes swapped
+export const STEREO_MODES = ['off', 'anaglyph', 'sideBySide', 'crossEye'];
+export const STEREO_MAX_SEPARATION = 0.2; // eyeSeparation slider bound, box units
+// Opacity transfer function control points, evenly spaced over energy 0–1
+export const TRANSFER_POINTS = 8;
+// Marching-cubes mesh export formats (Data → Export Mesh)
+export const MESH_FORMATS = ['obj', 'stl', 'ply'];
+// Energy volume export formats (Data → Export Volume): NRRD, VTK image data, raw .bin + .json
+export const VOLUME_FORMATS = ['nrrd', 'vti', 'raw'];
+
 // Ray marching and neighbor mode defaults
 export const DEFAULT_RAY_STEPS = 96;
 export const DEFAULT_NEIGHBOR_MODE = 6;
@@ -39,7 +104,67 @@ export const INITIAL_YAW = 0; // degrees
 export const INITIAL_PITCH = 0; // degrees
 export const INITIAL_DISTANCE = 2.2; // camera distance from center (outside volume)
 export const CAMERA_BOUNDS = { min: 1.2, max: 4.0 };
-export const PAN_SPEED = 0.35; // units per second for WASD pan
+export const PAN_SPEED = 0.35; // units per second for WASD pan (and fly-mode movement)
 export const ROTATE_SENSITIVITY = 0.004;
+// Camera (src/core/Camera.js): vertical field of view in degrees; 90 frames the box like the original fixed view
+export const CAMERA_DEFAULT_FOV = 90;
+export const CAMERA_FOV_RANGE = { min: 20, max: 120 };
+export const CAMERA_PROJECTIONS = ['perspective', 'orthographic'];
+// 'orbit' turns around a target in front of the camera, 'fly' turns in place and moves through the volume
+export const CAMERA_MODES = ['orbit', 'fly'];
+// How far the orbit target (or the fly-mode eye) may move from the box center, in box units
+export const CAMERA_PAN_LIMIT = 1.5;
+export const CAMERA_NEAR = 0.01; // clip planes of projectionMatrix()
+export const CAMERA_FAR = 100;
+// Touch gestures: release velocity is averaged over the last GESTURE_VELOCITY_WINDOW_MS of movement,
+// then decays by e^(-GESTURE_INERTIA_DECAY × seconds) until below GESTURE_INERTIA_STOP of its start
+export const GESTURE_VELOCITY_WINDOW_MS = 100;
+export const GESTURE_INERTIA_DECAY = 4;
+export const GESTURE_INERTIA_STOP = 0.02;
+// Camera paths (src/utils/cameraPath.js): easing of the move from each keyframe to the next,
+// and the spacing in seconds of keyframes added after the last one
+export const CAMERA_PATH_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+export const CAMERA_PATH_DEFAULT_EASING = 'easeInOut';
+export const CAMERA_PATH_DEFAULT_GAP = 2;
+
+// Mouse brushes (same modes and strengths as the 2D interaction texture)
+export const INTERACTION_MODES = ['energy', 'attract', 'repel'];
+export const INTERACTION_RADIUS = 4; // grid cells (sphere around the picked point)
+export const INTERACTION_MAX_RADIUS = 16;
+export const INTERACTION_WEIGHT_MULTIPLIER = 2.0; // kernel weight shift for attract/repel
+export const INTERACTION_ENERGY_AMOUNT = 0.1; // energy added per step at the brush center
+// Picking stops at the first ray sample whose total energy reaches this
+export const PICK_ENERGY_THRESHOLD = 0.3;
 
 export const SEED_ENERGY_MAX = 0.05;
+// Fraction of cells seeded at full energy. Uniform low noise alone always dies out
+// under the default params; these bursts give structures something to grow from.
+export const SEED_BURST_DENSITY = 0.12;
+
+// Batch explorer: sweeps run headless on the app's device at a small grid
+export const EXPLORER_GRID_SIZES = [16, 32];
+export const EXPLORER_DEFAULT_STEPS = 300;
+export const EXPLORER_MAX_RUNS = 256; // combinations per sweep
+export const EXPLORER_CHECK_INTERVAL = 50; // steps between extinction checks
+export const EXTINCTION_THRESHOLD = 1e-4; // mean energy below this counts as extinct
+
+// Time-series recorder: a field snapshot every N steps, oldest dropped past the capacity
+export const RECORD_DEFAULT_INTERVAL = 10; // steps between frames
+export const RECORD_DEFAULT_CAPACITY = 200; // frames kept
+export const RECORD_DOWNSAMPLE_OPTIONS = [1, 2, 4]; // box-average factor per axis
+
+// Sequence playback: recorded frames shown per second while playing
+export const PLAYBACK_DEFAULT_FPS = 10;
+export const PLAYBACK_FPS_OPTIONS = [2, 5, 10, 20, 30];
+
+// Video export: a frame every N simulated steps, timestamped at a fixed frame rate
+export const VIDEO_FPS_OPTIONS = [24, 30, 60];
+export const VIDEO_DEFAULT_FPS = 30;
+export const VIDEO_DEFAULT_STEPS_PER_FRAME = 1;
+export const VIDEO_BITRATE = 8000000; // bits per second
+export const VIDEO_KEYFRAME_SECONDS = 2; // keyframe spacing (seek granularity)
+// Preferred WebCodecs encoders, first supported wins; container names the WebM CodecID
+export const VIDEO_CODECS = [
+  { codec: 'vp09.00.10.08', container: 'vp9' },
+  { codec: 'vp8', container: 'vp8' },
+];
@@ -1,4 +1,70 @@
-// Default parameters mirror the 2D version (R channel only for now).
+import {
+  MAX_SPECIES,
+  MAX_KERNEL_RADIUS,
+  TERRAIN_CHANNEL,
+  BOUNDARY_MODES,
+  BOUNDARY_AXES,
+  TRANSFER_POINTS,
+  SLICE_AXES,
+  RENDER_MODES,
+  STEREO_MODES,
+} from './constants.js';
+import { toGridDims } from '../utils/gridDims.js';
+
+export const SPECIES_LABELS = ['A', 'B', 'C', 'D'];
+
+// Per-species kernel and growth keys. Species A uses these names as-is;
+// species B–D add their 1-based index (innerRadius2, growthRate4, …).
+export const SPECIES_KEYS = [
+  'innerRadius',
+  'innerStrength',
+  'outerRadius',
+  'outerStrength',
+  'growthCenter',
+  'growthWidth',
+  'growthRate',
+];
+
+/**
+ * Param key of a per-species setting
+ *
+ * @param {string} key - One of SPECIES_KEYS
+ * @param {number} species - 0-based species index
+ * @returns {string}
+ */
+export function speciesKey(key, species) {
+  return species === 0 ? key : `${key}${species + 1}`;
+}
+
+/**
+ * Param key of an interaction matrix entry
+ *
+ * @param {number} target - 0-based species whose potential is affected
+ * @param {number} source - 0-based species whose energy is sensed
+ * @returns {string} e.g. mix12 = how much B's energy counts in A's potential
+ */
+export function mixKey(target, source) {
+  return `mix${target + 1}${source + 1}`;
+}
+
+/**
+ * Param key of an opacity transfer function control point
+ *
+ * @param {number} index - 0-based point (energy index / (TRANSFER_POINTS − 1))
+ * @returns {string} e.g. tfOpacity3
+ */
+export function transferKey(index) {
+  return `tfOpacity${index}`;
+}
+
+// Species B–D start from A with different radii so they form distinct structures.
+const SPECIES_VARIANTS = [
+  { innerRadius: 2.6, outerRadius: 6.5 },
+  { innerRadius: 4.2, outerRadius: 9.5, outerStrength: -0.35 },
+  { innerRadius: 3.0, outerRadius: 8.5, growthCenter: -0.05 },
+];
+
+// Default parameters mirror the 2D version; species B–D are off (speciesCount 1).
 export const DEFAULT_PARAMS = {
   innerRadius: 3.3,
   innerStrength: 0.88,
@@ -17,13 +83,143 @@ export const DEFAULT_PARAMS = {
   energyRangeFilters: 0b1111, // 4 bits: low, mid-low, mid-high, high (all enabled by default)
   neighborMode: 6, // 6=face, 18=face+edge, 26=full cube
   raySteps: 96, // 64=fast, 96=balanced, 128=quality
+  speciesCount: 1, // 1–4 species in the r/g/b/a channels
+  // Terrain erosion/transport, ported from the 2D lifecycle shader (off by default in 3D)
+  extendedMode: 0, // 1 = terrain in the alpha channel, 0 = off
+  erosionThreshold: 0.8,
+  erosionRate: 0.139,
+  terrainDiffusion: 0.62,
+  overflowCap: 0.2,
+  overflowLeak: 0.05,
+  overflowNoise: 0.1,
+  terrainCostCoef: 0.0,
+  terrainRepelCoef: 0.03,
+  viewMode: 0, // 0=composite, 1=energy, 2=terrain (only differs while terrain is on)
+  renderMode: 0, // index into RENDER_MODES: 0=max intensity projection, 1=front-to-back composite, 2=isosurface, 3=slice
+  isoLevel: 0.3, // energy of the shaded surface (isosurface mode)
+  aoStrength: 0.6, // how much surrounding field darkens the isosurface (0 = no ambient occlusion)
+  sliceAxis: 2, // index into SLICE_AXES: the plane slice mode shows (0=YZ, 1=XZ, 2=XY)
+  // Slice depth along each axis, 0–1 of the grid (slice mode and the orthoview panels)
+  sliceX: 0.5,
+  sliceY: 0.5,
+  sliceZ: 0.5,
+  orthoview: 0, // 1 = X, Y and Z slice panels beside the main view
+  stereoMode: 0, // index into STEREO_MODES: 0=off, 1=red-cyan anaglyph, 2=side by side, 3=cross-eye
+  eyeSeparation: 0.06, // distance between the stereo eyes, box units (the box's longest side is 1)
+  // Boundary per axis, an index into BOUNDARY_MODES (0=periodic, 1=absorbing, 2=reflecting, 3=fixed)
+  boundaryX: 0,
+  boundaryY: 0,
+  boundaryZ: 0,
+  boundaryValue: 0.0, // energy held past 'fixed' faces
 };
 
+for (let s = 1; s < MAX_SPECIES; s++) {
+  SPECIES_KEYS.forEach((key) => {
+    DEFAULT_PARAMS[speciesKey(key, s)] = SPECIES_VARIANTS[s - 1][key] ?? DEFAULT_PARAMS[key];
+  });
+}
+// Interaction matrix: each species senses itself fully and competes mildly with the others
+for (let i = 0; i < MAX_SPECIES; i++) {
+  for (let j = 0; j < MAX_SPECIES; j++) {
+    DEFAULT_PARAMS[mixKey(i, j)] = i === j ? 1.0 : -0.2;
+  }
+}
+
+// Opacity per cell crossed at energies 0, 1/7, …, 1: faint halos stay see-through, cores occlude
+const DEFAULT_TRANSFER = [0.0, 0.0, 0.02, 0.06, 0.12, 0.25, 0.45, 0.7];
+DEFAULT_TRANSFER.forEach((opacity, i) => {
+  DEFAULT_PARAMS[transferKey(i)] = opacity;
+});
+
+// Keys that pick a mode, count or switch: they change in steps, never through in-between values
+const DISCRETE_PARAM_KEYS = new Set([
+  'paletteMode',
+  'energyRangeFilters',
+  'neighborMode',
+  'raySteps',
+  'speciesCount',
+  'extendedMode',
+  'viewMode',
+  'renderMode',
+  'sliceAxis',
+  'orthoview',
+  'stereoMode',
+  ...BOUNDARY_AXES,
+]);
+
+/**
+ * Whether a param takes only whole values from a fixed set (camera paths hold it, never blend it)
+ *
+ * @param {string} key - Param key
+ * @returns {boolean}
+ */
+export function isDiscreteParam(key) {
+  return DISCRETE_PARAM_KEYS.has(key);
+}
+
+// Keys that shape some species' kernel (the other SPECIES_KEYS only affect growth)
+const KERNEL_PARAM_KEYS = new Set();
+for (let s = 0; s < MAX_SPECIES; s++) {
+  SPECIES_KEYS.slice(0, 4).forEach((key) => KERNEL_PARAM_KEYS.add(speciesKey(key, s)));
+}
+
+/**
+ * Whether a param changes a species' kernel (radii or strengths)
+ *
+ * @param {string} key - Param key
+ * @returns {boolean}
+ */
+export function isKernelParam(key) {
+  return KERNEL_PARAM_KEYS.has(key);
+}
+
+const OUTER_RADIUS_KEYS = Array.from({ length: MAX_SPECIES }, (_, s) => speciesKey('outerRadius', s));
+
+/**
+ * Whether a param is some species' outerRadius (the kernel's extent)
+ *
+ * @param {string} key - Param key
+ * @returns {boolean}
+ */
+export function isKernelRadiusParam(key) {
+  return OUTER_RADIUS_KEYS.includes(key);
+}
+
+/**
+ * Largest outerRadius the simulation honors on a grid
+ *
+ * Past (n − 1) / 2 along the shortest axis the kernel would wrap around the
+ * torus onto itself.
+ *
+ * @param {number|number[]} gridSize - Cube edge or [nx, ny, nz]
+ * @returns {number}
+ */
+export function getKernelRadiusLimit(gridSize) {
+  return Math.min(MAX_KERNEL_RADIUS, Math.floor((Math.min(...toGridDims(gridSize)) - 1) / 2));
+}
+
+/**
+ * Clamp every species' outerRadius to getKernelRadiusLimit()
+ *
+ * @param {Object} params - Simulation params (not modified)
+ * @param {number|number[]} gridSize - Cube edge or [nx, ny, nz]
+ * @returns {{params:Object, clamped:string[]}} Clamped copy and the keys that changed
+ */
+export function clampKernelRadii(params, gridSize) {
+  const limit = getKernelRadiusLimit(gridSize);
+  const clamped = OUTER_RADIUS_KEYS.filter((key) => params[key] > limit);
+  const next = { ...params };
+  clamped.forEach((key) => {
+    next[key] = limit;
+  });
+  return { params: next, clamped };
+}
+
 export const PARAM_SPECS = [
   // Dynamic Tension
   { key: 'innerRadius', min: 1.0, max: 10.0, step: 0.1, label: 'Inner Radius' },
   { key: 'innerStrength', min: 0.0, max: 2.0, step: 0.01, label: 'Inner Strength' },
-  { key: 'outerRadius', min: 5.0, max: 15.0, step: 0.1, label: 'Outer Radius' },
+  { key: 'outerRadius', min: 5.0, max: MAX_KERNEL_RADIUS, step: 0.1, label: 'Outer Radius' },
   { key: 'outerStrength', min: -2.0, max: 0.0, step: 0.01, label: 'Outer Strength' },
   // Energy Economy
   { key: 'decayRate', min: 0.0, max: 1.0, step: 0.001, label: 'Decay Rate' },
@@ -37,4 +233,137 @@ export const PARAM_SPECS = [
   { key: 'suppressionFactor', min: 0.0, max: 2.0, step: 0.01, label: 'Suppression Factor' },
   { key: 'instabilityFactor', min: 0.0, max: 3.0, step: 0.01, label: 'Instability Factor' },
   { key: 'growthWidthNorm', min: 0.0, max: 4.0, step: 0.01, label: '3D Width Norm' },
+  // Terrain (same names as the 2D sliders; diffusion range widened to fit its default)
+  { key: 'erosionThreshold', min: 0.0, max: 1.0, step: 0.01, label: 'Erosion Threshold' },
+  { key: 'erosionRate', min: 0.0, max: 0.2, step: 0.001, label: 'Erosion Rate' },
+  { key: 'terrainDiffusion', min: 0.0, max: 1.0, step: 0.01, label: 'Terrain Diffusion' },
+  { key: 'overflowCap', min: 0.0, max: 0.5, step: 0.01, label: 'Overflow Cap' },
+  { key: 'overflowLeak', min: 0.0, max: 0.2, step: 0.001, label: 'Overflow Leak' },
+  { key: 'overflowNoise', min: 0.0, max: 0.5, step: 0.01, label: 'Overflow Noise' },
+  { key: 'terrainCostCoef', min: 0.0, max: 0.5, step: 0.001, label: 'Terrain Cost' },
+  { key: 'terrainRepelCoef', min: 0.0, max: 0.5, step: 0.001, label: 'Terrain Repel' },
 ];
+
+/**
+ * Whether the terrain channel is active
+ *
+ * @param {Object} params - Simulation params
+ * @returns {boolean}
+ */
+export function isTerrainEnabled(params) {
+  return (params.extendedMode ?? 0) > 0;
+}
+
+/**
+ * Boundary mode of each grid axis
+ *
+ * @param {Object} params - Simulation params
+ * @returns {number[]} [x, y, z] indices into BOUNDARY_MODES (unknown values read as periodic)
+ */
+export function getBoundaryModes(params) {
+  return BOUNDARY_AXES.map((key) => {
+    const mode = Math.round(params[key] ?? 0);
+    return mode >= 0 && mode < BOUNDARY_MODES.length ? mode : 0;
+  });
+}
+
+/**
+ * Whether every axis wraps around (the torus the FFT convolution assumes)
+ *
+ * @param {Object} params - Simulation params
+ * @returns {boolean}
+ */
+export function isFullyPeriodic(params) {
+  return getBoundaryModes(params).every((mode) => BOUNDARY_MODES[mode] === 'periodic');
+}
+
+/**
+ * Slice depth along each grid axis
+ *
+ * @param {Object} params - Simulation params
+ * @returns {number[]} [x, y, z] fractions of the grid in [0, 1] (missing ones sit mid-grid)
+ */
+export function getSliceDepths(params) {
+  return SLICE_AXES.map((key) => Math.min(1, Math.max(0, params[key] ?? 0.5)));
+}
+
+/**
+ * Stereo view of the volume (the slice render mode stays flat)
+ *
+ * @param {Object} params - Simulation params
+ * @returns {string} One of STEREO_MODES; unknown values read as 'off'
+ */
+export function getStereoMode(params) {
+  if (RENDER_MODES[params.renderMode] === 'slice') return 'off';
+  return STEREO_MODES[Math.round(params.stereoMode ?? 0)] ?? 'off';
+}
+
+/**
+ * Axis the slice render mode cuts across
+ *
+ * @param {Object} params - Simulation params
+ * @returns {number} 0, 1 or 2 (x, y, z); unknown values read as z
+ */
+export function getSliceAxis(params) {
+  const axis = Math.round(params.sliceAxis ?? 2);
+  return axis >= 0 && axis < SLICE_AXES.length ? axis : 2;
+}
+
+/**
+ * Opacity transfer function control points
+ *
+ * @param {Object} params - Simulation params
+ * @returns {number[]} TRANSFER_POINTS opacities in [0, 1] (missing points take the default)
+ */
+export function getTransferOpacities(params) {
+  return Array.from({ length: TRANSFER_POINTS }, (_, i) => {
+    const opacity = params[transferKey(i)] ?? DEFAULT_TRANSFER[i];
+    return Math.min(1, Math.max(0, opacity));
+  });
+}
+
+/**
+ * Species that actually run, after clamping and making room for terrain
+ *
+ * @param {Object} params - Simulation params
+ * @returns {number} 1 to MAX_SPECIES (at most TERRAIN_CHANNEL with terrain on)
+ */
+export function getActiveSpeciesCount(params) {
+  const max = isTerrainEnabled(params) ? TERRAIN_CHANNEL : MAX_SPECIES;
+  return Math.max(1, Math.min(max, Math.round(params.speciesCount || 1)));
+}
+
+/**
+ * Slider specs for one species' kernel and growth settings
+ *
+ * @param {number} species - 0-based species index (0 returns the base specs)
+ * @returns {Object[]}
+ */
+export function getSpeciesParamSpecs(species) {
+  return SPECIES_KEYS.map((key) => {
+    const spec = PARAM_SPECS.find((p) => p.key === key);
+    return { ...spec, key: speciesKey(key, species) };
+  });
+}
+
+/**
+ * Slider specs for the interaction matrix of the active species
+ *
+ * @param {number} count - Active species
+ * @returns {Object[]}
+ */
+export function getInteractionParamSpecs(count) {
+  const specs = [];
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < count; j++) {
+      specs.push({
+        key: mixKey(i, j),
+        min: -2.0,
+        max: 2.0,
+        step: 0.01,
+        label: `${SPECIES_LABELS[j]} → ${SPECIES_LABELS[i]}`,
+      });
+    }
+  }
+  return specs;
+}
@@ -0,0 +1,180 @@
+/**
+ * Batch Explorer
+ *
+ * Runs every combination of parameter ranges on a headless WebGPUSimulation3D
+ * (sharing the app's device) and collects summary metrics from the reduction
+ * pipeline: final mean energy, variance and survival/extinction.
+ */
+
+import {
+  PARAM_SPECS,
+  clampKernelRadii,
+  getKernelRadiusLimit,
+  isKernelRadiusParam,
+} from '../config/defaults.js';
+import {
+  EXPLORER_MAX_RUNS,
+  EXPLORER_CHECK_INTERVAL,
+  EXTINCTION_THRESHOLD,
+} from '../config/constants.js';
+import { toGridDims } from '../utils/gridDims.js';
+import { WebGPUSimulation3D } from './WebGPUSimulation3D.js';
+
+function decimalsOf(step) {
+  const text = String(step);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+function sweepValues(spec, min, max, count, upper) {
+  const lo = Math.min(upper, Math.max(spec.min, Math.min(min, max)));
+  const hi = Math.min(upper, Math.max(min, max));
+  const n = Math.max(1, Math.floor(count));
+  const decimals = decimalsOf(spec.step);
+  const values = [];
+  for (let i = 0; i < n; i++) {
+    const raw = n === 1 ? lo : lo + ((hi - lo) * i) / (n - 1);
+    // Snap to the slider step so a result can be reproduced from the UI
+    const snapped = Number((Math.round(raw / spec.step) * spec.step).toFixed(decimals));
+    if (!values.includes(snapped)) values.push(snapped);
+  }
+  return values;
+}
+
+/**
+ * Expand per-key ranges into every parameter combination
+ *
+ * Outer radii stop at getKernelRadiusLimit() of the sweep grid: larger ones
+ * would run the same clamped kernel as the limit itself.
+ *
+ * @param {{key:string, min:number, max:number, count:number}[]} ranges - Keys from PARAM_SPECS
+ * @param {number|number[]} [gridSize] - Sweep grid (no radius limit when omitted)
+ * @returns {Object[]} One partial params object per combination
+ *
+ * @example
+ * expandSweep([{ key: 'growthRate', min: 0.4, max: 0.8, count: 3 }]);
+ * // [{ growthRate: 0.4 }, { growthRate: 0.6 }, { growthRate: 0.8 }]
+ */
+export function expandSweep(ranges, gridSize) {
+  let combos = [{}];
+  for (const { key, min, max, count } of ranges) {
+    const spec = PARAM_SPECS.find((s) => s.key === key);
+    if (!spec) throw new Error(`Unknown parameter "${key}"`);
+    const upper = gridSize !== undefined && isKernelRadiusParam(key)
+      ? Math.min(spec.max, getKernelRadiusLimit(gridSize))
+      : spec.max;
+    const values = sweepValues(spec, min, max, count, upper);
+    combos = combos.flatMap((combo) => values.map((value) => ({ ...combo, [key]: value })));
+  }
+  return combos;
+}
+
+/**
+ * Maximum-intensity projection along z
+ *
+ * @param {Float32Array} energy - Energy, x fastest then y then z
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @returns {Float32Array} nx × ny image, x fastest
+ */
+export function mipProjection(energy, size) {
+  const [nx, ny, nz] = toGridDims(size);
+  const out = new Float32Array(nx * ny);
+  for (let z = 0; z < nz; z++) {
+    const slice = z * nx * ny;
+    for (let i = 0; i < nx * ny; i++) {
+      const e = energy[slice + i];
+      if (e > out[i]) out[i] = e;
+    }
+  }
+  return out;
+}
+
+export class BatchExplorer {
+  /**
+   * @param {Object} options
+   * @param {GPUDevice} options.device - Device to share (the app's)
+   * @param {Object} options.baseParams - Params for keys that are not swept
+   * @param {number} options.gridSize - Grid dimension for every run
+   * @param {number} options.steps - Steps per run
+   * @param {number} options.seed - Run seed (same for every combination)
+   */
+  constructor({ device, baseParams, gridSize, steps, seed }) {
+    this.device = device;
+    this.baseParams = { ...baseParams };
+    this.gridSize = gridSize;
+    this.steps = steps;
+    this.seed = seed;
+    this.cancelled = false;
+  }
+
+  /**
+   * Run the sweep
+   *
+   * @param {{key:string, min:number, max:number, count:number}[]} ranges
+   * @param {Function} [onResult] - Called as (result, index, total) after each run
+   * @returns {Promise<Object[]>} Results in sweep order (fewer if cancelled)
+   */
+  async run(ranges, onResult) {
+    const combos = expandSweep(ranges, this.gridSize);
+    if (combos.length > EXPLORER_MAX_RUNS) {
+      throw new Error(`Sweep has ${combos.length} combinations (max ${EXPLORER_MAX_RUNS})`);
+    }
+    this.cancelled = false;
+
+    const sim = new WebGPUSimulation3D({
+      canvas: null,
+      device: this.device,
+      initialParams: this.baseParams,
+      gridSize: this.gridSize,
+      seed: this.seed,
+    });
+    await sim.init();
+
+    const results = [];
+    try {
+      for (let i = 0; i < combos.length && !this.cancelled; i++) {
+        const result = { index: i, ...(await this.#runOne(sim, combos[i])) };
+        if (this.cancelled) break; // drop the partially run combination
+        results.push(result);
+        if (onResult) onResult(result, i, combos.length);
+      }
+    } finally {
+      sim.destroy();
+    }
+    return results;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async #runOne(sim, overrides) {
+    // Same radius clamp as the live simulation (base params may come from a larger grid)
+    const { params, clamped } = clampKernelRadii({ ...this.baseParams, ...overrides }, sim.gridDims);
+    sim.params = params;
+    sim.spectral?.invalidateKernel();
+    sim.reseed(this.seed);
+
+    let stats = await sim.measure();
+    let extinctAt = null;
+    while (sim.stepCount < this.steps && !this.cancelled) {
+      await sim.runSteps(Math.min(EXPLORER_CHECK_INTERVAL, this.steps - sim.stepCount));
+      stats = await sim.measure();
+      if (stats.mean < EXTINCTION_THRESHOLD) {
+        extinctAt = sim.stepCount; // stop early rather than run out the remaining steps
+        break;
+      }
+    }
+
+    return {
+      // Values actually run, so a row reproduces its run when applied
+      params: Object.fromEntries(Object.keys(overrides).map((key) => [key, params[key]])),
+      clamped,
+      mean: stats.mean,
+      variance: stats.variance,
+      survived: extinctAt === null,
+      extinctAt,
+      steps: sim.stepCount,
+      mip: mipProjection(await sim.readEnergy(), sim.gridDims),
+    };
+  }
+}
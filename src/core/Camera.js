@@ -0,0 +1,310 @@
+/**
+ * Camera
+ *
+ * Viewer camera for the volume box (longest axis 1, see gridExtent). It stores
+ * an orientation quaternion, a target (offset from the box center), the
+ * distance of the eye behind the target, a vertical field of view and a
+ * projection, and produces the view/projection matrices and the ray basis
+ * the render shader marches from.
+ *
+ * Camera space is x right, y down the screen, z forward (right-handed), so the
+ * default orientation looks along +z with +y downward, as the original
+ * yaw/pitch camera did. "Up" in the world is -y.
+ *
+ * - Orbit mode turns the eye around the target; fly mode has no distance
+ *   (the eye is the target), so turning looks around in place and moving
+ *   travels through the volume
+ * - Turning is roll-free: yaw about the world up axis, pitch about the camera's
+ *   own right axis, composed as quaternions so nothing locks at the poles
+ * - Orthographic views show tan(fov / 2) × distance either side of the view
+ *   axis, so switching projection keeps the framing
+ */
+
+import {
+  INITIAL_DISTANCE,
+  CAMERA_BOUNDS,
+  CAMERA_DEFAULT_FOV,
+  CAMERA_FOV_RANGE,
+  CAMERA_PROJECTIONS,
+  CAMERA_MODES,
+  CAMERA_PAN_LIMIT,
+  CAMERA_NEAR,
+  CAMERA_FAR,
+} from '../config/constants.js';
+import {
+  quatFromAxisAngle,
+  quatMultiply,
+  quatNormalize,
+  quatRotate,
+  quatFromYawPitch,
+  quatYawPitch,
+} from '../utils/quaternion.js';
+
+const WORLD_UP = [0, -1, 0];
+const DEG = Math.PI / 180;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+export class Camera {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.yaw] - Degrees about the world up axis
+   * @param {number} [options.pitch] - Degrees about the camera's right axis
+   * @param {number} [options.distance] - Eye distance behind the target (orbit mode)
+   * @param {number} [options.fov] - Vertical field of view in degrees
+   * @param {string} [options.projection] - One of CAMERA_PROJECTIONS
+   */
+  constructor({
+    yaw = 0,
+    pitch = 0,
+    distance = INITIAL_DISTANCE,
+    fov = CAMERA_DEFAULT_FOV,
+    projection = 'perspective',
+  } = {}) {
+    this.orientation = [0, 0, 0, 1];
+    this.target = [0, 0, 0];
+    this.distance = clamp(distance, CAMERA_BOUNDS.min, CAMERA_BOUNDS.max);
+    this.fov = fov;
+    this.projection = projection;
+    this.mode = 'orbit';
+    this.setYawPitch(yaw, pitch);
+  }
+
+  /** Camera right, down and forward axes in the world */
+  axes() {
+    return {
+      right: quatRotate(this.orientation, [1, 0, 0]),
+      down: quatRotate(this.orientation, [0, 1, 0]),
+      forward: quatRotate(this.orientation, [0, 0, 1]),
+    };
+  }
+
+  /** Degrees about the world up axis (0 looks along +z) */
+  get yaw() {
+    return quatYawPitch(this.orientation).yaw;
+  }
+
+  /** Degrees about the camera's right axis, in (-180, 180] (beyond ±90 the view is upside down) */
+  get pitch() {
+    return quatYawPitch(this.orientation).pitch;
+  }
+
+  /**
+   * @param {number} yawDeg - About the world up axis
+   * @param {number} pitchDeg - About the resulting right axis
+   */
+  setYawPitch(yawDeg, pitchDeg) {
+    this.orientation = quatFromYawPitch(yawDeg, pitchDeg);
+  }
+
+  /**
+   * Turn the camera (a pointer drag); orbit mode circles the target, fly mode looks around
+   *
+   * @param {number} yawRad - Added heading
+   * @param {number} pitchRad - Added pitch
+   */
+  orbit(yawRad, pitchRad) {
+    // Past the poles the camera is upside down; keep horizontal drags turning the way they look
+    const upsideDown = dot(this.axes().down, WORLD_UP) > 0;
+    const yaw = quatFromAxisAngle([0, 1, 0], upsideDown ? -yawRad : yawRad);
+    const pitch = quatFromAxisAngle([1, 0, 0], pitchRad);
+    // World-axis yaw on the left, local-axis pitch on the right: no roll accumulates
+    this.orientation = quatNormalize(quatMultiply(quatMultiply(yaw, this.orientation), pitch));
+  }
+
+  /**
+   * Wheel: orbit mode scales the distance within CAMERA_BOUNDS, fly mode moves along the view
+   *
+   * @param {number} delta - Positive moves away
+   */
+  zoom(delta) {
+    if (this.mode === 'fly') {
+      this.move(0, 0, -delta);
+      return;
+    }
+    this.distance = clamp(this.distance * (1 + delta), CAMERA_BOUNDS.min, CAMERA_BOUNDS.max);
+  }
+
+  /**
+   * Move the target (and the eye with it) along the camera axes
+   *
+   * @param {number} right - Box units to the right
+   * @param {number} up - Box units up the screen
+   * @param {number} forward - Box units along the view
+   */
+  move(right, up, forward) {
+    const axes = this.axes();
+    this.target = this.target.map((v, i) =>
+      clamp(
+        v + axes.right[i] * right - axes.down[i] * up + axes.forward[i] * forward,
+        -CAMERA_PAN_LIMIT,
+        CAMERA_PAN_LIMIT,
+      ),
+    );
+  }
+
+  /**
+   * Slide the view across the screen (a two-finger drag), so the plane through
+   * the target follows the fingers; fly mode slides as if at INITIAL_DISTANCE
+   *
+   * @param {number} dx - Fraction of the view height to the right
+   * @param {number} dy - Fraction of the view height down
+   */
+  pan(dx, dy) {
+    const depth = this.mode === 'fly' ? INITIAL_DISTANCE : this.distance;
+    const span = 2 * Math.tan((this.fov * DEG) / 2) * depth;
+    this.move(-dx * span, dy * span, 0);
+  }
+
+  /**
+   * Switch between orbit and fly mode without moving the view
+   *
+   * Fly mode puts the target on the eye. Back in orbit mode the target is the
+   * point on the view axis nearest the box center (at least CAMERA_BOUNDS.min ahead).
+   *
+   * @param {string} mode - One of CAMERA_MODES
+   */
+  setMode(mode) {
+    if (!CAMERA_MODES.includes(mode)) throw new Error(`Unknown camera mode: ${mode}`);
+    if (mode === this.mode) return;
+    const { forward } = this.axes();
+    const eye = this.target.map((v, i) => v - forward[i] * this.distance);
+    this.distance =
+      mode === 'fly' ? 0 : clamp(-dot(eye, forward), CAMERA_BOUNDS.min, CAMERA_BOUNDS.max);
+    this.target = eye.map((v, i) => clamp(v + forward[i] * this.distance, -CAMERA_PAN_LIMIT, CAMERA_PAN_LIMIT));
+    this.mode = mode;
+  }
+
+  /** @param {number} fovDeg - Clamped to CAMERA_FOV_RANGE */
+  setFov(fovDeg) {
+    this.fov = clamp(fovDeg, CAMERA_FOV_RANGE.min, CAMERA_FOV_RANGE.max);
+  }
+
+  /** @param {string} projection - One of CAMERA_PROJECTIONS */
+  setProjection(projection) {
+    if (!CAMERA_PROJECTIONS.includes(projection)) throw new Error(`Unknown projection: ${projection}`);
+    this.projection = projection;
+  }
+
+  /**
+   * @param {number[]} center - Box center in world units (gridExtent / 2)
+   * @returns {number[]} Eye position in world units
+   */
+  eye(center) {
+    const { forward } = this.axes();
+    return center.map((c, i) => c + this.target[i] - forward[i] * this.distance);
+  }
+
+  /**
+   * Half the view's height at unit depth (perspective) or in world units (orthographic)
+   *
+   * @returns {number}
+   */
+  #halfHeight() {
+    const tan = Math.tan((this.fov * DEG) / 2);
+    if (this.projection === 'perspective') return tan;
+    // Fly mode has no distance to frame by; show as much as the default orbit does
+    return tan * (this.mode === 'fly' ? INITIAL_DISTANCE : this.distance);
+  }
+
+  /**
+   * World → camera space (x right, y down, z forward), column-major
+   *
+   * @param {number[]} center - Box center in world units
+   * @returns {Float32Array} 4×4 matrix
+   */
+  viewMatrix(center) {
+    const { right: r, down: d, forward: f } = this.axes();
+    const e = this.eye(center);
+    // Rows are the camera axes; the translation moves the eye to the origin
+    return new Float32Array([
+      r[0], d[0], f[0], 0,
+      r[1], d[1], f[1], 0,
+      r[2], d[2], f[2], 0,
+      -dot(r, e), -dot(d, e), -dot(f, e), 1,
+    ]);
+  }
+
+  /**
+   * Camera space → WebGPU clip space (y up, depth 0–1 between CAMERA_NEAR and CAMERA_FAR), column-major
+   *
+   * @param {number} aspect - Viewport width / height
+   * @returns {Float32Array} 4×4 matrix
+   */
+  projectionMatrix(aspect) {
+    const h = this.#halfHeight();
+    const w = h * aspect;
+    const range = CAMERA_FAR - CAMERA_NEAR;
+    return this.projection === 'perspective'
+      ? new Float32Array([
+          1 / w, 0, 0, 0,
+          0, -1 / h, 0, 0,
+          0, 0, CAMERA_FAR / range, 1,
+          0, 0, (-CAMERA_FAR * CAMERA_NEAR) / range, 0,
+        ])
+      : new Float32Array([
+          1 / w, 0, 0, 0,
+          0, -1 / h, 0, 0,
+          0, 0, 1 / range, 0,
+          0, 0, -CAMERA_NEAR / range, 1,
+        ]);
+  }
+
+  /**
+   * The inverse of the view and projection in the form the render shader reads
+   * (SimParams.view): a pixel at ndc (x, y down) has
+   * - perspective: origin = eye, dir = normalize(forward + x·sx·right + y·sy·down)
+   * - orthographic: origin = eye + x·sx·right + y·sy·down, dir = forward
+   *
+   * The focus is the distance at which stereo eyes converge: the target in
+   * orbit mode, INITIAL_DISTANCE ahead in fly mode. An eye shifted by s along
+   * right moves the origin by s·right and the unnormalized dir by -(s / focus)·right.
+   *
+   * @param {number} aspect - Viewport width / height
+   * @param {number[]} center - Box center in world units
+   * @returns {number[][]} [[right, sx], [down, sy], [forward, orthographic ? 1 : 0], [eye, focus]]
+   */
+  rayBasis(aspect, center) {
+    const { right, down, forward } = this.axes();
+    const h = this.#halfHeight();
+    return [
+      [...right, h * aspect],
+      [...down, h],
+      [...forward, this.projection === 'orthographic' ? 1 : 0],
+      [...this.eye(center), this.mode === 'fly' ? INITIAL_DISTANCE : this.distance],
+    ];
+  }
+
+  /** Plain-object state, for bookmarks and the JSON export */
+  toJSON() {
+    return {
+      orientation: [...this.orientation],
+      target: [...this.target],
+      distance: this.distance,
+      fov: this.fov,
+      projection: this.projection,
+      mode: this.mode,
+    };
+  }
+
+  /**
+   * Restore a toJSON() state (missing fields keep their current value)
+   *
+   * @param {Object} state
+   */
+  setState({ orientation, target, distance, fov, projection, mode } = {}) {
+    if (mode !== undefined) {
+      if (!CAMERA_MODES.includes(mode)) throw new Error(`Unknown camera mode: ${mode}`);
+      this.mode = mode;
+    }
+    if (projection !== undefined) this.setProjection(projection);
+    if (fov !== undefined) this.setFov(fov);
+    if (orientation?.length === 4) this.orientation = quatNormalize(orientation.map(Number));
+    if (target?.length === 3) {
+      this.target = target.map((v) => clamp(Number(v), -CAMERA_PAN_LIMIT, CAMERA_PAN_LIMIT));
+    }
+    if (distance !== undefined) this.distance = Number(distance);
+    this.distance = this.mode === 'fly' ? 0 : clamp(this.distance, CAMERA_BOUNDS.min, CAMERA_BOUNDS.max);
+  }
+}
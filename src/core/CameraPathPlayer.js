@@ -0,0 +1,154 @@
+/**
+ * Camera Path Player
+ *
+ * Keyframe editor and timeline for a camera path (src/utils/cameraPath.js)
+ * shown on a WebGPUSimulation3D: keyframes capture the current camera and the
+ * chosen param values, and playing or seeking puts the interpolated camera
+ * and params back on the simulation. The simulation keeps running; only the
+ * view (and the keyed params) follow the path.
+ *
+ * VideoRecorder can drive it frame by frame (seek() per video frame) instead
+ * of play(), so a clip follows the path at the clip's own frame rate.
+ */
+
+import { CAMERA_PATH_DEFAULT_EASING, CAMERA_PATH_EASINGS } from '../config/constants.js';
+import { sampleCameraPath, parseCameraPath } from '../utils/cameraPath.js';
+
+// Keyframes this close in time are the same keyframe
+const TIME_EPSILON = 1e-3;
+
+export class CameraPathPlayer {
+  /**
+   * @param {WebGPUSimulation3D} sim - Simulation whose camera and params follow the path
+   */
+  constructor(sim) {
+    this.sim = sim;
+    this.keyframes = [];
+    this.time = 0;
+    this.playing = false;
+    this.loop = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+    // Called after every seek, keyframe edit, play/pause
+    this.onChange = null;
+  }
+
+  /** Time of the last keyframe, in seconds */
+  get duration() {
+    return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+  }
+
+  /** Params set by any keyframe */
+  get paramKeys() {
+    return [...new Set(this.keyframes.flatMap((k) => Object.keys(k.params)))];
+  }
+
+  /**
+   * Key the current camera (and current values of some params) at a time,
+   * replacing a keyframe already there
+   *
+   * @param {number} time - Seconds
+   * @param {Object} [options]
+   * @param {string[]} [options.paramKeys] - Params whose current values the keyframe sets
+   * @param {string} [options.easing] - Move to the next keyframe, one of CAMERA_PATH_EASINGS
+   * @returns {number} Index of the keyframe
+   */
+  addKeyframe(time, { paramKeys = [], easing = CAMERA_PATH_DEFAULT_EASING } = {}) {
+    if (!(time >= 0)) throw new Error('Keyframe time must be 0 or more seconds');
+    if (!CAMERA_PATH_EASINGS.includes(easing)) throw new Error(`Unknown easing: ${easing}`);
+    const params = {};
+    for (const key of paramKeys) {
+      if (!(key in this.sim.params)) throw new Error(`Unknown param: ${key}`);
+      params[key] = this.sim.params[key];
+    }
+    const keyframe = { time, camera: this.sim.camera.toJSON(), params, easing };
+    this.keyframes = this.keyframes.filter((k) => Math.abs(k.time - time) > TIME_EPSILON);
+    this.keyframes.push(keyframe);
+    this.keyframes.sort((a, b) => a.time - b.time);
+    this.time = time;
+    this.#notify();
+    return this.keyframes.indexOf(keyframe);
+  }
+
+  /**
+   * @param {number} index - Keyframe to drop
+   */
+  removeKeyframe(index) {
+    this.keyframes.splice(index, 1);
+    this.time = Math.min(this.time, this.duration);
+    this.#notify();
+  }
+
+  /**
+   * Replace the path (e.g. from a loaded JSON export)
+   *
+   * @param {Object[]} keyframes - Saved keyframes (see parseCameraPath)
+   */
+  setKeyframes(keyframes) {
+    this.pause();
+    this.keyframes = parseCameraPath(keyframes);
+    this.time = 0;
+    this.#notify();
+  }
+
+  /** Keyframes as saved with the JSON export */
+  toJSON() {
+    return this.keyframes;
+  }
+
+  /**
+   * Put the path's camera and params at a time on the simulation
+   *
+   * @param {number} time - Seconds (clamped to the path)
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(this.duration, time));
+    const sample = sampleCameraPath(this.keyframes, this.time);
+    if (sample) {
+      this.sim.setCameraState(sample.camera);
+      for (const [key, value] of Object.entries(sample.params)) {
+        if (this.sim.params[key] !== value) this.sim.updateParam(key, value);
+      }
+    }
+    this.#notify();
+  }
+
+  play() {
+    if (this.playing || this.keyframes.length < 2) return;
+    // Playing from the end without looping starts over
+    if (!this.loop && this.time >= this.duration) this.time = 0;
+    this.playing = true;
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame((now) => this.#advance(now));
+    this.#notify();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.#notify();
+  }
+
+  #advance(now) {
+    if (!this.playing) return;
+    const dt = Math.max(0, now - this.lastFrameTime) / 1000;
+    this.lastFrameTime = now;
+    let time = this.time + dt;
+    if (time >= this.duration) {
+      if (!this.loop) {
+        this.seek(this.duration);
+        this.pause();
+        return;
+      }
+      time %= this.duration;
+    }
+    this.seek(time);
+    this.frameId = requestAnimationFrame((t) => this.#advance(t));
+  }
+
+  #notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
@@ -0,0 +1,509 @@
+/**
+ * CPU Reference Implementation of the 3D Compute Step
+ *
+ * Pure JavaScript mirror of src/shaders/compute.wgsl.js, used as a known-good
+ * oracle for the WGSL and to run small grids headless (Node, no GPU).
+ *
+ * Mirrored exactly:
+ * - Spherical kernel with the same loop bounds and iteration order
+ * - Outer ring weights read from the same LUT (createKernelWeightLUTData)
+ * - Growth bell with fission, quadratic metabolism, 6/18/26-neighbor Laplacian
+ * - hash31 noise with u32 wrapping arithmetic, per-step seed from buildSimUniforms
+ * - rgba16float storage: every written value is rounded to half precision
+ * - Global average via the same 2×2×2 reduction chain and step schedule
+ * - Per-species kernels, interaction matrix and noise offsets (r/g/b/a channels)
+ * - Terrain erosion/transport in the alpha channel (extendedMode)
+ * - Mouse brush uniforms (energy injection, attract/repel weight shift)
+ * - Per-axis boundary modes (periodic, absorbing, reflecting, fixed)
+ *
+ * Accumulation runs in f64 rather than f32, so results agree with the GPU to
+ * within half-float rounding (occasionally one ulp), not bit for bit.
+ */
+
+import { DEFAULT_PARAMS, getActiveSpeciesCount, isTerrainEnabled } from '../config/defaults.js';
+import {
+  DEFAULT_GRID_SIZE,
+  SEED_ENERGY_MAX,
+  INITIAL_DISTANCE,
+  TERRAIN_CHANNEL,
+  BOUNDARY_MODES,
+} from '../config/constants.js';
+import { buildSimUniforms } from '../utils/bufferUtils.js';
+import { createSeedData, createKernelWeightLUTData, sumSpeciesEnergy } from '../utils/textureUtils.js';
+import { roundHalf } from '../utils/halfFloat.js';
+import { normalizeSeed } from '../utils/random.js';
+import { isAverageSampleStep, averageSampleDueAt } from '../utils/averageSchedule.js';
+import { toGridDims, gridCellCount, halveGridDims } from '../utils/gridDims.js';
+
+const f32 = Math.fround;
+const LUT = createKernelWeightLUTData().filter((_, i) => i % 4 === 0).map(f32);
+const EDGE_WEIGHT = f32(0.7071);
+const CORNER_WEIGHT = f32(0.5774);
+
+// Camera values only matter for rendering; compute ignores them.
+const COMPUTE_CAMERA = { yaw: 0, pitch: 0, distance: INITIAL_DISTANCE, offsetX: 0, offsetY: 0 };
+
+const EDGE_OFFSETS = [
+  [1, 1, 0], [1, -1, 0], [-1, 1, 0], [-1, -1, 0],
+  [1, 0, 1], [1, 0, -1], [-1, 0, 1], [-1, 0, -1],
+  [0, 1, 1], [0, 1, -1], [0, -1, 1], [0, -1, -1],
+];
+const CORNER_OFFSETS = [
+  [1, 1, 1], [1, 1, -1], [1, -1, 1], [1, -1, -1],
+  [-1, 1, 1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1],
+];
+
+function kernelWeight(dist, innerRadius, innerStrength, outerRadius, outerStrength) {
+  let weight = 0.0;
+  if (dist < innerRadius) {
+    const t = 1.0 - dist / innerRadius;
+    weight += innerStrength * t * t;
+  }
+  const ringStart = innerRadius + 1.0;
+  const ringEnd = outerRadius;
+  if (dist > ringStart && dist < ringEnd) {
+    const t = (dist - ringStart) / (ringEnd - ringStart);
+    weight += outerStrength * LUT[Math.trunc(t * 255.0)];
+  }
+  return weight;
+}
+
+function growthFunction(potential, currentEnergy, center, width, threshold, instability) {
+  const x = (potential - center) / width;
+  let bell = Math.exp(-x * x * 0.5);
+  if (currentEnergy > threshold) {
+    const excess = (currentEnergy - threshold) / (1.0 - threshold);
+    bell -= excess * instability;
+  }
+  return bell;
+}
+
+function hash31(x, y, z) {
+  let h = (Math.imul(x, 0x1e35a7bd) + Math.imul(y, 0x94d049bb) + Math.imul(z, 0x5bd1e995)) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d) >>> 0;
+  h = (h ^ (h >>> 12)) >>> 0;
+  return (h & 0x007fffff) / 0x00800000;
+}
+
+/**
+ * Enumerate kernel taps in the shader's loop order
+ *
+ * @param {Object} uniforms - Output of buildSimUniforms
+ * @param {number} [species=0] - Species whose kernel shape to use
+ * @returns {{dx:Int32Array, dy:Int32Array, dz:Int32Array, w:Float64Array, totalWeight:number}}
+ */
+export function buildKernelTaps(uniforms, species = 0) {
+  const [innerRadius, innerStrength, outerRadius, outerStrength] = uniforms.speciesInner[species].map(f32);
+  const dx = [];
+  const dy = [];
+  const dz = [];
+  const w = [];
+  let totalWeight = 0.0;
+  // kernelReach(): the z loop follows outerRadius like the dy/dx bounds
+  const reach = Math.ceil(f32(Math.sqrt(f32(outerRadius * outerRadius))));
+
+  for (let z = -reach; z <= reach; z++) {
+    const r2yz = f32(f32(outerRadius * outerRadius) - z * z);
+    if (r2yz < 0.0) continue;
+    const dyMax = Math.ceil(f32(Math.sqrt(r2yz)));
+    for (let y = -dyMax; y <= dyMax; y++) {
+      const r2x = f32(r2yz - y * y);
+      if (r2x < 0.0) continue;
+      const dxMax = Math.ceil(f32(Math.sqrt(r2x)));
+      for (let x = -dxMax; x <= dxMax; x++) {
+        const dist = f32(Math.sqrt(x * x + y * y + z * z));
+        if (dist <= outerRadius) {
+          const weight = kernelWeight(dist, innerRadius, innerStrength, outerRadius, outerStrength);
+          dx.push(x);
+          dy.push(y);
+          dz.push(z);
+          w.push(weight);
+          totalWeight += Math.abs(weight);
+        }
+      }
+    }
+  }
+
+  return {
+    dx: Int32Array.from(dx),
+    dy: Int32Array.from(dy),
+    dz: Int32Array.from(dz),
+    w: Float64Array.from(w),
+    totalWeight,
+  };
+}
+
+// Index table so boundary lookups are a single array read: table[c + pad] is c
+// folded like boundaryCoord() in the shader, or -1 past a wall (absorbing, fixed)
+function boundaryTable(dim, pad, mode) {
+  const table = new Int32Array(dim + pad * 2);
+  for (let i = 0; i < table.length; i++) {
+    const c = i - pad;
+    if (BOUNDARY_MODES[mode] === 'periodic') {
+      table[i] = ((c % dim) + dim) % dim;
+    } else if (BOUNDARY_MODES[mode] === 'reflecting') {
+      const v = ((c % (2 * dim)) + 2 * dim) % (2 * dim);
+      table[i] = v >= dim ? 2 * dim - 1 - v : v;
+    } else {
+      table[i] = c >= 0 && c < dim ? c : -1;
+    }
+  }
+  return table;
+}
+
+/**
+ * Advance an rgba field by one step (mirror of compute.wgsl.js `main`)
+ *
+ * @param {Float32Array} input - rgba values, x fastest then y then z
+ * @param {Float32Array} output - Destination, same layout (must not alias input)
+ * @param {Object} uniforms - Output of buildSimUniforms for this step
+ * @param {Object} [options]
+ * @param {Object[]} [options.taps] - Precomputed buildKernelTaps result per species
+ */
+export function computeStep(input, output, uniforms, { taps } = {}) {
+  const [nx, ny, nz] = uniforms.dims;
+  const suppressionFactor = f32(uniforms.growthA[3]);
+  const [globalAverage, decayRate, diffusionRate, fissionThreshold] = uniforms.economy.map(f32);
+  const [instability, , neighborMode] = uniforms.instab.map(f32);
+  const seed = uniforms.misc[3] >>> 0;
+  const time = f32(uniforms.camera[2]);
+  const speciesCount = Math.trunc(uniforms.species[0]);
+  const terrainOn = uniforms.species[1] > 0.5;
+  const [erosionThreshold, erosionRate, terrainDiffusion, overflowCap] = uniforms.terrainA.map(f32);
+  const [overflowLeak, overflowNoise] = uniforms.terrainB.map(f32);
+  const terrainCostCoef = terrainOn ? f32(uniforms.terrainB[2]) : 0.0;
+  const terrainRepelCoef = terrainOn ? f32(uniforms.terrainB[3]) : 0.0;
+  const leakSeed = (seed + Math.imul(TERRAIN_CHANNEL, 0x9e3779b9)) >>> 0;
+  const [brushX, brushY, brushZ, brushRadius] = uniforms.brush.map(f32);
+  const [brushEnergyAmount, brushShiftAmount] = uniforms.brushMode.map(f32);
+  const boundaryModes = uniforms.boundary.slice(0, 3).map(Math.round);
+  const periodic = boundaryModes.map((mode) => BOUNDARY_MODES[mode] === 'periodic');
+  const brushIntensity = (x, y, z) => {
+    if (brushRadius <= 0.0) return 0.0;
+    const wrap = (d, n, axis) => (periodic[axis] ? Math.min(Math.abs(d), n - Math.abs(d)) : Math.abs(d));
+    const dist = Math.hypot(wrap(x - brushX, nx, 0), wrap(y - brushY, ny, 1), wrap(z - brushZ, nz, 2));
+    return dist < brushRadius ? 1.0 - dist / brushRadius : 0.0;
+  };
+
+  const species = [];
+  let maxOuterRadius = 0;
+  for (let s = 0; s < speciesCount; s++) {
+    const [growthCenter, growthWidth, growthRate, growthWidthNorm] = uniforms.speciesGrowth[s].map(f32);
+    species.push({
+      taps: taps?.[s] ?? buildKernelTaps(uniforms, s),
+      growthCenter,
+      growthRate,
+      widthEff: Math.max(1e-6, f32(growthWidth * growthWidthNorm)),
+      mix: uniforms.interaction[s].map(f32),
+      noiseSeed: (seed + Math.imul(s, 0x9e3779b9)) >>> 0,
+    });
+    maxOuterRadius = Math.max(maxOuterRadius, uniforms.speciesInner[s][2]);
+  }
+
+  // Tap offsets never exceed ceil(outerRadius) on any axis
+  const pad = Math.ceil(maxOuterRadius) + 1;
+  const [wx, wy, wz] = [nx, ny, nz].map((n, axis) => boundaryTable(n, pad, boundaryModes[axis]));
+
+  // Reads past a wall land on one of two texels appended after the field, as in
+  // loadEnergy(): zero if any crossed face absorbs, else the fixed value per active species
+  let src = input;
+  const wallOffset = nx * ny * nz * 4;
+  const zeroOffset = wallOffset + 4;
+  const absorbing = boundaryModes.map((mode) => BOUNDARY_MODES[mode] === 'absorbing');
+  if (!periodic.every(Boolean)) {
+    src = new Float32Array(wallOffset + 8);
+    src.set(input);
+    src.fill(f32(uniforms.boundary[3]), wallOffset, wallOffset + speciesCount);
+  }
+  const offset = (x, y, z) => {
+    const ix = wx[x + pad];
+    const iy = wy[y + pad];
+    const iz = wz[z + pad];
+    if (ix < 0 || iy < 0 || iz < 0) {
+      return (ix < 0 && absorbing[0]) || (iy < 0 && absorbing[1]) || (iz < 0 && absorbing[2])
+        ? zeroOffset
+        : wallOffset;
+    }
+    return (ix + nx * (iy + ny * iz)) * 4;
+  };
+  const conv = new Float64Array(speciesCount);
+
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const idx = (x + nx * (y + ny * z)) * 4;
+        const terrain = terrainOn ? input[idx + TERRAIN_CHANNEL] : 0.0;
+        const brush = brushIntensity(x, y, z);
+        const brushShift = brush * brushShiftAmount;
+        let totalEnergy = 0.0;
+        let laplacianSum = 0.0;
+
+        for (let s = 0; s < speciesCount; s++) {
+          const { taps: kernelTaps, growthCenter, growthRate, widthEff, mix, noiseSeed } = species[s];
+          const currentEnergy = input[idx + s];
+
+          // 1. Weighted potential: this species' kernel over every species, mixed by the interaction row
+          conv.fill(0.0);
+          // Terrain repulsion and the brush change weights per cell, so the total is recomputed only then
+          const perCellWeights = terrainRepelCoef !== 0.0 || brushShift !== 0.0;
+          let totalWeight = perCellWeights ? 0.0 : kernelTaps.totalWeight;
+          for (let t = 0; t < kernelTaps.w.length; t++) {
+            const o = offset(x + kernelTaps.dx[t], y + kernelTaps.dy[t], z + kernelTaps.dz[t]);
+            let w = kernelTaps.w[t];
+            if (perCellWeights) {
+              w = w - terrainRepelCoef * (src[o + TERRAIN_CHANNEL] - terrain) + brushShift;
+              totalWeight += Math.abs(w);
+            }
+            for (let j = 0; j < speciesCount; j++) conv[j] += src[o + j] * w;
+          }
+          let potential = 0.0;
+          for (let j = 0; j < speciesCount; j++) {
+            potential += mix[j] * (totalWeight > 0.0 ? conv[j] / totalWeight : conv[j]);
+          }
+
+          // 2. Growth function
+          let growth =
+            growthFunction(potential, currentEnergy, growthCenter, widthEff, fissionThreshold, instability) - 0.5;
+          growth -= globalAverage * suppressionFactor;
+
+          // 3. Metabolism plus terrain cost
+          const metabolism = currentEnergy * currentEnergy * decayRate;
+          const terrainCost = terrainCostCoef * terrain;
+
+          // 4. Diffusion
+          const load = (ox, oy, oz) => src[offset(x + ox, y + oy, z + oz) + s];
+          let sum = load(1, 0, 0) + load(-1, 0, 0) + load(0, 1, 0) + load(0, -1, 0) + load(0, 0, 1) + load(0, 0, -1);
+          let centerWeight = 6.0;
+          if (neighborMode >= 18.0) {
+            let edges = 0.0;
+            for (const [ox, oy, oz] of EDGE_OFFSETS) edges += load(ox, oy, oz);
+            sum += EDGE_WEIGHT * edges;
+            centerWeight += 12.0 * EDGE_WEIGHT;
+          }
+          if (neighborMode >= 26.0) {
+            let corners = 0.0;
+            for (const [ox, oy, oz] of CORNER_OFFSETS) corners += load(ox, oy, oz);
+            sum += CORNER_WEIGHT * corners;
+            centerWeight += 8.0 * CORNER_WEIGHT;
+          }
+          const laplacian = sum - centerWeight * currentEnergy;
+          const diffusion = laplacian * diffusionRate;
+          laplacianSum += laplacian;
+          totalEnergy += currentEnergy;
+
+          // 5. Fission instability
+          let fissionNoise = 0.0;
+          if (currentEnergy > fissionThreshold) {
+            const excess = (currentEnergy - fissionThreshold) / (1.0 - fissionThreshold);
+            const chaos = Math.sin((x + y + z + time) * 0.5);
+            fissionNoise = chaos * excess * 0.1;
+          }
+
+          // 6. Hashed noise, offset per species
+          const noise =
+            (hash31((x + noiseSeed) >>> 0, (y + noiseSeed) >>> 0, (z + noiseSeed) >>> 0) - 0.5) * 0.001;
+
+          const deltaEnergy =
+            growthRate * growth - metabolism - terrainCost + diffusion + fissionNoise + noise +
+            brush * brushEnergyAmount;
+          output[idx + s] = roundHalf(Math.min(1.0, Math.max(0.0, currentEnergy + deltaEnergy)));
+        }
+        // Unused channels are written as 0
+        for (let s = speciesCount; s < 4; s++) output[idx + s] = 0.0;
+
+        // 7. Terrain erosion/transport
+        if (terrainOn) {
+          const erosion = totalEnergy > erosionThreshold ? erosionRate * (totalEnergy - erosionThreshold) : 0.0;
+          const loss = Math.min(terrain, erosion);
+          let height = Math.min(terrain - loss + loss, 1.0 + overflowCap);
+          const overflow = Math.max(0.0, height - 1.0);
+          const jitter = hash31((x + leakSeed) >>> 0, (y + leakSeed) >>> 0, (z + leakSeed) >>> 0);
+          height -= Math.min(overflow, overflowLeak * (1.0 + (jitter - 0.5) * overflowNoise));
+          height += laplacianSum * terrainDiffusion * (1.0 + overflow * 2.0);
+          output[idx + TERRAIN_CHANNEL] = roundHalf(Math.min(1.0, Math.max(0.0, height)));
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Global average via the same 2×2×2 reduction chain as reduce.wgsl.js
+ *
+ * @param {Float32Array} field - rgba values (active species channels are summed)
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @param {number} [species=1] - Active species
+ * @returns {number} Average energy (f32)
+ */
+export function reduceAverage(field, size, species = 1) {
+  const fieldDims = toGridDims(size);
+  let dims = fieldDims;
+  let values = new Float32Array(gridCellCount(dims));
+  for (let i = 0; i < values.length; i++) {
+    let e = 0.0;
+    for (let s = 0; s < species; s++) e = f32(e + field[i * 4 + s]);
+    values[i] = e;
+  }
+
+  // Field cells per texel of the current level along each axis
+  let block = 1;
+  while (dims.some((n) => n > 1)) {
+    const [nx, ny, nz] = dims;
+    const next = halveGridDims(dims);
+    // Field cells covered by a texel: partial blocks on the far edge of odd sizes
+    const cover = (c, axis) => Math.min(block, fieldDims[axis] - c * block);
+    const out = new Float32Array(gridCellCount(next));
+    for (let z = 0; z < next[2]; z++) {
+      for (let y = 0; y < next[1]; y++) {
+        for (let x = 0; x < next[0]; x++) {
+          let sum = 0.0;
+          let weight = 0;
+          for (let oz = 0; oz < 2; oz++) {
+            for (let oy = 0; oy < 2; oy++) {
+              for (let ox = 0; ox < 2; ox++) {
+                const cx = x * 2 + ox;
+                const cy = y * 2 + oy;
+                const cz = z * 2 + oz;
+                if (cx < nx && cy < ny && cz < nz) {
+                  const w = cover(cx, 0) * cover(cy, 1) * cover(cz, 2);
+                  sum = f32(sum + f32(w * values[cx + nx * (cy + ny * cz)]));
+                  weight += w;
+                }
+              }
+            }
+          }
+          out[x + next[0] * (y + next[1] * z)] = sum / Math.max(weight, 1);
+        }
+      }
+    }
+    values = out;
+    dims = next;
+    block *= 2;
+  }
+  return values[0];
+}
+
+/**
+ * Compare the energy channel (or the first few channels) of two rgba fields
+ *
+ * @param {Float32Array} a - rgba values
+ * @param {Float32Array} b - rgba values
+ * @param {number} [channels=1] - Leading channels to compare per cell (4 = whole texel)
+ * @returns {{maxAbsDiff:number, meanAbsDiff:number}}
+ */
+export function compareFields(a, b, channels = 1) {
+  if (a.length !== b.length) {
+    throw new Error(`Field size mismatch: ${a.length} vs ${b.length}`);
+  }
+  let maxAbsDiff = 0.0;
+  let total = 0.0;
+  for (let i = 0; i < a.length; i += 4) {
+    for (let c = 0; c < channels; c++) {
+      const d = Math.abs(a[i + c] - b[i + c]);
+      if (d > maxAbsDiff) maxAbsDiff = d;
+      total += d;
+    }
+  }
+  return { maxAbsDiff, meanAbsDiff: total / ((a.length / 4) * channels) };
+}
+
+/**
+ * Headless counterpart of WebGPUSimulation3D's compute side
+ *
+ * Keeps the same run state (seed, step count, average schedule) so a CPU run
+ * and a GPU run with the same params + seed can be compared step for step.
+ */
+export class CpuSimulation3D {
+  /**
+   * @param {Object} [options]
+   * @param {number|number[]} [options.gridSize] - Cube edge or [nx, ny, nz]
+   */
+  constructor({ initialParams = DEFAULT_PARAMS, gridSize = DEFAULT_GRID_SIZE, seed = 0 } = {}) {
+    this.params = { ...initialParams };
+    this.gridDims = toGridDims(gridSize);
+    this.seed = normalizeSeed(seed);
+    this.stepCount = 0;
+    this.pendingAverages = [];
+    this.field = null;
+    this.scratch = null;
+    this.reseed();
+  }
+
+  /**
+   * Restart the run from step 0
+   *
+   * @param {number} [seed=this.seed] - Run seed
+   */
+  reseed(seed = this.seed) {
+    this.seed = normalizeSeed(seed);
+    this.stepCount = 0;
+    this.pendingAverages = [];
+    this.params.globalAverage = 0;
+    const terrain = isTerrainEnabled(this.params);
+    this.field = createSeedData(this.gridDims, SEED_ENERGY_MAX, this.seed, this.speciesCount, terrain).map(roundHalf);
+    this.scratch = new Float32Array(this.field.length);
+  }
+
+  /**
+   * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+   */
+  resizeGrid(size) {
+    this.gridDims = toGridDims(size);
+    this.reseed();
+  }
+
+  updateParam(key, value) {
+    if (key in this.params) {
+      this.params[key] = value;
+    }
+  }
+
+  /**
+   * Uniform values the GPU would see for the current step
+   *
+   * @returns {Object} buildSimUniforms result
+   */
+  getUniforms() {
+    const run = { seed: this.seed, step: this.stepCount };
+    return buildSimUniforms(this.params, this.gridDims, COMPUTE_CAMERA, run);
+  }
+
+  /**
+   * Advance one step, applying the global-average schedule like the GPU path
+   */
+  step() {
+    const due = averageSampleDueAt(this.stepCount);
+    if (due >= 0) {
+      const sample = this.pendingAverages.shift();
+      this.params.globalAverage = sample.value;
+    }
+    if (isAverageSampleStep(this.stepCount)) {
+      const value = reduceAverage(this.field, this.gridDims, this.speciesCount);
+      this.pendingAverages.push({ step: this.stepCount, value });
+    }
+    computeStep(this.field, this.scratch, this.getUniforms());
+    [this.field, this.scratch] = [this.scratch, this.field];
+    this.stepCount++;
+  }
+
+  /**
+   * @param {number} steps - Number of steps to advance
+   */
+  run(steps) {
+    for (let i = 0; i < steps; i++) this.step();
+  }
+
+  /**
+   * Active species, clamped like buildSimUniforms
+   */
+  get speciesCount() {
+    return getActiveSpeciesCount(this.params);
+  }
+
+  /**
+   * @returns {Float32Array} Total energy over active species, x fastest then y then z
+   */
+  getEnergy() {
+    return sumSpeciesEnergy(this.field, this.speciesCount);
+  }
+}
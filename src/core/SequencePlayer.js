@@ -0,0 +1,121 @@
+/**
+ * Sequence Player
+ *
+ * Timeline over a recorded sequence (readSequenceZip()) shown through
+ * WebGPUSimulation3D's playback mode: seek, step frame by frame, play at a
+ * fixed frame rate and loop. The live run stays suspended until close().
+ */
+
+import { PLAYBACK_DEFAULT_FPS } from '../config/constants.js';
+
+export class SequencePlayer {
+  /**
+   * @param {WebGPUSimulation3D} sim - Simulation whose renderer shows the frames
+   */
+  constructor(sim) {
+    this.sim = sim;
+    this.sequence = null;
+    this.index = 0;
+    this.playing = false;
+    this.loop = true;
+    this.fps = PLAYBACK_DEFAULT_FPS;
+    this.timer = null;
+    // Called after every frame change, play/pause and close
+    this.onChange = null;
+  }
+
+  /**
+   * Suspend the live run and show the first frame of a sequence
+   *
+   * @param {Object} sequence - From readSequenceZip()
+   */
+  load(sequence) {
+    if (sequence.frames.length === 0) throw new Error('Sequence has no frames');
+    this.close();
+    this.sequence = sequence;
+    this.sim.startPlayback(sequence);
+    this.seek(0);
+  }
+
+  get loaded() {
+    return this.sequence !== null;
+  }
+
+  get frameCount() {
+    return this.sequence ? this.sequence.frames.length : 0;
+  }
+
+  /** Simulation step of the frame on screen */
+  get step() {
+    return this.sequence ? this.sequence.frames[this.index].step : null;
+  }
+
+  /**
+   * @param {number} index - Frame index (clamped to the sequence)
+   */
+  seek(index) {
+    if (!this.sequence) return;
+    this.index = Math.max(0, Math.min(this.frameCount - 1, Math.round(index)));
+    this.sim.showPlaybackFrame(this.sequence.frames[this.index]);
+    this.#notify();
+  }
+
+  /**
+   * Pause and move by whole frames, wrapping around the ends when looping
+   *
+   * @param {number} delta - Frames to move (negative steps back)
+   */
+  stepBy(delta) {
+    this.pause();
+    const target = this.index + delta;
+    this.seek(this.loop ? ((target % this.frameCount) + this.frameCount) % this.frameCount : target);
+  }
+
+  play() {
+    if (!this.sequence || this.playing) return;
+    // Playing from the last frame without looping starts over
+    if (!this.loop && this.index === this.frameCount - 1) this.seek(0);
+    this.playing = true;
+    this.#schedule();
+    this.#notify();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.#notify();
+  }
+
+  /**
+   * Drop the sequence and resume the live run
+   */
+  close() {
+    if (!this.sequence) return;
+    this.pause();
+    this.sequence = null;
+    this.index = 0;
+    this.sim.stopPlayback();
+    this.#notify();
+  }
+
+  #schedule() {
+    this.timer = setTimeout(() => this.#advance(), 1000 / this.fps);
+  }
+
+  #advance() {
+    if (!this.playing) return;
+    const next = this.index + 1;
+    if (next >= this.frameCount && !this.loop) {
+      this.pause();
+      return;
+    }
+    this.seek(next % this.frameCount);
+    this.#schedule();
+  }
+
+  #notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Spectral (FFT) Convolution
+ *
+ * Alternative to the per-cell kernel loop for large power-of-two grids: the
+ * potential of every cell comes from one 3D FFT convolution per species pair.
+ * Each axis may have its own power-of-two length (e.g. 128×128×32).
+ * Owns the complex volumes, the FFT pipelines for the current grid size and
+ * the cached kernel spectra; WebGPUSimulation3D encodes it in place of the
+ * compute dispatch while the 'fft' convolution mode is selected.
+ */
+
+import {
+  WORKGROUP_SIZE_X,
+  WORKGROUP_SIZE_Y,
+  WORKGROUP_SIZE_Z,
+} from '../config/constants.js';
+import { getFFTShader } from '../shaders/shaderLoader.js';
+import { buildSimUniforms } from '../utils/bufferUtils.js';
+import { toGridDims, gridCellCount, sameGridDims } from '../utils/gridDims.js';
+import { buildKernelTaps } from './CpuSimulation3D.js';
+
+const COMPLEX_BYTES = 8; // vec2<f32>
+const FFT_FORWARD = -1;
+const FFT_INVERSE = 1;
+
+function isPowerOfTwo(n) {
+  return Number.isInteger(n) && n >= 2 && (n & (n - 1)) === 0;
+}
+
+export class SpectralConvolution {
+  /**
+   * @param {GPUDevice} device
+   * @param {GPUShaderModule} computeModule - Compute shader module (spectral entry points)
+   * @param {Object} resources
+   * @param {GPUBuffer} resources.paramBuffer - SimParams uniform shared with the compute pass
+   * @param {GPUTexture} resources.kernelWeightTexture - Outer-ring weight LUT
+   */
+  constructor(device, computeModule, { paramBuffer, kernelWeightTexture }) {
+    this.device = device;
+    this.paramBuffer = paramBuffer;
+    this.kernelWeightTexture = kernelWeightTexture;
+
+    const pipeline = (entryPoint) =>
+      device.createComputePipeline({ layout: 'auto', compute: { module: computeModule, entryPoint } });
+    this.buildKernelPipeline = pipeline('buildSpectralKernel');
+    this.packPipeline = pipeline('packSpectral');
+    this.multiplyPipeline = pipeline('multiplySpectral');
+    this.updatePipeline = pipeline('mainSpectral');
+
+    this.gridDims = [0, 0, 0];
+    this.pairs = 0;
+    // Per axis: FFT pipeline for that axis' line length (shared when lengths match)
+    this.fftPipelines = [];
+    this.fftParamBuffers = [];
+    this.spectra = [];
+    this.kernels = [];
+    this.kernelParamBuffer = device.createBuffer({
+      size: 16,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    this.kernelDirty = true;
+  }
+
+  /**
+   * Whether a grid size can be convolved spectrally on this device
+   *
+   * @param {number|number[]} gridSize - Cube edge or [nx, ny, nz]
+   * @returns {boolean} Every axis a power of two and the complex volume fits one storage binding
+   */
+  supports(gridSize) {
+    const dims = toGridDims(gridSize);
+    return (
+      dims.every(isPowerOfTwo) &&
+      gridCellCount(dims) * COMPLEX_BYTES <= this.device.limits.maxStorageBufferBindingSize
+    );
+  }
+
+  /**
+   * Rebuild the kernel spectra before the next step (kernel shapes or species changed)
+   */
+  invalidateKernel() {
+    this.kernelDirty = true;
+  }
+
+  /**
+   * Encode one step: field → potentials → next field
+   *
+   * @param {GPUCommandEncoder} commandEncoder
+   * @param {GPUTexture} readTexture - Current field
+   * @param {GPUTexture} writeTexture - Next field
+   * @param {Object} params - Simulation params (for the kernel spectra)
+   * @param {number[]} gridDims - [nx, ny, nz] (must pass supports())
+   * @param {number} speciesCount - Active species
+   */
+  encode(commandEncoder, readTexture, writeTexture, params, gridDims, speciesCount) {
+    const pairs = speciesCount > 2 ? 2 : 1;
+    if (!sameGridDims(gridDims, this.gridDims) || pairs !== this.pairs) {
+      this.#createResources(gridDims, pairs);
+    }
+
+    const pass = commandEncoder.beginComputePass();
+    if (this.kernelDirty) {
+      this.#writeKernelScale(params, speciesCount);
+      this.#dispatchCells(pass, this.buildKernelPipeline, [
+        { binding: 0, resource: { buffer: this.paramBuffer } },
+        { binding: 3, resource: this.kernelWeightTexture.createView({ dimension: '1d' }) },
+        { binding: 6, resource: { buffer: this.kernels[0] } },
+        { binding: 7, resource: { buffer: this.kernels[1] } },
+        { binding: 8, resource: { buffer: this.kernelParamBuffer } },
+      ]);
+      this.kernels.slice(0, pairs).forEach((buffer) => this.#dispatchFFT(pass, buffer, FFT_FORWARD));
+      this.kernelDirty = false;
+    }
+
+    this.#dispatchCells(pass, this.packPipeline, [
+      { binding: 0, resource: { buffer: this.paramBuffer } },
+      { binding: 1, resource: readTexture.createView({ dimension: '3d' }) },
+      { binding: 4, resource: { buffer: this.spectra[0] } },
+      { binding: 5, resource: { buffer: this.spectra[1] } },
+    ]);
+    this.spectra.slice(0, pairs).forEach((buffer) => this.#dispatchFFT(pass, buffer, FFT_FORWARD));
+    this.#dispatchCells(pass, this.multiplyPipeline, [
+      { binding: 0, resource: { buffer: this.paramBuffer } },
+      { binding: 4, resource: { buffer: this.spectra[0] } },
+      { binding: 5, resource: { buffer: this.spectra[1] } },
+      { binding: 6, resource: { buffer: this.kernels[0] } },
+      { binding: 7, resource: { buffer: this.kernels[1] } },
+    ]);
+    this.spectra.slice(0, pairs).forEach((buffer) => this.#dispatchFFT(pass, buffer, FFT_INVERSE));
+    this.#dispatchCells(pass, this.updatePipeline, [
+      { binding: 0, resource: { buffer: this.paramBuffer } },
+      { binding: 1, resource: readTexture.createView({ dimension: '3d' }) },
+      { binding: 2, resource: writeTexture.createView({ dimension: '3d' }) },
+      { binding: 3, resource: this.kernelWeightTexture.createView({ dimension: '1d' }) },
+      { binding: 4, resource: { buffer: this.spectra[0] } },
+      { binding: 5, resource: { buffer: this.spectra[1] } },
+    ]);
+    pass.end();
+  }
+
+  destroy() {
+    this.#destroyVolumes();
+    for (const buffer of this.fftParamBuffers) buffer.destroy();
+    this.kernelParamBuffer.destroy();
+  }
+
+  /**
+   * Complex volumes for each species pair (pair CD is a stub with ≤ 2 species)
+   * and the FFT pipelines/params for each axis' line length
+   *
+   * @private
+   */
+  #createResources(gridDims, pairs) {
+    this.#destroyVolumes();
+    const volumeBytes = gridCellCount(gridDims) * COMPLEX_BYTES;
+    const volume = (pair) =>
+      this.device.createBuffer({
+        size: pair < pairs ? volumeBytes : 16,
+        usage: GPUBufferUsage.STORAGE,
+      });
+    this.spectra = [volume(0), volume(1)];
+    this.kernels = [volume(0), volume(1)];
+
+    if (!sameGridDims(gridDims, this.gridDims)) {
+      const pipelines = new Map();
+      this.fftPipelines = gridDims.map((length) => {
+        if (!pipelines.has(length)) {
+          const module = this.device.createShaderModule({ code: getFFTShader(length) });
+          pipelines.set(
+            length,
+            this.device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'main' } }),
+          );
+        }
+        return pipelines.get(length);
+      });
+      for (const buffer of this.fftParamBuffers) buffer.destroy();
+      // One uniform per axis and direction: all passes share a single submit
+      this.fftParamBuffers = [FFT_FORWARD, FFT_INVERSE].flatMap((direction) =>
+        [0, 1, 2].map((axis) => {
+          const buffer = this.device.createBuffer({
+            size: 32,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+          });
+          const data = new ArrayBuffer(32);
+          new Uint32Array(data, 0, 4).set([...gridDims, axis]);
+          new Float32Array(data, 16, 4).set([direction, 0, 0, 0]);
+          this.device.queue.writeBuffer(buffer, 0, data);
+          return buffer;
+        }),
+      );
+    }
+
+    this.gridDims = [...gridDims];
+    this.pairs = pairs;
+    this.kernelDirty = true;
+  }
+
+  #destroyVolumes() {
+    for (const buffer of [...this.spectra, ...this.kernels]) buffer.destroy();
+    this.spectra = [];
+    this.kernels = [];
+  }
+
+  /**
+   * Per-species kernel scale: 1 / (Σ|w| · cell count), matching kernelPotential's
+   * normalization and the unnormalized inverse FFT
+   *
+   * @private
+   */
+  #writeKernelScale(params, speciesCount) {
+    // Only the kernel shapes are read, so no camera or run state is needed
+    const uniforms = buildSimUniforms(params, this.gridDims, {});
+    const cells = gridCellCount(this.gridDims);
+    const scale = new Float32Array(4);
+    for (let s = 0; s < speciesCount; s++) {
+      const { totalWeight } = buildKernelTaps(uniforms, s);
+      scale[s] = totalWeight > 0 ? 1 / (totalWeight * cells) : 0;
+    }
+    this.device.queue.writeBuffer(this.kernelParamBuffer, 0, scale);
+  }
+
+  #dispatchCells(pass, pipeline, entries) {
+    const bindGroup = this.device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries });
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    const [nx, ny, nz] = this.gridDims;
+    pass.dispatchWorkgroups(
+      Math.ceil(nx / WORKGROUP_SIZE_X),
+      Math.ceil(ny / WORKGROUP_SIZE_Y),
+      Math.ceil(nz / WORKGROUP_SIZE_Z),
+    );
+  }
+
+  // FFT along x, y then z: one workgroup per line, indexed by the other two axes in x, y, z order
+  #dispatchFFT(pass, buffer, direction) {
+    const offset = direction === FFT_FORWARD ? 0 : 3;
+    for (let axis = 0; axis < 3; axis++) {
+      const pipeline = this.fftPipelines[axis];
+      const [a, b] = this.gridDims.filter((_, i) => i !== axis);
+      pass.setPipeline(pipeline);
+      const bindGroup = this.device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [
+          { binding: 0, resource: { buffer: this.fftParamBuffers[offset + axis] } },
+          { binding: 1, resource: { buffer } },
+        ],
+      });
+      pass.setBindGroup(0, bindGroup);
+      pass.dispatchWorkgroups(a, b);
+    }
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Video Recorder
+ *
+ * Encodes the 3D view to WebM in the browser (WebCodecs VideoEncoder +
+ * WebMMuxer). Frames are taken every N simulated steps and stamped at a fixed
+ * frame rate, so a clip covers the same steps and plays at the same speed
+ * whatever frame rate the machine managed while recording. Optionally the
+ * camera orbits by a fixed angle per frame, or follows a camera path
+ * (CameraPathPlayer) in clip time, stopping at its end unless it loops.
+ *
+ * Like VolumeRecorder, it is fed by whoever owns `sim.onStep` (handleStep()).
+ */
+
+import {
+  VIDEO_DEFAULT_FPS,
+  VIDEO_DEFAULT_STEPS_PER_FRAME,
+  VIDEO_BITRATE,
+  VIDEO_KEYFRAME_SECONDS,
+  VIDEO_CODECS,
+} from '../config/constants.js';
+import { WebMMuxer } from '../utils/webmMuxer.js';
+
+/**
+ * First VIDEO_CODECS entry the browser can encode at this size
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} fps
+ * @returns {Promise<{config:Object, container:string}>}
+ * @throws {Error} If WebCodecs or every codec is unavailable
+ */
+async function pickEncoderConfig(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('Video export needs WebCodecs (VideoEncoder), which this browser lacks');
+  }
+  for (const { codec, container } of VIDEO_CODECS) {
+    const config = { codec, width, height, bitrate: VIDEO_BITRATE, framerate: fps };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return { config, container };
+  }
+  throw new Error(`No WebM video encoder for ${width}×${height} in this browser`);
+}
+
+export class VideoRecorder {
+  /**
+   * @param {WebGPUSimulation3D} sim - Simulation to film (must have a canvas)
+   */
+  constructor(sim) {
+    this.sim = sim;
+    this.recording = false;
+    this.stepsPerFrame = VIDEO_DEFAULT_STEPS_PER_FRAME;
+    this.fps = VIDEO_DEFAULT_FPS;
+    this.orbitDegrees = 0;
+    this.cameraPath = null;
+    this.frameIndex = 0;
+    this.encoder = null;
+    this.muxer = null;
+    this.error = null;
+    // Called after every frame, and when recording stops on its own (with a reason)
+    this.onChange = null;
+  }
+
+  /**
+   * Start filming; the current view is the first frame
+   *
+   * @param {Object} [options]
+   * @param {number} [options.stepsPerFrame] - Simulated steps between frames
+   * @param {number} [options.fps] - Playback frame rate of the clip
+   * @param {number} [options.orbitDegrees] - Camera yaw added per frame (0 = camera stays under user control)
+   * @param {CameraPathPlayer|null} [options.cameraPath] - Path the camera follows (overrides orbitDegrees)
+   */
+  async start({
+    stepsPerFrame = this.stepsPerFrame,
+    fps = this.fps,
+    orbitDegrees = this.orbitDegrees,
+    cameraPath = null,
+  } = {}) {
+    if (this.recording) return;
+    if (!(stepsPerFrame >= 1)) throw new Error('Steps per frame must be at least 1');
+    if (!(fps > 0)) throw new Error('Frame rate must be above 0 frames per second');
+    if (cameraPath && cameraPath.keyframes.length < 2) {
+      throw new Error('The camera path needs at least two keyframes');
+    }
+    const { width, height } = this.sim.canvas;
+    const { config, container } = await pickEncoderConfig(width, height, fps);
+
+    this.stepsPerFrame = Math.floor(stepsPerFrame);
+    this.fps = fps;
+    this.orbitDegrees = orbitDegrees;
+    this.cameraPath = cameraPath;
+    // The clip's frame times drive the path, not its own playback
+    if (cameraPath) cameraPath.pause();
+    this.startYaw = this.sim.yaw;
+    this.size = { width, height };
+    this.frameIndex = 0;
+    this.firstStep = this.sim.stepCount;
+    this.lastStep = this.firstStep;
+    this.error = null;
+    this.muxer = new WebMMuxer({ codec: container, width, height, frameRate: fps });
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+      },
+      error: (err) => {
+        this.error = err;
+      },
+    });
+    this.encoder.configure(config);
+    this.recording = true;
+    this.#captureFrame();
+  }
+
+  /**
+   * Forward of sim.onStep: films the step when it is on the cadence
+   * (every stepsPerFrame steps from the first frame's step)
+   *
+   * @param {number} step - Step count after the step
+   */
+  handleStep(step) {
+    if (!this.recording || (step - this.firstStep) % this.stepsPerFrame !== 0) return;
+    const { width, height } = this.sim.canvas;
+    if (this.error || width !== this.size.width || height !== this.size.height) {
+      // The encoder is fixed to one frame size; keep what was filmed so far
+      this.recording = false;
+      if (this.onChange) this.onChange(this, this.error ? this.error.message : 'canvas resized');
+      return;
+    }
+    const path = this.cameraPath;
+    if (path && !path.loop && this.frameIndex / this.fps > path.duration) {
+      this.recording = false;
+      if (this.onChange) this.onChange(this, 'camera path ended');
+      return;
+    }
+    this.lastStep = step;
+    this.#captureFrame();
+  }
+
+  /** A clip is open: recording, or stopped on its own and not finished yet */
+  get pending() {
+    return this.encoder !== null;
+  }
+
+  /** Clip length so far, in seconds */
+  get duration() {
+    return this.frameIndex / this.fps;
+  }
+
+  /**
+   * Stop filming and finish the file
+   *
+   * @returns {Promise<Blob>} WebM clip
+   */
+  async stop() {
+    this.recording = false;
+    if (!this.encoder) throw new Error('Nothing was recorded');
+    try {
+      await this.encoder.flush();
+    } finally {
+      this.encoder.close();
+      this.encoder = null;
+    }
+    if (this.error) throw this.error;
+    return this.muxer.finish();
+  }
+
+  #captureFrame() {
+    const path = this.cameraPath;
+    if (path) {
+      const time = this.frameIndex / this.fps;
+      path.seek(path.loop && path.duration > 0 ? time % path.duration : time);
+    } else if (this.orbitDegrees !== 0) {
+      this.sim.setRotation(this.startYaw + this.orbitDegrees * this.frameIndex, this.sim.pitch);
+    }
+    this.sim.renderFrame();
+    const frameMicros = 1e6 / this.fps;
+    const frame = new VideoFrame(this.sim.canvas, {
+      timestamp: Math.round(this.frameIndex * frameMicros),
+      duration: Math.round(frameMicros),
+    });
+    const keyInterval = Math.max(1, Math.round(VIDEO_KEYFRAME_SECONDS * this.fps));
+    this.encoder.encode(frame, { keyFrame: this.frameIndex % keyInterval === 0 });
+    frame.close();
+    this.frameIndex++;
+    if (this.onChange) this.onChange(this);
+  }
+}
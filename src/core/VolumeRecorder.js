@@ -0,0 +1,165 @@
+/**
+ * Volume Recorder
+ *
+ * Captures the field of a running WebGPUSimulation3D every N steps into a
+ * fixed-size ring buffer of quantized (and optionally downsampled) frames,
+ * then bundles them into a sequence ZIP (src/utils/sequenceFile.js).
+ *
+ * The recorder does not hook the simulation itself: whoever owns `sim.onStep`
+ * forwards each step to handleStep(), so several consumers can share it.
+ */
+
+import { RECORD_DEFAULT_INTERVAL, RECORD_DEFAULT_CAPACITY } from '../config/constants.js';
+import { getActiveSpeciesCount, isTerrainEnabled } from '../config/defaults.js';
+import { sameGridDims, gridCellCount } from '../utils/gridDims.js';
+import {
+  downsampledDims,
+  downsampleField,
+  quantizeFrame,
+  createSequenceZip,
+} from '../utils/sequenceFile.js';
+
+export class VolumeRecorder {
+  /**
+   * @param {WebGPUSimulation3D} sim - Simulation to read frames from
+   */
+  constructor(sim) {
+    this.sim = sim;
+    this.recording = false;
+    this.interval = RECORD_DEFAULT_INTERVAL;
+    this.capacity = RECORD_DEFAULT_CAPACITY;
+    this.downsample = 1;
+    // Called after every stored frame, and when recording stops on its own (with a reason)
+    this.onChange = null;
+
+    this.frames = [];
+    this.head = 0;
+    this.count = 0;
+    this.meta = null;
+    // Step of the first frame; later frames follow every `interval` steps from it
+    this.firstStep = 0;
+    // Bumped by start(), so readbacks from an earlier recording are dropped
+    this.session = 0;
+  }
+
+  /**
+   * Start a new recording (discarding the previous one)
+   *
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Steps between frames
+   * @param {number} [options.capacity] - Frames kept; older ones are dropped
+   * @param {number} [options.downsample] - Box-average factor per axis (RECORD_DOWNSAMPLE_OPTIONS)
+   */
+  start({ interval = this.interval, capacity = this.capacity, downsample = this.downsample } = {}) {
+    if (!(interval >= 1 && capacity >= 1 && downsample >= 1)) {
+      throw new Error('Recording interval, capacity and downsample must be at least 1');
+    }
+    this.interval = Math.floor(interval);
+    this.capacity = Math.floor(capacity);
+    this.downsample = Math.floor(downsample);
+    this.frames = new Array(this.capacity);
+    this.head = 0;
+    this.count = 0;
+    this.session++;
+    const gridDims = [...this.sim.gridDims];
+    this.meta = {
+      gridDims,
+      frameDims: downsampledDims(gridDims, this.downsample),
+      downsample: this.downsample,
+      interval: this.interval,
+      seed: this.sim.seed,
+      params: { ...this.sim.params },
+    };
+    this.recording = true;
+    // The current field is the first frame
+    this.firstStep = this.sim.stepCount;
+    this.#capture(this.firstStep);
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Forward of sim.onStep: captures the field when the step is on the interval
+   *
+   * @param {number} step - Step count after the step
+   */
+  handleStep(step) {
+    if (!this.recording || (step - this.firstStep) % this.interval !== 0) return;
+    // Frames of different sizes or channel layouts cannot share a sequence (meta.params holds one)
+    let reason = null;
+    if (!sameGridDims(this.sim.gridDims, this.meta.gridDims)) reason = 'grid size changed';
+    else if (!this.#sameLayout()) reason = 'species layout changed';
+    if (reason) {
+      this.stop();
+      if (this.onChange) this.onChange(this, reason);
+      return;
+    }
+    this.#capture(step);
+  }
+
+  /** Frames kept so far */
+  get frameCount() {
+    return this.count;
+  }
+
+  /** Memory held by the kept frames */
+  get byteLength() {
+    return this.meta ? this.count * gridCellCount(this.meta.frameDims) * 4 : 0;
+  }
+
+  /**
+   * The kept frames, oldest first, with the recording's metadata
+   *
+   * @returns {Object} Sequence for createSequenceZip()
+   */
+  getSequence() {
+    const frames = [];
+    for (let i = 0; i < this.count; i++) frames.push(this.frames[(this.head + i) % this.capacity]);
+    return { ...this.meta, frames };
+  }
+
+  /**
+   * @returns {Blob} Sequence ZIP of the kept frames
+   */
+  createArchive() {
+    if (this.count === 0) throw new Error('No frames recorded');
+    return createSequenceZip(this.getSequence());
+  }
+
+  #capture(step) {
+    const session = this.session;
+    this.sim
+      .readField()
+      .then((data) => {
+        if (session !== this.session) return;
+        const { gridDims, downsample } = this.meta;
+        this.#push({ step, ...quantizeFrame(downsampleField(data, gridDims, downsample)) });
+        if (this.onChange) this.onChange(this);
+      })
+      .catch((err) => {
+        console.warn(`Recording frame at step ${step} failed:`, err);
+      });
+  }
+
+  // Same species channels and terrain channel as when recording started
+  #sameLayout() {
+    const { params } = this.meta;
+    return (
+      getActiveSpeciesCount(this.sim.params) === getActiveSpeciesCount(params) &&
+      isTerrainEnabled(this.sim.params) === isTerrainEnabled(params)
+    );
+  }
+
+  // Ring buffer: once full, each frame replaces the oldest
+  #push(frame) {
+    if (this.count < this.capacity) {
+      this.frames[(this.head + this.count) % this.capacity] = frame;
+      this.count++;
+    } else {
+      this.frames[this.head] = frame;
+      this.head = (this.head + 1) % this.capacity;
+    }
+  }
+}
@@ -1,46 +1,128 @@
-import { DEFAULT_PARAMS } from '../config/defaults.js';
+import {
+  DEFAULT_PARAMS,
+  getActiveSpeciesCount,
+  isTerrainEnabled,
+  isKernelParam,
+  isKernelRadiusParam,
+  getKernelRadiusLimit,
+  clampKernelRadii,
+  getBoundaryModes,
+  isFullyPeriodic,
+} from '../config/defaults.js';
 import {
   DEFAULT_GRID_SIZE,
-  GLOBAL_AVG_INTERVAL,
-  KERNEL_SIZE,
+  GRID_DIM_MIN,
+  GRID_DIM_MAX,
+  TILE_HALO,
+  KERNEL_LUT_SIZE,
   SEED_ENERGY_MAX,
-  CAMERA_BOUNDS,
   INITIAL_DISTANCE,
   PAN_SPEED,
   ROTATE_SENSITIVITY,
+  GESTURE_INERTIA_DECAY,
+  GESTURE_INERTIA_STOP,
   WORKGROUP_SIZE_X,
   WORKGROUP_SIZE_Y,
   WORKGROUP_SIZE_Z,
+  PICK_ENERGY_THRESHOLD,
+  CONVOLUTION_MODES,
+  DEFAULT_CONVOLUTION,
+  BOUNDARY_MODES,
+  BOUNDARY_AXES,
+  CPU_CHECK_STEPS,
+  CPU_CHECK_MAX_CELLS,
+  CPU_CHECK_TOLERANCE,
+  TERRAIN_CHANNEL,
 } from '../config/constants.js';
 import {
   getComputeShader,
+  getComputeSlabBytes,
   getReduceShader,
   getRenderShader,
+  getPickShader,
+  getMarchingCubesShader,
 } from '../shaders/shaderLoader.js';
-import { packSimParams } from '../utils/bufferUtils.js';
-import { createFieldTexture, seedTexture, createReduceTexture } from '../utils/textureUtils.js';
+import { packSimParams, buildSimUniforms, SIM_PARAMS_SIZE } from '../utils/bufferUtils.js';
+import {
+  createFieldTexture,
+  seedTexture,
+  writeFieldTextureHalf,
+  createReduceTexture,
+  createKernelWeightLUTData,
+  sumSpeciesEnergy,
+} from '../utils/textureUtils.js';
+import { normalizeSeed, randomSeed } from '../utils/random.js';
+import { decodeHalfArray, encodeHalfArray } from '../utils/halfFloat.js';
+import { cameraRay } from '../utils/cameraRay.js';
+import { viewRegionAt, volumeViewAspect } from '../utils/sliceView.js';
+import { TRIANGLE_TABLE } from '../utils/marchingCubes.js';
+import { MESH_VERTEX_BYTES, weldMeshVertices } from '../utils/meshExport.js';
+import { dequantizeFrame } from '../utils/sequenceFile.js';
+import {
+  toGridDims,
+  sameGridDims,
+  formatGridDims,
+  gridExtent,
+  gridCellCount,
+  halveGridDims,
+} from '../utils/gridDims.js';
+import { isAverageSampleStep, averageSampleDueAt } from '../utils/averageSchedule.js';
+import { computeStep, compareFields } from './CpuSimulation3D.js';
+import { SpectralConvolution } from './SpectralConvolution.js';
+import { Camera } from './Camera.js';
+
+// Compute shader entry point per texture-read convolution mode ('fft' runs SpectralConvolution)
+const COMPUTE_ENTRY_POINTS = { direct: 'main', tiled: 'mainTiled' };
+
+/**
+ * toGridDims() plus the per-axis range the grid controls allow
+ *
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @returns {number[]} [nx, ny, nz]
+ * @throws {Error} If the size is invalid or an axis is outside GRID_DIM_MIN..GRID_DIM_MAX
+ */
+function toSupportedGridDims(size) {
+  const dims = toGridDims(size);
+  if (dims.some((n) => n < GRID_DIM_MIN || n > GRID_DIM_MAX)) {
+    throw new Error(`Grid ${formatGridDims(dims)} is outside ${GRID_DIM_MIN}–${GRID_DIM_MAX} per axis`);
+  }
+  return dims;
+}
 
 export class WebGPUSimulation3D {
+  /**
+   * @param {Object} options
+   * @param {HTMLCanvasElement|null} options.canvas - Render target; null runs headless
+   *   (no render pass, no animation loop; drive it with runSteps())
+   * @param {GPUDevice} [options.device] - Share an existing device instead of requesting one
+   * @param {number|number[]} [options.gridSize] - Cube edge or [nx, ny, nz]
+   * @param {string} [options.convolution] - Kernel convolution, one of CONVOLUTION_MODES
+   */
   constructor({
-    canvas,
+    canvas = null,
+    device = null,
     initialParams = DEFAULT_PARAMS,
     gridSize = DEFAULT_GRID_SIZE,
     yaw = 0,
     pitch = 0,
     distance = INITIAL_DISTANCE,
+    seed = randomSeed(),
+    convolution = DEFAULT_CONVOLUTION,
   }) {
+    if (!CONVOLUTION_MODES.includes(convolution)) {
+      throw new Error(`Unknown convolution mode: ${convolution}`);
+    }
     this.canvas = canvas;
     this.params = { ...initialParams };
-    this.gridSize = gridSize;
-    this.yaw = yaw;
-    this.pitch = pitch;
-    this.distance = distance;
-    this.offsetX = 0;
-    this.offsetY = 0;
-    this.target = { x: 0.5, y: 0.5, z: 0.5 };
+    this.gridDims = toGridDims(gridSize);
+    this.seed = normalizeSeed(seed);
+    this.stepCount = 0;
+    this.camera = new Camera({ yaw, pitch, distance });
+    this.#clampKernelRadii();
 
     this.adapter = null;
-    this.device = null;
+    this.device = device;
+    this.ownsDevice = !device;
     this.context = null;
     this.format = null;
 
@@ -50,26 +132,44 @@ export class WebGPUSimulation3D {
 
     this.paramBuffer = null;
 
+    this.convolution = convolution;
+    this.computeModule = null;
+    // Direct or tiled pipeline; in 'fft' mode it runs the steps FFT cannot
     this.computePipeline = null;
+    this.spectral = null;
     this.renderPipeline = null;
     this.reducePipeline = null;
+    this.pickPipeline = null;
+    // Marching cubes: { count, emit } pipelines and the triangle table they read
+    this.meshPipelines = null;
+    this.triangleTableBuffer = null;
+
+    // Mouse brush applied on every step while set: { center: [x, y, z] cells, radius, mode }
+    this.brush = null;
+
+    // Recorded sequence shown instead of the live field while set (see startPlayback)
+    this.playback = null;
 
     this.speed = 1;
-    this.frameCounter = 0;
 
     this.frameId = null;
     this.lastFpsUpdate = performance.now();
     this.frameCount = 0;
     this.onFps = null;
+    // Called with the new step count after every step, while that step's field is current
+    this.onStep = null;
 
-    this.reduceBuffer = null;
-    this.reduceBufferSize = 0;
-    this.isReducing = false;
-    this.readbackBuffer = null;
     this.reduceTextures = [];
-    this.reduceParamBuffer = null;
+    this.reduceParamBuffers = [];
+    // Global-average samples in flight, oldest first: { step, value, ready }
+    this.pendingAverages = [];
+    this.readbackPool = [];
 
-    this.keyState = { w: false, a: false, s: false, d: false };
+    this.keyState = { w: false, a: false, s: false, d: false, q: false, e: false };
+    // Camera motion left over from a touch gesture: { rotate, pan, zoom, scale } (see setCameraInertia)
+    this.cameraInertia = null;
+    // Called after the camera moves on its own (keys held, inertia), e.g. to sync the UI
+    this.onCameraMove = null;
     this.lastStepTime = performance.now();
   }
 
@@ -77,30 +177,28 @@ export class WebGPUSimulation3D {
     if (!navigator.gpu) {
       throw new Error('WebGPU not supported in this browser.');
     }
-    this.adapter = await navigator.gpu.requestAdapter();
-    this.device = await this.adapter.requestDevice();
+    if (!this.device) {
+      this.adapter = await navigator.gpu.requestAdapter();
+      this.device = await this.adapter.requestDevice();
+    }
 
-    this.context = this.canvas.getContext('webgpu');
-    this.format = navigator.gpu.getPreferredCanvasFormat();
-    this.context.configure({
-      device: this.device,
-      format: this.format,
-      alphaMode: 'premultiplied',
-    });
+    if (this.canvas) {
+      this.context = this.canvas.getContext('webgpu');
+      this.format = navigator.gpu.getPreferredCanvasFormat();
+      this.context.configure({
+        device: this.device,
+        format: this.format,
+        alphaMode: 'premultiplied',
+      });
+    }
 
-    this.sampler = this.device.createSampler({
-      magFilter: 'linear',
-      minFilter: 'linear',
-      addressModeU: 'repeat',
-      addressModeV: 'repeat',
-      addressModeW: 'repeat',
-    });
+    this.#createSampler();
 
     // Create kernel weight lookup texture for optimization
     this.kernelWeightTexture = this.#createKernelWeightLUT();
 
     this.paramBuffer = this.device.createBuffer({
-      size: 128, // up to 8 vec4 blocks * 16 bytes
+      size: SIM_PARAMS_SIZE,
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
 
@@ -108,58 +206,536 @@ export class WebGPUSimulation3D {
     this.#createFieldTextures();
     this.#createReduceResources();
     this.reseed();
+    this.#writeParamsBuffer();
+
+    if (this.canvas) {
+      this.#resizeCanvas();
+      window.addEventListener('resize', () => this.#resizeCanvas());
+      this.#start();
+    }
+  }
+
+  /**
+   * Advance a headless run by a number of steps
+   *
+   * Waits on global-average readbacks instead of stalling a frame, so the
+   * result is identical to the same steps taken by the animation loop.
+   *
+   * @param {number} count - Steps to take
+   */
+  async runSteps(count) {
+    const target = this.stepCount + count;
+    while (this.stepCount < target) {
+      if (!this.#advance()) {
+        const sample = this.pendingAverages[0];
+        if (!sample) throw new Error(`No global-average sample due at step ${this.stepCount}`);
+        await sample.ready;
+      }
+    }
+  }
+
+  /**
+   * Read back field statistics at the current step (off the average schedule)
+   *
+   * @returns {Promise<{mean:number, variance:number}>}
+   */
+  async measure() {
+    const { mean, meanSq } = await this.#readMoments();
+    return { mean, variance: Math.max(0, meanSq - mean * mean) };
+  }
+
+  /**
+   * Read back the energy of the current field (summed over active species)
+   *
+   * @returns {Promise<Float32Array>} Energy, x fastest then y then z
+   */
+  async readEnergy() {
+    return sumSpeciesEnergy(await this.readField(), getActiveSpeciesCount(this.params));
+  }
+
+  /**
+   * Read back all four channels of the current field
+   *
+   * The copy is queued before the first await, so the result is the field at
+   * the step this was called on even if the loop keeps stepping.
+   *
+   * @returns {Promise<Float32Array>} rgba values, x fastest then y then z
+   */
+  async readField() {
+    return decodeHalfArray(await this.#readFieldTexture(this.fieldTextures[this.currentIndex]));
+  }
+
+  /**
+   * Grid the renderer shows: the recorded one during playback, else the live one
+   *
+   * @returns {number[]} [nx, ny, nz]
+   */
+  get viewGridDims() {
+    return this.playback ? this.playback.gridDims : this.gridDims;
+  }
+
+  /**
+   * What the renderer draws under a pixel: the 3D view or a slice (see sliceView.js)
+   *
+   * @param {{x:number, y:number}} ndc - Pixel in normalized device coordinates (see pointerToNdc)
+   * @returns {{ndc:{x:number, y:number}}|{axis:number, cell:number[]|null}} Cells in viewGridDims
+   */
+  viewRegionAt(ndc) {
+    return viewRegionAt(ndc, { params: this.params, gridDims: this.viewGridDims, aspect: this.#canvasAspect() });
+  }
+
+  /**
+   * Find the cell under a pixel, using the render shader's camera ray
+   *
+   * Marches the ray through the displayed field (the playback frame while one
+   * is shown) and returns the first sample whose total energy reaches
+   * PICK_ENERGY_THRESHOLD; rays through empty space return the midpoint of
+   * their path through the cube. On a slice the cell drawn under the pixel is
+   * returned as is.
+   *
+   * @param {{x:number, y:number}} ndc - Pixel in normalized device coordinates (see pointerToNdc)
+   * @returns {Promise<{cell:number[], hit:boolean}|null>} Cell in viewGridDims units; null if the ray misses
+   */
+  async pick(ndc) {
+    const region = this.viewRegionAt(ndc);
+    if (!region.ndc) return region.cell ? { cell: region.cell, hit: true } : null;
+    const gridDims = [...this.viewGridDims];
+    const params = this.playback ? { ...this.params, ...this.playback.layout } : this.params;
+    const texture = this.playback?.texture ?? this.fieldTextures[this.currentIndex];
+    const extent = gridExtent(gridDims);
+    // Side by side, the ray comes from the eye drawn in that half
+    const eyeShift = (region.eye * this.params.eyeSeparation) / 2;
+    const ray = cameraRay(this.#cameraBasis(gridDims), region.ndc, extent, eyeShift);
+    if (!ray) return null;
+
+    // Bit per axis that wraps, so the march maps positions like the render shader
+    const periodicAxes = getBoundaryModes(this.params).reduce(
+      (bits, mode, axis) => (BOUNDARY_MODES[mode] === 'periodic' ? bits | (1 << axis) : bits),
+      0,
+    );
+    const uniforms = new Float32Array([
+      ...ray.origin, ray.tStart,
+      ...ray.dir, ray.tEnd,
+      this.params.raySteps || 96, PICK_ENERGY_THRESHOLD, getActiveSpeciesCount(params), periodicAxes,
+      ...extent, 0,
+    ]);
+    const paramBuffer = this.device.createBuffer({
+      size: uniforms.byteLength,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    const resultBuffer = this.device.createBuffer({
+      size: 16,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    });
+    const readbackBuffer = this.device.createBuffer({
+      size: 16,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    this.device.queue.writeBuffer(paramBuffer, 0, uniforms);
+
+    const bindGroup = this.device.createBindGroup({
+      layout: this.pickPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: paramBuffer } },
+        { binding: 1, resource: texture.createView({ dimension: '3d' }) },
+        { binding: 2, resource: { buffer: resultBuffer } },
+      ],
+    });
+    const encoder = this.device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(this.pickPipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(1);
+    pass.end();
+    encoder.copyBufferToBuffer(resultBuffer, 0, readbackBuffer, 0, 16);
+    this.device.queue.submit([encoder.finish()]);
+
+    try {
+      await readbackBuffer.mapAsync(GPUMapMode.READ);
+      const [x, y, z, hit] = new Float32Array(readbackBuffer.getMappedRange().slice(0));
+      readbackBuffer.unmap();
+      // Texture position → cell index space (cell i is centered at i + 0.5)
+      return { cell: [x, y, z].map((v, i) => v * gridDims[i] - 0.5), hit: hit > 0.5 };
+    } finally {
+      paramBuffer.destroy();
+      resultBuffer.destroy();
+      readbackBuffer.destroy();
+    }
+  }
+
+  /**
+   * Extract the surface where the current field's energy crosses an iso level
+   *
+   * Marching cubes on the GPU: one pass counts the vertices, a second writes
+   * them into a buffer of exactly that size. Both run on a copy of the field
+   * taken at the current step, so the loop can keep stepping meanwhile.
+   * Energy is the largest channel of the ones isosurface rendering follows:
+   * the active species, or terrain alone in the terrain view.
+   *
+   * @param {number} [isoLevel] - Surface energy (defaults to the isoLevel param)
+   * @returns {Promise<Object>} Indexed mesh from weldMeshVertices(), plus the
+   *   gridDims, isoLevel and step it was taken at
+   * @throws {Error} If the mesh is larger than one storage buffer binding
+   */
+  async extractMesh(isoLevel = this.params.isoLevel ?? DEFAULT_PARAMS.isoLevel) {
+    const gridDims = [...this.gridDims];
+    const step = this.stepCount;
+    const [nx, ny, nz] = gridDims;
+    const field = createFieldTexture(this.device, gridDims);
+    const uniforms = new ArrayBuffer(32);
+    const terrainOnly = isTerrainEnabled(this.params) && this.params.viewMode === 2;
+    const channelMask = terrainOnly ? 1 << TERRAIN_CHANNEL : (1 << getActiveSpeciesCount(this.params)) - 1;
+    new Uint32Array(uniforms, 0, 4).set([...gridDims, channelMask]);
+    new Float32Array(uniforms, 16, 4).set([isoLevel, 0, 0, 0]);
+    const paramBuffer = this.device.createBuffer({
+      size: uniforms.byteLength,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    const counterBuffer = this.device.createBuffer({
+      size: 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    });
+    const counterReadback = this.device.createBuffer({
+      size: 4,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    const buffers = [paramBuffer, counterBuffer, counterReadback];
+    this.device.queue.writeBuffer(paramBuffer, 0, uniforms);
+
+    // Cubes start one cell before the grid, so there is one more per axis than cells
+    const dispatch = (encoder, pipeline, entries) => {
+      const pass = encoder.beginComputePass();
+      pass.setPipeline(pipeline);
+      pass.setBindGroup(0, this.device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries }));
+      pass.dispatchWorkgroups(
+        Math.ceil((nx + 1) / WORKGROUP_SIZE_X),
+        Math.ceil((ny + 1) / WORKGROUP_SIZE_Y),
+        Math.ceil((nz + 1) / WORKGROUP_SIZE_Z),
+      );
+      pass.end();
+    };
+    const entries = [
+      { binding: 0, resource: { buffer: paramBuffer } },
+      { binding: 1, resource: field.createView({ dimension: '3d' }) },
+      { binding: 2, resource: { buffer: this.triangleTableBuffer } },
+      { binding: 3, resource: { buffer: counterBuffer } },
+    ];
+
+    try {
+      const encoder = this.device.createCommandEncoder();
+      encoder.copyTextureToTexture(
+        { texture: this.fieldTextures[this.currentIndex] },
+        { texture: field },
+        { width: nx, height: ny, depthOrArrayLayers: nz },
+      );
+      dispatch(encoder, this.meshPipelines.count, entries);
+      encoder.copyBufferToBuffer(counterBuffer, 0, counterReadback, 0, 4);
+      this.device.queue.submit([encoder.finish()]);
+      await counterReadback.mapAsync(GPUMapMode.READ);
+      const vertexCount = new Uint32Array(counterReadback.getMappedRange())[0];
+      counterReadback.unmap();
+
+      const meta = { gridDims, isoLevel, step };
+      if (vertexCount === 0) {
+        return { ...weldMeshVertices(new ArrayBuffer(0)), ...meta };
+      }
+      const bytes = vertexCount * MESH_VERTEX_BYTES;
+      if (bytes > this.device.limits.maxStorageBufferBindingSize) {
+        throw new Error(
+          `Mesh has ${vertexCount / 3} triangles, more than this device can read back at once; raise the iso level`,
+        );
+      }
+      const vertexBuffer = this.device.createBuffer({
+        size: bytes,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+      });
+      const vertexReadback = this.device.createBuffer({
+        size: bytes,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+      });
+      buffers.push(vertexBuffer, vertexReadback);
+
+      this.device.queue.writeBuffer(counterBuffer, 0, new Uint32Array([0]));
+      const emitEncoder = this.device.createCommandEncoder();
+      dispatch(emitEncoder, this.meshPipelines.emit, [
+        ...entries,
+        { binding: 4, resource: { buffer: vertexBuffer } },
+      ]);
+      emitEncoder.copyBufferToBuffer(vertexBuffer, 0, vertexReadback, 0, bytes);
+      this.device.queue.submit([emitEncoder.finish()]);
+      await vertexReadback.mapAsync(GPUMapMode.READ);
+      const mesh = weldMeshVertices(vertexReadback.getMappedRange().slice(0));
+      vertexReadback.unmap();
+      return { ...mesh, ...meta };
+    } finally {
+      field.destroy();
+      for (const buffer of buffers) buffer.destroy();
+    }
+  }
+
+  /**
+   * Set or clear the mouse brush applied on every step
+   *
+   * Brush strokes are user input: a run touched by the brush no longer
+   * replays from params + seed alone.
+   *
+   * @param {{center:number[], radius:number, mode:string}|null} brush - Mode from INTERACTION_MODES
+   */
+  setBrush(brush) {
+    this.brush = brush;
+    this.#writeParamsBuffer();
+  }
+
+  /**
+   * Switch the compute pass between convolution modes (rebuilds its pipeline)
+   *
+   * @param {string} mode - One of CONVOLUTION_MODES
+   */
+  setConvolution(mode) {
+    if (!CONVOLUTION_MODES.includes(mode)) {
+      throw new Error(`Unknown convolution mode: ${mode}`);
+    }
+    if (mode === 'tiled' && !this.#tiledConvolutionFits()) {
+      throw new Error('Tiled convolution does not fit this device\'s workgroup memory');
+    }
+    this.convolution = mode;
+    this.#createConvolution();
+  }
+
+  /**
+   * Convolution the next step will actually run
+   *
+   * 'fft' falls back to the texture-read pipeline on grids with an axis that is
+   * not a power of two, while terrain repel is on (it changes the kernel per cell)
+   * and while any axis has a non-periodic boundary (the FFT convolves on a torus).
+   *
+   * @returns {string} One of CONVOLUTION_MODES
+   */
+  activeConvolution() {
+    if (this.convolution !== 'fft') return this.convolution;
+    const terrainRepel = isTerrainEnabled(this.params) && this.params.terrainRepelCoef !== 0;
+    return this.spectral.supports(this.gridDims) && !terrainRepel && isFullyPeriodic(this.params)
+      ? 'fft'
+      : this.#textureConvolution();
+  }
+
+  /**
+   * Check the active convolution against the direct one (tiled while direct is selected)
+   *
+   * Runs one step of each from the current field into scratch textures and
+   * compares every channel. The run itself does not advance.
+   *
+   * @returns {Promise<{mode:string, maxAbsDiff:number, meanAbsDiff:number}>} Over all four channels
+   */
+  async checkConvolution() {
+    const mode = this.convolution === 'direct' ? 'tiled' : this.activeConvolution();
+    if (mode === 'tiled' && !this.#tiledConvolutionFits()) {
+      throw new Error('Tiled convolution does not fit this device\'s workgroup memory');
+    }
+    if (mode === 'direct') {
+      throw new Error('Only the direct convolution runs on this device');
+    }
+    const input = this.fieldTextures[this.currentIndex];
+    const outputs = [0, 1].map(() => createFieldTexture(this.device, this.gridDims));
+    this.#writeParamsBuffer();
+
+    const commandEncoder = this.device.createCommandEncoder();
+    this.#encodeComputePass(commandEncoder, this.#createComputePipeline('direct'), input, outputs[0]);
+    this.#encodeConvolution(commandEncoder, mode, input, outputs[1]);
+    this.device.queue.submit([commandEncoder.finish()]);
+
+    try {
+      const [direct, candidate] = await Promise.all(outputs.map((tex) => this.#readFieldTexture(tex)));
+      return { mode, ...compareFields(decodeHalfArray(candidate), decodeHalfArray(direct), 4) };
+    } finally {
+      outputs.forEach((tex) => tex.destroy());
+    }
+  }
 
-    this.#resizeCanvas();
-    window.addEventListener('resize', () => this.#resizeCanvas());
+  /**
+   * Check the compute step against the CPU reference (CpuSimulation3D.js)
+   *
+   * Runs the active convolution for a number of steps from the current field
+   * into scratch textures, and computeStep() for the same steps from a readback
+   * of that field, then compares every channel. Both hold the global average
+   * at its current value. The run itself does not advance.
+   *
+   * @param {number} [steps=CPU_CHECK_STEPS] - Steps on each side
+   * @returns {Promise<{mode:string, steps:number, maxAbsDiff:number, meanAbsDiff:number, passed:boolean}>}
+   *   passed: maxAbsDiff within CPU_CHECK_TOLERANCE
+   */
+  async compareWithCpu(steps = CPU_CHECK_STEPS) {
+    if (!(steps >= 1)) throw new Error('CPU check needs at least 1 step');
+    if (gridCellCount(this.gridDims) > CPU_CHECK_MAX_CELLS) {
+      throw new Error(`Grid too large for the CPU check (at most ${CPU_CHECK_MAX_CELLS} cells)`);
+    }
+    const mode = this.activeConvolution();
+    const gridDims = [...this.gridDims];
+    const params = { ...this.params };
+    const brush = this.brush;
+    const { seed, stepCount } = this;
+
+    // Everything is queued before the first await, so the loop cannot step in between
+    const start = this.readField();
+    const outputs = [0, 1].map(() => createFieldTexture(this.device, gridDims));
+    let input = this.fieldTextures[this.currentIndex];
+    for (let i = 0; i < steps; i++) {
+      this.#writeParamsBuffer(stepCount + i);
+      const commandEncoder = this.device.createCommandEncoder();
+      this.#encodeConvolution(commandEncoder, mode, input, outputs[i % 2]);
+      this.device.queue.submit([commandEncoder.finish()]);
+      input = outputs[i % 2];
+    }
     this.#writeParamsBuffer();
-    this.#start();
+
+    try {
+      const gpu = decodeHalfArray(await this.#readFieldTexture(input));
+      let cpu = await start;
+      let scratch = new Float32Array(cpu.length);
+      // Camera values only matter for rendering; compute ignores them
+      const camera = { yaw: 0, pitch: 0, distance: INITIAL_DISTANCE, offsetX: 0, offsetY: 0 };
+      for (let i = 0; i < steps; i++) {
+        computeStep(cpu, scratch, buildSimUniforms(params, gridDims, camera, { seed, step: stepCount + i }, brush));
+        [cpu, scratch] = [scratch, cpu];
+      }
+      const diff = compareFields(gpu, cpu, 4);
+      return { mode, steps, ...diff, passed: diff.maxAbsDiff <= CPU_CHECK_TOLERANCE };
+    } finally {
+      outputs.forEach((tex) => tex.destroy());
+    }
+  }
+
+  /**
+   * Stop the loop and free GPU resources (the device too, unless it was shared)
+   */
+  destroy() {
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    for (const tex of [...this.fieldTextures, ...this.reduceTextures]) tex.destroy();
+    for (const buffer of [...this.reduceParamBuffers, ...this.readbackPool]) buffer.destroy();
+    this.paramBuffer?.destroy();
+    this.triangleTableBuffer?.destroy();
+    this.playback?.texture.destroy();
+    this.kernelWeightTexture?.destroy();
+    this.spectral?.destroy();
+    if (this.ownsDevice) this.device?.destroy();
   }
 
+  /**
+   * Reallocate the field for a new grid and reseed
+   *
+   * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+   * @throws {Error} If the size is invalid or outside GRID_DIM_MIN..GRID_DIM_MAX (nothing changes)
+   */
   async resizeGrid(size) {
-    this.gridSize = size;
+    this.gridDims = toSupportedGridDims(size);
+    if (this.#clampKernelRadii()) this.spectral?.invalidateKernel();
     this.#createFieldTextures();
     this.#createReduceResources();
     this.reseed();
     this.#writeParamsBuffer();
   }
 
+  /**
+   * @param {string} key - Param name
+   * @param {*} value - New value
+   * @returns {*} Value applied (outer radii are clamped to getKernelRadiusLimit())
+   */
   updateParam(key, value) {
     if (key in this.params) {
+      if (isKernelRadiusParam(key)) {
+        value = Math.min(value, getKernelRadiusLimit(this.gridDims));
+      }
       this.params[key] = value;
+      if (isKernelParam(key) || key === 'speciesCount' || key === 'extendedMode') {
+        this.spectral?.invalidateKernel();
+      }
+      if (BOUNDARY_AXES.includes(key)) this.#createSampler();
       if (key === 'paletteMode') {
         // paletteMode lives in the camera vec4 slot; update immediately
         this.#writeParamsBuffer();
-        return;
+        return value;
       }
       this.#writeParamsBuffer();
     }
+    return value;
+  }
+
+  /** Camera heading in degrees (see Camera.yaw) */
+  get yaw() {
+    return this.camera.yaw;
+  }
+
+  /** Camera pitch in degrees (see Camera.pitch) */
+  get pitch() {
+    return this.camera.pitch;
+  }
+
+  /** Orbit distance (0 in fly mode) */
+  get distance() {
+    return this.camera.distance;
   }
 
   setRotation(yawDeg, pitchDeg) {
-    if (!this.device) {
-      // init not ready yet
-      this.yaw = yawDeg;
-      this.pitch = pitchDeg;
-      return;
-    }
-    this.yaw = yawDeg;
-    this.pitch = pitchDeg;
-    this.#writeParamsBuffer();
+    this.camera.setYawPitch(yawDeg, pitchDeg);
+    // init not ready yet
+    if (this.device) this.#writeParamsBuffer();
   }
 
   adjustRotation(dx, dy) {
-    this.yaw += dx * ROTATE_SENSITIVITY * (180 / Math.PI);
-    this.pitch += dy * ROTATE_SENSITIVITY * (180 / Math.PI);
-    const limit = 179.0;
-    this.pitch = Math.max(-limit, Math.min(limit, this.pitch));
+    this.camera.orbit(dx * ROTATE_SENSITIVITY, dy * ROTATE_SENSITIVITY);
     this.#writeParamsBuffer();
   }
 
   adjustDistance(delta) {
-    this.distance = Math.min(CAMERA_BOUNDS.max, Math.max(CAMERA_BOUNDS.min, this.distance * (1 + delta)));
+    this.camera.zoom(delta);
     this.#writeParamsBuffer();
   }
 
+  /**
+   * Slide the view with a pointer movement (see Camera.pan)
+   *
+   * @param {number} dx - CSS pixels to the right
+   * @param {number} dy - CSS pixels down
+   */
+  adjustPan(dx, dy) {
+    this.#panPixels(dx, dy);
+    this.#writeParamsBuffer();
+  }
+
+  /**
+   * Keep the camera moving after a gesture ends, slowing down by GESTURE_INERTIA_DECAY
+   *
+   * @param {Object|null} velocity - Per second, in the units of adjustRotation, adjustPan
+   *   and adjustDistance: { rotate: [dx, dy], pan: [dx, dy], zoom }; null stops the motion
+   */
+  setCameraInertia(velocity) {
+    this.cameraInertia = velocity ? { rotate: [0, 0], pan: [0, 0], zoom: 0, ...velocity, scale: 1 } : null;
+  }
+
+  /**
+   * Restore a camera state (Camera.toJSON(), e.g. a bookmark or a loaded preset)
+   *
+   * @param {Object} state
+   */
+  setCameraState(state) {
+    this.camera.setState(state);
+    if (this.device) this.#writeParamsBuffer();
+  }
+
+  /**
+   * @param {Object} options
+   * @param {number} [options.fov] - Vertical field of view in degrees
+   * @param {string} [options.projection] - One of CAMERA_PROJECTIONS
+   * @param {string} [options.mode] - One of CAMERA_MODES
+   */
+  setCameraOptions({ fov, projection, mode } = {}) {
+    if (fov !== undefined) this.camera.setFov(fov);
+    if (projection !== undefined) this.camera.setProjection(projection);
+    if (mode !== undefined) this.camera.setMode(mode);
+    if (this.device) this.#writeParamsBuffer();
+  }
+
   setKeyState(key, value) {
     if (key in this.keyState) {
       this.keyState[key] = value;
@@ -170,79 +746,249 @@ export class WebGPUSimulation3D {
     this.speed = speed;
   }
 
-  reseed() {
+  /**
+   * Restart the run from step 0
+   *
+   * @param {number} [seed=this.seed] - Run seed; the same seed reproduces the same field
+   */
+  reseed(seed = this.seed) {
+    this.seed = normalizeSeed(seed);
+    this.stepCount = 0;
+    this.pendingAverages = [];
+    this.params.globalAverage = 0;
     for (const tex of this.fieldTextures) {
-      seedTexture(this.device, tex, this.gridSize, SEED_ENERGY_MAX);
+      seedTexture(
+        this.device,
+        tex,
+        this.gridDims,
+        SEED_ENERGY_MAX,
+        this.seed,
+        getActiveSpeciesCount(this.params),
+        isTerrainEnabled(this.params),
+      );
+    }
+    this.#writeParamsBuffer();
+  }
+
+  /**
+   * Snapshot the full run state (both field textures included)
+   *
+   * Everything is captured at the current step before the first await, so
+   * the loop can keep running while the readback completes.
+   *
+   * @returns {Promise<Object>} State for createStateZip() / restoreState()
+   */
+  async captureState() {
+    const pending = this.pendingAverages.slice();
+    const meta = {
+      params: { ...this.params },
+      gridDims: [...this.gridDims],
+      seed: this.seed,
+      step: this.stepCount,
+      currentIndex: this.currentIndex,
+    };
+    const readbacks = this.fieldTextures.map((tex) => this.#readFieldTexture(tex));
+    const textures = await Promise.all(readbacks);
+    // Samples taken before the snapshot must be resolved to resume exactly
+    await Promise.all(pending.map((sample) => sample.ready));
+    return {
+      ...meta,
+      pendingAverages: pending.map(({ step, value }) => ({ step, value })),
+      textures,
+    };
+  }
+
+  /**
+   * Resume a run from captureState() output
+   *
+   * @param {Object} state - Captured (or loaded) state
+   * @throws {Error} If the grid is invalid or outside GRID_DIM_MIN..GRID_DIM_MAX (nothing changes)
+   */
+  restoreState(state) {
+    const dims = toSupportedGridDims(state.gridDims);
+    if (!sameGridDims(dims, this.gridDims)) {
+      this.gridDims = dims;
+      this.#createFieldTextures();
+      this.#createReduceResources();
+    }
+    this.params = { ...this.params, ...state.params };
+    this.#clampKernelRadii();
+    this.#createSampler();
+    this.seed = normalizeSeed(state.seed);
+    this.stepCount = state.step;
+    this.pendingAverages = (state.pendingAverages || []).map(({ step, value }) => ({
+      step,
+      value,
+      ready: Promise.resolve(),
+    }));
+    state.textures.forEach((texels, i) => {
+      writeFieldTextureHalf(this.device, this.fieldTextures[i], this.gridDims, texels);
+    });
+    this.currentIndex = state.currentIndex;
+    this.spectral?.invalidateKernel();
+    this.#writeParamsBuffer();
+  }
+
+  /**
+   * Show recorded frames instead of the live field
+   *
+   * Steps are suspended until stopPlayback(); rendering, the camera and the
+   * display params work as usual. Frames render in the recorded grid's box
+   * with the recorded species layout, whatever the live grid is; downsampled
+   * frames are stretched over it by the sampler.
+   *
+   * @param {Object} sequence - From readSequenceZip()
+   */
+  startPlayback(sequence) {
+    this.stopPlayback();
+    const { speciesCount, extendedMode } = sequence.params ?? {};
+    const layout = Object.fromEntries(
+      Object.entries({ speciesCount, extendedMode }).filter(([, v]) => v !== undefined),
+    );
+    this.playback = {
+      gridDims: [...sequence.gridDims],
+      frameDims: [...sequence.frameDims],
+      layout,
+      texture: createFieldTexture(this.device, sequence.frameDims),
+    };
+    this.#writeParamsBuffer();
+  }
+
+  /**
+   * Upload one recorded frame for display
+   *
+   * @param {{bytes:Uint8Array, scale:number[]}} frame - Entry of sequence.frames
+   */
+  showPlaybackFrame(frame) {
+    if (!this.playback) throw new Error('No sequence is loaded for playback');
+    const texels = encodeHalfArray(dequantizeFrame(frame.bytes, frame.scale));
+    writeFieldTextureHalf(this.device, this.playback.texture, this.playback.frameDims, texels);
+  }
+
+  /**
+   * Draw the current field now instead of waiting for the next animation frame,
+   * so the canvas can be captured right after a step
+   */
+  renderFrame() {
+    if (this.renderPipeline) this.#renderPass();
+  }
+
+  /**
+   * Return to the live field and resume stepping
+   */
+  stopPlayback() {
+    if (!this.playback) return;
+    this.playback.texture.destroy();
+    this.playback = null;
+    this.#writeParamsBuffer();
+  }
+
+  /**
+   * Pull outer radii down to what the current grid supports
+   *
+   * @private
+   * @returns {boolean} Whether any radius changed
+   */
+  #clampKernelRadii() {
+    const { params, clamped } = clampKernelRadii(this.params, this.gridDims);
+    if (clamped.length === 0) return false;
+    console.warn(
+      `${clamped.join(', ')} clamped to ${getKernelRadiusLimit(this.gridDims)} on a ${formatGridDims(this.gridDims)} grid`,
+    );
+    this.params = params;
+    return true;
+  }
+
+  async #readFieldTexture(texture) {
+    const [nx, ny, nz] = this.gridDims;
+    const rowBytes = nx * 4 * 2; // rgba16float
+    const bytesPerRow = Math.ceil(rowBytes / 256) * 256; // copy rows must be 256-aligned
+    const buffer = this.device.createBuffer({
+      size: bytesPerRow * ny * nz,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    const encoder = this.device.createCommandEncoder();
+    encoder.copyTextureToBuffer(
+      { texture },
+      { buffer, bytesPerRow, rowsPerImage: ny },
+      { width: nx, height: ny, depthOrArrayLayers: nz },
+    );
+    this.device.queue.submit([encoder.finish()]);
+
+    await buffer.mapAsync(GPUMapMode.READ);
+    const mapped = new Uint8Array(buffer.getMappedRange());
+    const out = new Uint16Array(nx * ny * nz * 4);
+    const outBytes = new Uint8Array(out.buffer);
+    for (let row = 0; row < ny * nz; row++) {
+      outBytes.set(mapped.subarray(row * bytesPerRow, row * bytesPerRow + rowBytes), row * rowBytes);
     }
+    buffer.unmap();
+    buffer.destroy();
+    return out;
   }
 
   #createFieldTextures() {
-    this.fieldTextures = [0, 1].map(() => createFieldTexture(this.device, this.gridSize));
+    this.fieldTextures = [0, 1].map(() => createFieldTexture(this.device, this.gridDims));
     this.currentIndex = 0;
   }
 
   #createReduceResources() {
-    // build downsample chain of textures down to 1x1x1
+    // build downsample chain of textures down to 1x1x1 (each axis halves, rounding up)
     this.reduceChain = [];
     this.reduceTextures = [];
-    let size = this.gridSize;
-    while (size > 1) {
-      const next = Math.max(1, Math.floor(size / 2));
-      this.reduceChain.push({ from: size, to: next });
-      const tex = this.device.createTexture({
-        dimension: '3d',
-        size: { width: next, height: next, depthOrArrayLayers: next },
-        format: 'r32float',
-        usage:
-          GPUTextureUsage.STORAGE_BINDING |
-          GPUTextureUsage.TEXTURE_BINDING |
-          GPUTextureUsage.COPY_SRC,
-      });
-      this.reduceTextures.push(tex);
+    let size = this.gridDims;
+    let block = 1;
+    while (size.some((n) => n > 1)) {
+      const next = halveGridDims(size);
+      this.reduceChain.push({ from: size, to: next, block });
+      this.reduceTextures.push(createReduceTexture(this.device, next));
       size = next;
+      block *= 2;
     }
 
-    this.reduceParamBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    this.readbackBuffer = this.device.createBuffer({
-      size: 256,
-      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    // One uniform per level: all levels are encoded into a single submit, so a
+    // shared buffer would leave every pass seeing the last level's size.
+    this.reduceParamBuffers = this.reduceChain.map(({ to, block }) => {
+      const buffer = this.device.createBuffer({
+        size: 32,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      });
+      this.device.queue.writeBuffer(buffer, 0, new Uint32Array([...to, 0, ...this.gridDims, block]));
+      return buffer;
     });
   }
 
   #createPipelines() {
-    const computeModule = this.device.createShaderModule({
-      code: getComputeShader(KERNEL_SIZE, WORKGROUP_SIZE_X, WORKGROUP_SIZE_Y, WORKGROUP_SIZE_Z),
+    this.computeModule = this.device.createShaderModule({
+      code: getComputeShader(TILE_HALO, WORKGROUP_SIZE_X, WORKGROUP_SIZE_Y, WORKGROUP_SIZE_Z),
     });
 
-    this.computePipeline = this.device.createComputePipeline({
-      layout: 'auto',
-      compute: {
-        module: computeModule,
-        entryPoint: 'main',
-      },
-    });
+    // The tiled slab must fit the device's workgroup memory; otherwise convolve directly
+    if (this.convolution === 'tiled' && !this.#tiledConvolutionFits()) {
+      console.warn('Tiled convolution does not fit this device\'s workgroup memory; using direct');
+      this.convolution = 'direct';
+    }
+    this.#createConvolution();
 
-    const renderModule = this.device.createShaderModule({
-      code: getRenderShader(),
-    });
+    if (this.format) {
+      const renderModule = this.device.createShaderModule({
+        code: getRenderShader(),
+      });
 
-    this.renderPipeline = this.device.createRenderPipeline({
-      layout: 'auto',
-      vertex: {
-        module: renderModule,
-        entryPoint: 'vs',
-      },
-      fragment: {
-        module: renderModule,
-        entryPoint: 'fs',
-        targets: [{ format: this.format }],
-      },
-      primitive: { topology: 'triangle-list' },
-    });
+      this.renderPipeline = this.device.createRenderPipeline({
+        layout: 'auto',
+        vertex: {
+          module: renderModule,
+          entryPoint: 'vs',
+        },
+        fragment: {
+          module: renderModule,
+          entryPoint: 'fs',
+          targets: [{ format: this.format }],
+        },
+        primitive: { topology: 'triangle-list' },
+      });
+    }
 
     const reduceModule = this.device.createShaderModule({
       code: getReduceShader(WORKGROUP_SIZE_X, WORKGROUP_SIZE_Y, WORKGROUP_SIZE_Z),
@@ -251,11 +997,78 @@ export class WebGPUSimulation3D {
       layout: 'auto',
       compute: { module: reduceModule, entryPoint: 'main' },
     });
+
+    const pickModule = this.device.createShaderModule({ code: getPickShader() });
+    this.pickPipeline = this.device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: pickModule, entryPoint: 'main' },
+    });
+
+    const meshModule = this.device.createShaderModule({
+      code: getMarchingCubesShader(WORKGROUP_SIZE_X, WORKGROUP_SIZE_Y, WORKGROUP_SIZE_Z),
+    });
+    const meshPipeline = (entryPoint) =>
+      this.device.createComputePipeline({ layout: 'auto', compute: { module: meshModule, entryPoint } });
+    this.meshPipelines = { count: meshPipeline('countTriangles'), emit: meshPipeline('emitTriangles') };
+    this.triangleTableBuffer = this.device.createBuffer({
+      size: TRIANGLE_TABLE.byteLength,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+    this.device.queue.writeBuffer(this.triangleTableBuffer, 0, TRIANGLE_TABLE);
+  }
+
+  #tiledConvolutionFits() {
+    const slabBytes = getComputeSlabBytes(TILE_HALO, WORKGROUP_SIZE_X, WORKGROUP_SIZE_Y);
+    return slabBytes <= this.device.limits.maxComputeWorkgroupStorageSize;
+  }
+
+  // Texture-read convolution behind computePipeline (the fallback while 'fft' is selected)
+  #textureConvolution() {
+    if (this.convolution !== 'fft') return this.convolution;
+    return this.#tiledConvolutionFits() ? 'tiled' : 'direct';
   }
 
-  #createComputeBindGroup(readTexture, writeTexture) {
+  #createConvolution() {
+    this.computePipeline = this.#createComputePipeline(this.#textureConvolution());
+    if (this.convolution === 'fft' && !this.spectral) {
+      this.spectral = new SpectralConvolution(this.device, this.computeModule, {
+        paramBuffer: this.paramBuffer,
+        kernelWeightTexture: this.kernelWeightTexture,
+      });
+    }
+  }
+
+  #createComputePipeline(mode) {
+    return this.device.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: this.computeModule,
+        entryPoint: COMPUTE_ENTRY_POINTS[mode],
+      },
+    });
+  }
+
+  /**
+   * Render sampler: linear filtering wraps across periodic faces and stops at the others
+   *
+   * @private
+   */
+  #createSampler() {
+    const [u, v, w] = getBoundaryModes(this.params).map((mode) =>
+      BOUNDARY_MODES[mode] === 'periodic' ? 'repeat' : 'clamp-to-edge',
+    );
+    this.sampler = this.device.createSampler({
+      magFilter: 'linear',
+      minFilter: 'linear',
+      addressModeU: u,
+      addressModeV: v,
+      addressModeW: w,
+    });
+  }
+
+  #createComputeBindGroup(pipeline, readTexture, writeTexture) {
     return this.device.createBindGroup({
-      layout: this.computePipeline.getBindGroupLayout(0),
+      layout: pipeline.getBindGroupLayout(0),
       entries: [
         { binding: 0, resource: { buffer: this.paramBuffer } },
         { binding: 1, resource: readTexture.createView({ dimension: '3d' }) },
@@ -276,31 +1089,42 @@ export class WebGPUSimulation3D {
     });
   }
 
-  #createReduceBindGroup(input, output, toSize) {
-    const outSize = new Uint32Array([toSize, toSize, toSize, 0]);
-    this.device.queue.writeBuffer(this.reduceParamBuffer, 0, outSize.buffer);
+  #createReduceBindGroup(input, output, level) {
     return this.device.createBindGroup({
       layout: this.reducePipeline.getBindGroupLayout(0),
       entries: [
-        { binding: 0, resource: { buffer: this.reduceParamBuffer } },
+        { binding: 0, resource: { buffer: this.reduceParamBuffers[level] } },
         { binding: 1, resource: input.createView({ dimension: '3d' }) },
         { binding: 2, resource: output.createView({ dimension: '3d' }) },
       ],
     });
   }
 
-  #writeParamsBuffer() {
+  #writeParamsBuffer(step = this.stepCount) {
+    // Nothing steps during playback, so the uniform can describe the recorded grid
+    const gridDims = this.playback ? this.playback.gridDims : this.gridDims;
     const camera = {
       yaw: this.yaw,
       pitch: this.pitch,
       distance: this.distance,
-      offsetX: this.offsetX,
-      offsetY: this.offsetY,
+      offsetX: this.camera.target[0],
+      offsetY: this.camera.target[1],
+      aspect: this.#canvasAspect(),
+      view: this.#cameraBasis(gridDims),
     };
-    const buffer = packSimParams(this.params, this.gridSize, camera);
+    const run = { seed: this.seed, step };
+    const buffer = this.playback
+      ? packSimParams({ ...this.params, ...this.playback.layout }, gridDims, camera, run, null)
+      : packSimParams(this.params, gridDims, camera, run, this.brush);
     this.device.queue.writeBuffer(this.paramBuffer, 0, buffer);
   }
 
+  // Ray basis for the 3D view (the canvas minus the orthoview column) of a grid's box
+  #cameraBasis(gridDims) {
+    const center = gridExtent(gridDims).map((e) => e * 0.5);
+    return this.camera.rayBasis(volumeViewAspect(this.params, this.#canvasAspect()), center);
+  }
+
   #start() {
     const loop = () => {
       this.#step();
@@ -315,66 +1139,134 @@ export class WebGPUSimulation3D {
     this.#updateCamera(dt);
     this.lastStepTime = now;
 
-    if (this.speed > 0) {
-      for (let i = 0; i < this.speed; i++) {
-        this.#computePass();
-      }
-    }
-    this.frameCounter++;
-    if (this.frameCounter % GLOBAL_AVG_INTERVAL === 0) {
-      this.#reducePassAndRead();
+    for (let i = 0; i < this.speed && !this.playback; i++) {
+      if (!this.#advance()) break;
     }
     this.#renderPass();
     this.#updateFps();
   }
 
+  // WASD moves along the view (W/S) and sideways (A/D), Q/E up and down the
+  // screen; in orbit mode this carries the orbit target, in fly mode the eye.
+  // Gesture inertia carries on at its decaying velocity.
   #updateCamera(dt) {
-    const yawRad = (this.yaw * Math.PI) / 180;
-    const forward = { x: Math.sin(yawRad), z: Math.cos(yawRad) };
-    const right = { x: forward.z, z: -forward.x };
-    const speed = PAN_SPEED * dt;
-    if (this.keyState.w) {
-      this.offsetX += forward.x * speed;
-      this.offsetY += forward.z * speed;
+    const keys = this.keyState;
+    const axis = (plus, minus) => (keys[plus] ? 1 : 0) - (keys[minus] ? 1 : 0);
+    const right = axis('d', 'a');
+    const up = axis('e', 'q');
+    const forward = axis('w', 's');
+    const moving = right !== 0 || up !== 0 || forward !== 0;
+    if (moving) {
+      const speed = PAN_SPEED * dt;
+      this.camera.move(right * speed, up * speed, forward * speed);
     }
-    if (this.keyState.s) {
-      this.offsetX -= forward.x * speed;
-      this.offsetY -= forward.z * speed;
+    const inertia = this.cameraInertia;
+    if (inertia) {
+      const f = inertia.scale * dt;
+      this.camera.orbit(inertia.rotate[0] * f * ROTATE_SENSITIVITY, inertia.rotate[1] * f * ROTATE_SENSITIVITY);
+      this.#panPixels(inertia.pan[0] * f, inertia.pan[1] * f);
+      this.camera.zoom(inertia.zoom * f);
+      inertia.scale *= Math.exp(-GESTURE_INERTIA_DECAY * dt);
+      if (inertia.scale < GESTURE_INERTIA_STOP) this.cameraInertia = null;
     }
-    if (this.keyState.a) {
-      this.offsetX -= right.x * speed;
-      this.offsetY -= right.z * speed;
+    if (!moving && !inertia) return;
+    this.#writeParamsBuffer();
+    if (this.onCameraMove) this.onCameraMove();
+  }
+
+  // Pixels → fractions of the view height for Camera.pan
+  #panPixels(dx, dy) {
+    const height = this.canvas?.clientHeight || 1;
+    this.camera.pan(dx / height, dy / height);
+  }
+
+  /**
+   * Advance the field by one step, honoring the global-average schedule
+   *
+   * @returns {boolean} false if a due average sample has not been read back yet
+   * @private
+   */
+  #advance() {
+    const due = averageSampleDueAt(this.stepCount);
+    if (due >= 0) {
+      const sample = this.pendingAverages[0];
+      if (!sample || sample.step !== due || sample.value === null) {
+        return false; // stall this frame; the readback resolves before the next one
+      }
+      this.pendingAverages.shift();
+      this.params.globalAverage = sample.value;
     }
-    if (this.keyState.d) {
-      this.offsetX += right.x * speed;
-      this.offsetY += right.z * speed;
+    if (isAverageSampleStep(this.stepCount)) {
+      const sample = { step: this.stepCount, value: null, ready: null };
+      this.pendingAverages.push(sample);
+      sample.ready = this.#reducePassAndRead(sample);
     }
-    const maxOffset = 0.5;
-    this.offsetX = Math.max(-maxOffset, Math.min(maxOffset, this.offsetX));
-    this.offsetY = Math.max(-maxOffset, Math.min(maxOffset, this.offsetY));
+    this.#writeParamsBuffer();
+    this.#computePass();
+    this.stepCount++;
+    if (this.onStep) this.onStep(this.stepCount);
+    return true;
   }
 
   #computePass() {
     const readTex = this.fieldTextures[this.currentIndex];
     const writeTex = this.fieldTextures[1 - this.currentIndex];
-    const bindGroup = this.#createComputeBindGroup(readTex, writeTex);
 
     const commandEncoder = this.device.createCommandEncoder();
+    this.#encodeConvolution(commandEncoder, this.activeConvolution(), readTex, writeTex);
+    this.device.queue.submit([commandEncoder.finish()]);
+    this.currentIndex = 1 - this.currentIndex;
+  }
+
+  #encodeConvolution(commandEncoder, mode, readTex, writeTex) {
+    if (mode === 'fft') {
+      const speciesCount = getActiveSpeciesCount(this.params);
+      this.spectral.encode(commandEncoder, readTex, writeTex, this.params, this.gridDims, speciesCount);
+    } else {
+      const pipeline = mode === this.#textureConvolution() ? this.computePipeline : this.#createComputePipeline(mode);
+      this.#encodeComputePass(commandEncoder, pipeline, readTex, writeTex);
+    }
+  }
+
+  #encodeComputePass(commandEncoder, pipeline, readTex, writeTex) {
+    const bindGroup = this.#createComputeBindGroup(pipeline, readTex, writeTex);
     const pass = commandEncoder.beginComputePass();
-    pass.setPipeline(this.computePipeline);
+    pass.setPipeline(pipeline);
     pass.setBindGroup(0, bindGroup);
-    const gx = Math.ceil(this.gridSize / WORKGROUP_SIZE_X);
-    const gy = Math.ceil(this.gridSize / WORKGROUP_SIZE_Y);
-    const gz = Math.ceil(this.gridSize / WORKGROUP_SIZE_Z);
+    const [nx, ny, nz] = this.gridDims;
+    const gx = Math.ceil(nx / WORKGROUP_SIZE_X);
+    const gy = Math.ceil(ny / WORKGROUP_SIZE_Y);
+    const gz = Math.ceil(nz / WORKGROUP_SIZE_Z);
     pass.dispatchWorkgroups(gx, gy, gz);
     pass.end();
-    this.device.queue.submit([commandEncoder.finish()]);
-    this.currentIndex = 1 - this.currentIndex;
   }
 
-  async #reducePassAndRead() {
-    if (this.isReducing) return;
-    this.isReducing = true;
+  async #reducePassAndRead(sample) {
+    try {
+      sample.value = (await this.#readMoments()).mean;
+    } catch (err) {
+      // Keep the run alive (no longer reproducible) rather than stalling forever
+      console.warn('Global average readback failed:', err);
+      sample.value = this.params.globalAverage || 0;
+    }
+  }
+
+  /**
+   * Reduce the current field to its mean and mean-square energy
+   *
+   * @returns {Promise<{mean:number, meanSq:number}>}
+   * @private
+   */
+  async #readMoments() {
+    const readbackBuffer = this.readbackPool.pop() ?? this.device.createBuffer({
+      size: 256,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    // First level reads the field: w = species count to sum (later levels leave it 0)
+    const first = this.reduceChain[0].to;
+    const speciesCount = getActiveSpeciesCount(this.params);
+    this.device.queue.writeBuffer(this.reduceParamBuffers[0], 0, new Uint32Array([...first, speciesCount]));
+
     const commandEncoder = this.device.createCommandEncoder();
     let currentInput = this.fieldTextures[this.currentIndex];
 
@@ -382,13 +1274,13 @@ export class WebGPUSimulation3D {
     for (let i = 0; i < this.reduceChain.length; i++) {
       const { to } = this.reduceChain[i];
       const outputTex = this.reduceTextures[i];
-      const bindGroup = this.#createReduceBindGroup(currentInput, outputTex, to);
+      const bindGroup = this.#createReduceBindGroup(currentInput, outputTex, i);
       const pass = commandEncoder.beginComputePass();
       pass.setPipeline(this.reducePipeline);
       pass.setBindGroup(0, bindGroup);
-      const gx = Math.ceil(to / WORKGROUP_SIZE_X);
-      const gy = Math.ceil(to / WORKGROUP_SIZE_Y);
-      const gz = Math.ceil(to / WORKGROUP_SIZE_Z);
+      const gx = Math.ceil(to[0] / WORKGROUP_SIZE_X);
+      const gy = Math.ceil(to[1] / WORKGROUP_SIZE_Y);
+      const gz = Math.ceil(to[2] / WORKGROUP_SIZE_Z);
       pass.dispatchWorkgroups(gx, gy, gz);
       pass.end();
       currentInput = outputTex;
@@ -397,26 +1289,20 @@ export class WebGPUSimulation3D {
     // copy final 1x1x1 to buffer
     commandEncoder.copyTextureToBuffer(
       { texture: currentInput },
-      { buffer: this.readbackBuffer, bytesPerRow: 256, rowsPerImage: 1 },
+      { buffer: readbackBuffer, bytesPerRow: 256, rowsPerImage: 1 },
       { width: 1, height: 1, depthOrArrayLayers: 1 },
     );
     this.device.queue.submit([commandEncoder.finish()]);
 
-    try {
-      await this.readbackBuffer.mapAsync(GPUMapMode.READ);
-      const slice = this.readbackBuffer.getMappedRange();
-      const values = new Float32Array(slice.slice(0, 4));
-      const avg = values[0];
-      this.readbackBuffer.unmap();
-      this.params.globalAverage = avg;
-      this.#writeParamsBuffer();
-    } finally {
-      this.isReducing = false;
-    }
+    await readbackBuffer.mapAsync(GPUMapMode.READ);
+    const values = new Float32Array(readbackBuffer.getMappedRange().slice(0, 8));
+    readbackBuffer.unmap();
+    this.readbackPool.push(readbackBuffer);
+    return { mean: values[0], meanSq: values[1] };
   }
 
   #renderPass() {
-    const texture = this.fieldTextures[this.currentIndex];
+    const texture = this.playback?.texture ?? this.fieldTextures[this.currentIndex];
     const bindGroup = this.#createRenderBindGroup(texture);
     const encoder = this.device.createCommandEncoder();
     const view = this.context.getCurrentTexture().createView();
@@ -455,6 +1341,12 @@ export class WebGPUSimulation3D {
     const height = Math.floor(window.innerHeight * dpr);
     this.canvas.width = width;
     this.canvas.height = height;
+    // Slices keep their cells square, so the shader needs the new aspect
+    this.#writeParamsBuffer();
+  }
+
+  #canvasAspect() {
+    return this.canvas && this.canvas.height > 0 ? this.canvas.width / this.canvas.height : 1;
   }
 
   /**
@@ -465,20 +1357,8 @@ export class WebGPUSimulation3D {
    * @private
    */
   #createKernelWeightLUT() {
-    const size = 256;
-    const data = new Float32Array(size * 4); // rgba32float = 4 floats per pixel
-
-    // Pre-compute weight values: exp(-2 * t * t) where t ∈ [0, 1]
-    for (let i = 0; i < size; i++) {
-      const t = i / (size - 1); // Normalize to [0, 1]
-      const weight = Math.exp(-2.0 * t * t);
-
-      // Store in red channel
-      data[i * 4] = weight;
-      data[i * 4 + 1] = 0.0;
-      data[i * 4 + 2] = 0.0;
-      data[i * 4 + 3] = 1.0;
-    }
+    const size = KERNEL_LUT_SIZE;
+    const data = createKernelWeightLUTData(size); // rgba32float = 4 floats per pixel
 
     const texture = this.device.createTexture({
       dimension: '1d',
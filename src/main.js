@@ -5,32 +5,183 @@ import {
   INITIAL_YAW,
   INITIAL_PITCH,
   INITIAL_DISTANCE,
+  EXPLORER_GRID_SIZES,
+  EXPLORER_DEFAULT_STEPS,
+  MAX_SPECIES,
+  INTERACTION_MODES,
+  INTERACTION_RADIUS,
+  INTERACTION_MAX_RADIUS,
+  CONVOLUTION_MODES,
+  MAX_KERNEL_RADIUS,
+  GRID_DIM_MIN,
+  GRID_DIM_MAX,
+  BOUNDARY_MODES,
+  BOUNDARY_AXES,
+  RENDER_MODES,
+  SLICE_AXES,
+  TRANSFER_POINTS,
+  MESH_FORMATS,
+  VOLUME_FORMATS,
+  RECORD_DEFAULT_INTERVAL,
+  RECORD_DEFAULT_CAPACITY,
+  RECORD_DOWNSAMPLE_OPTIONS,
+  PLAYBACK_DEFAULT_FPS,
+  PLAYBACK_FPS_OPTIONS,
+  VIDEO_FPS_OPTIONS,
+  VIDEO_DEFAULT_FPS,
+  VIDEO_DEFAULT_STEPS_PER_FRAME,
+  GESTURE_VELOCITY_WINDOW_MS,
+  CAMERA_PATH_EASINGS,
+  CAMERA_PATH_DEFAULT_EASING,
+  CAMERA_PATH_DEFAULT_GAP,
+  STEREO_MODES,
+  STEREO_MAX_SEPARATION,
 } from './config/constants.js';
-import { DEFAULT_PARAMS, PARAM_SPECS } from './config/defaults.js';
+import {
+  DEFAULT_PARAMS,
+  PARAM_SPECS,
+  SPECIES_LABELS,
+  getSpeciesParamSpecs,
+  getInteractionParamSpecs,
+  getActiveSpeciesCount,
+  isTerrainEnabled,
+  getKernelRadiusLimit,
+  isKernelRadiusParam,
+  getBoundaryModes,
+  transferKey,
+  getTransferOpacities,
+} from './config/defaults.js';
 import { WebGPUSimulation3D } from './core/WebGPUSimulation3D.js';
+import { BatchExplorer, expandSweep } from './core/BatchExplorer.js';
+import { VolumeRecorder } from './core/VolumeRecorder.js';
+import { SequencePlayer } from './core/SequencePlayer.js';
+import { VideoRecorder } from './core/VideoRecorder.js';
+import { CameraPathPlayer } from './core/CameraPathPlayer.js';
+import { randomSeed } from './utils/random.js';
+import { createStateZip, readStateZip } from './utils/stateFile.js';
+import { readSequenceZip } from './utils/sequenceFile.js';
+import { createMeshBlob } from './utils/meshExport.js';
+import { createVolumeFiles } from './utils/volumeExport.js';
+import { pointerToNdc } from './utils/cameraRay.js';
+import { sliceCellIndex, sliceDepthOfCell } from './utils/sliceView.js';
+import { toGridDims, formatGridDims } from './utils/gridDims.js';
 
 const canvas = document.getElementById('canvas');
 const paramsContainer = document.getElementById('params');
 const gridSizeSelect = document.getElementById('gridSize');
+const gridDimInputs = ['gridX', 'gridY', 'gridZ'].map((id) => document.getElementById(id));
 const seedBtn = document.getElementById('seedBtn');
+const seedInput = document.getElementById('seedInput');
+const restartBtn = document.getElementById('restartBtn');
 const paletteSelect = document.getElementById('palette');
 const rayStepsSelect = document.getElementById('raySteps');
+const renderModeSelect = document.getElementById('renderMode');
+const transferGroup = document.getElementById('transferGroup');
+const isoGroup = document.getElementById('isoGroup');
+const isoInputs = ['isoLevel', 'aoStrength'].map((id) => document.getElementById(id));
+const orthoviewCheckbox = document.getElementById('orthoview');
+const stereoGroup = document.getElementById('stereoGroup');
+const stereoModeSelect = document.getElementById('stereoMode');
+const eyeSeparationGroup = document.getElementById('eyeSeparationGroup');
+const eyeSeparationInput = document.getElementById('eyeSeparation');
+const sliceGroup = document.getElementById('sliceGroup');
+const sliceAxisLabel = document.getElementById('sliceAxisLabel');
+const sliceAxisSelect = document.getElementById('sliceAxis');
+const sliceDepthInputs = SLICE_AXES.map((key) => document.getElementById(key));
+const transferEditor = document.getElementById('transferEditor');
+const transferResetBtn = document.getElementById('transferResetBtn');
 const neighborModeSelect = document.getElementById('neighborMode');
+const boundarySelects = BOUNDARY_AXES.map((key) => document.getElementById(key));
+const boundaryValueInput = document.getElementById('boundaryValue');
+const convolutionSelect = document.getElementById('convolution');
+const convolutionCheckBtn = document.getElementById('convolutionCheckBtn');
+const cpuCheckBtn = document.getElementById('cpuCheckBtn');
+const convolutionStatus = document.getElementById('convolutionStatus');
+const speciesCountSelect = document.getElementById('speciesCount');
+const extendedModeToggle = document.getElementById('extendedModeToggle');
+const viewModeSelect = document.getElementById('viewMode');
+const interactionModeSelect = document.getElementById('interactionMode');
+const brushRadiusInput = document.getElementById('brushRadius');
+const brushRadiusLabel = document.getElementById('brushRadiusLabel');
 const yawInput = document.getElementById('yaw');
 const yawLabel = document.getElementById('yawLabel');
 const pitchInput = document.getElementById('pitch');
 const pitchLabel = document.getElementById('pitchLabel');
+const cameraModeSelect = document.getElementById('cameraMode');
+const cameraProjectionSelect = document.getElementById('cameraProjection');
+const cameraFovInput = document.getElementById('cameraFov');
+const cameraFovLabel = document.getElementById('cameraFovLabel');
+const cameraBookmarkSelect = document.getElementById('cameraBookmark');
+const cameraGoBtn = document.getElementById('cameraGoBtn');
+const cameraSaveBtn = document.getElementById('cameraSaveBtn');
+const cameraDeleteBtn = document.getElementById('cameraDeleteBtn');
+const pathKeyframeSelect = document.getElementById('pathKeyframe');
+const pathDeleteBtn = document.getElementById('pathDeleteBtn');
+const pathTimeInput = document.getElementById('pathTime');
+const pathEasingSelect = document.getElementById('pathEasing');
+const pathKeyBtn = document.getElementById('pathKeyBtn');
+const pathParamsInput = document.getElementById('pathParams');
+const pathTimeline = document.getElementById('pathTimeline');
+const pathPlayBtn = document.getElementById('pathPlayBtn');
+const pathLoopCheckbox = document.getElementById('pathLoop');
+const pathStatus = document.getElementById('pathStatus');
 const saveBtn = document.getElementById('saveBtn');
+const saveStateBtn = document.getElementById('saveStateBtn');
 const loadInput = document.getElementById('loadInput');
+const meshFormatSelect = document.getElementById('meshFormat');
+const exportMeshBtn = document.getElementById('exportMeshBtn');
+const volumeFormatSelect = document.getElementById('volumeFormat');
+const exportVolumeBtn = document.getElementById('exportVolumeBtn');
+const recordIntervalInput = document.getElementById('recordInterval');
+const recordCapacityInput = document.getElementById('recordCapacity');
+const recordDownsampleSelect = document.getElementById('recordDownsample');
+const recordBtn = document.getElementById('recordBtn');
+const saveSequenceBtn = document.getElementById('saveSequenceBtn');
+const recordStatus = document.getElementById('recordStatus');
+const videoStepsPerFrameInput = document.getElementById('videoStepsPerFrame');
+const videoFpsSelect = document.getElementById('videoFps');
+const videoOrbitInput = document.getElementById('videoOrbit');
+const videoFollowPathCheckbox = document.getElementById('videoFollowPath');
+const videoBtn = document.getElementById('videoBtn');
+const videoStatus = document.getElementById('videoStatus');
+const sequenceInput = document.getElementById('sequenceInput');
+const playbackControls = document.getElementById('playbackControls');
+const playbackTimeline = document.getElementById('playbackTimeline');
+const playbackPrevBtn = document.getElementById('playbackPrevBtn');
+const playbackPlayBtn = document.getElementById('playbackPlayBtn');
+const playbackNextBtn = document.getElementById('playbackNextBtn');
+const playbackFpsSelect = document.getElementById('playbackFps');
+const playbackLoopCheckbox = document.getElementById('playbackLoop');
+const playbackStatus = document.getElementById('playbackStatus');
+const playbackCloseBtn = document.getElementById('playbackCloseBtn');
 const fpsLabel = document.getElementById('fps');
+const stepLabel = document.getElementById('stepCount');
 const speedDisplay = document.getElementById('speedDisplay');
 const filterLowCheckbox = document.getElementById('filterLow');
 const filterMidLowCheckbox = document.getElementById('filterMidLow');
 const filterMidHighCheckbox = document.getElementById('filterMidHigh');
 const filterHighCheckbox = document.getElementById('filterHigh');
+const sweepRanges = document.getElementById('sweepRanges');
+const addRangeBtn = document.getElementById('addRangeBtn');
+const sweepStepsInput = document.getElementById('sweepSteps');
+const sweepGridSelect = document.getElementById('sweepGrid');
+const sweepRunBtn = document.getElementById('sweepRunBtn');
+const sweepCancelBtn = document.getElementById('sweepCancelBtn');
+const sweepStatus = document.getElementById('sweepStatus');
+const sweepResults = document.getElementById('sweepResults');
+const sweepSummary = document.getElementById('sweepSummary');
+const sweepCloseBtn = document.getElementById('sweepCloseBtn');
+const sweepTable = document.getElementById('sweepTable');
 
 let lastNonZeroSpeed = 1;
 let captureDirHandle = null;
+let explorer = null;
+let sweepSort = { column: 'index', dir: 1 };
+// Named camera states { name, camera: Camera.toJSON() }, saved with the JSON export
+let cameraBookmarks = [];
+// Param groups for species B–D, indexed by species (0 = interactions)
+const speciesGroups = [];
+let terrainGroup = null;
 
 // localStorage: Collapsible 그룹 상태 관리
 const STORAGE_KEY = 'wigle-u-3d-collapsed-groups';
@@ -65,19 +216,90 @@ const sim = new WebGPUSimulation3D({
   pitch: INITIAL_PITCH,
   distance: INITIAL_DISTANCE,
 });
+const recorder = new VolumeRecorder(sim);
+const player = new SequencePlayer(sim);
+const videoRecorder = new VideoRecorder(sim);
+const cameraPath = new CameraPathPlayer(sim);
 
 initControls();
+initExplorer();
+initRecorder();
+initVideo();
+initPlayer();
+initCameraPath();
 await sim.init();
+convolutionSelect.value = sim.convolution; // may have fallen back to direct
 updateUIFromParams(sim.params);
 
+// FFT falls back to a texture-read convolution on some grids, with walls and with terrain repel
+function updateConvolutionStatus() {
+  const active = sim.activeConvolution();
+  convolutionStatus.textContent =
+    active === sim.convolution
+      ? ''
+      : `Running ${active}: FFT needs power-of-two axes, periodic boundaries and no terrain repel`;
+}
+
 function initControls() {
   GRID_SIZE_PRESETS.forEach((p) => {
     const option = document.createElement('option');
-    option.value = p.value;
+    option.value = gridOptionValue(toGridDims(p.value));
     option.textContent = p.label;
-    if (p.value === DEFAULT_GRID_SIZE) option.selected = true;
     gridSizeSelect.appendChild(option);
   });
+  const customOption = document.createElement('option');
+  customOption.value = 'custom';
+  customOption.textContent = 'Custom (X × Y × Z)';
+  customOption.disabled = true; // chosen by editing the inputs
+  gridSizeSelect.appendChild(customOption);
+  gridDimInputs.forEach((input) => {
+    input.min = GRID_DIM_MIN;
+    input.max = GRID_DIM_MAX;
+  });
+  syncGridControls();
+
+  const convolutionLabels = { tiled: 'Tiled (shared memory)', direct: 'Direct', fft: 'FFT (power-of-two grids)' };
+  CONVOLUTION_MODES.forEach((mode) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = convolutionLabels[mode];
+    convolutionSelect.appendChild(option);
+  });
+
+  INTERACTION_MODES.forEach((mode) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = mode[0].toUpperCase() + mode.slice(1);
+    interactionModeSelect.appendChild(option);
+  });
+  const meshFormatLabels = { obj: 'OBJ', stl: 'STL (binary)', ply: 'PLY (binary)' };
+  MESH_FORMATS.forEach((format) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = meshFormatLabels[format];
+    meshFormatSelect.appendChild(option);
+  });
+  const volumeFormatLabels = { nrrd: 'NRRD', vti: 'VTK Image (.vti)', raw: 'Raw (.bin + .json)' };
+  VOLUME_FORMATS.forEach((format) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = volumeFormatLabels[format];
+    volumeFormatSelect.appendChild(option);
+  });
+  boundarySelects.forEach((select) => {
+    BOUNDARY_MODES.forEach((mode, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = mode[0].toUpperCase() + mode.slice(1);
+      select.appendChild(option);
+    });
+  });
+  brushRadiusInput.max = INTERACTION_MAX_RADIUS;
+  brushRadiusInput.value = INTERACTION_RADIUS;
+  brushRadiusLabel.textContent = INTERACTION_RADIUS;
+  brushRadiusInput.addEventListener('input', (e) => {
+    brushRadiusLabel.textContent = e.target.value;
+  });
 
   const makeControl = (spec) => {
     const wrapper = document.createElement('div');
@@ -109,10 +331,11 @@ function initControls() {
     number.dataset.key = spec.key;
 
     const onChange = (val, key) => {
-      sim.updateParam(key, val);
-      slider.value = val;
-      number.value = val;
-      updateValueLabel(key, val);
+      const applied = sim.updateParam(key, val);
+      if (key === 'terrainRepelCoef') updateConvolutionStatus();
+      slider.value = applied;
+      number.value = applied;
+      updateValueLabel(key, applied);
     };
 
     slider.addEventListener(
@@ -152,7 +375,8 @@ function initControls() {
   const tension = PARAM_SPECS.slice(0, 4);
   const economy = PARAM_SPECS.slice(4, 7);
   const growth = PARAM_SPECS.slice(7, 10);
-  const globalMod = PARAM_SPECS.slice(10);
+  const globalMod = PARAM_SPECS.slice(10, 13);
+  const terrain = PARAM_SPECS.slice(13);
 
   const addGroup = (title, specs) => {
     // 그룹 컨테이너
@@ -193,23 +417,35 @@ function initControls() {
       const control = makeControl(spec);
       content.appendChild(control);
     });
+    return group;
   };
 
   addGroup('Dynamic Tension', tension);
   addGroup('Energy Economy', economy);
   addGroup('Growth Function', growth);
   addGroup('Global', globalMod);
+  terrainGroup = addGroup('Terrain', terrain);
+
+  // Species B–D and the interaction matrix; hidden until enough species are active
+  for (let s = 1; s < MAX_SPECIES; s++) {
+    speciesGroups[s] = addGroup(`Species ${SPECIES_LABELS[s]}`, getSpeciesParamSpecs(s));
+  }
+  speciesGroups[0] = addGroup('Interactions', getInteractionParamSpecs(MAX_SPECIES));
+  syncSpeciesControls(sim.params);
 
   // Settings, Data 그룹 collapsible 설정
   const allSections = document.querySelectorAll('.section');
-  // allSections[0] = #params, [1] = Settings, [2] = Data
+  // allSections[0] = #params, [1] = Settings, [2] = Data, [3] = Explore
   const settingsSection = allSections[1];
   const dataSection = allSections[2];
+  const exploreSection = allSections[3];
 
   const settingsHeader = settingsSection.querySelector('.group-header');
   const settingsContent = settingsSection.querySelector('.group-content');
   const dataHeader = dataSection.querySelector('.group-header');
   const dataContent = dataSection.querySelector('.group-content');
+  const exploreHeader = exploreSection.querySelector('.group-header');
+  const exploreContent = exploreSection.querySelector('.group-content');
 
   const setupCollapsible = (header, content, groupName) => {
     const collapsed = loadCollapsedState(groupName);
@@ -231,6 +467,7 @@ function initControls() {
 
   setupCollapsible(settingsHeader, settingsContent, 'Settings');
   setupCollapsible(dataHeader, dataContent, 'Data');
+  setupCollapsible(exploreHeader, exploreContent, 'Explore');
 
   // Speed display update helper
   const updateSpeedDisplay = (speed) => {
@@ -238,11 +475,34 @@ function initControls() {
   };
 
   gridSizeSelect.addEventListener('change', async (e) => {
-    await sim.resizeGrid(Number(e.target.value));
+    await resizeGrid(e.target.value.split('x').map(Number));
+  });
+  gridDimInputs.forEach((input) => {
+    input.addEventListener('change', async () => {
+      const dims = gridDimInputs.map((el) => Math.round(Number(el.value)));
+      if (dims.some((n) => !(n >= GRID_DIM_MIN && n <= GRID_DIM_MAX))) {
+        syncGridControls(); // out of range: show the current grid again
+        return;
+      }
+      await resizeGrid(dims);
+    });
   });
 
+  // Reseed draws a new run seed; Restart replays the seed in the input box
   seedBtn.addEventListener('click', () => {
-    sim.reseed();
+    sim.reseed(randomSeed());
+    seedInput.value = sim.seed;
+  });
+
+  const restartFromInput = () => {
+    const seed = Number(seedInput.value);
+    if (!Number.isFinite(seed)) return;
+    sim.reseed(seed);
+    seedInput.value = sim.seed;
+  };
+  restartBtn.addEventListener('click', restartFromInput);
+  seedInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') restartFromInput();
   });
 
   paletteSelect.addEventListener('change', (e) => {
@@ -256,11 +516,144 @@ function initControls() {
     sim.updateParam('raySteps', steps);
   });
 
+  renderModeSelect.addEventListener('change', (e) => {
+    sim.updateParam('renderMode', Number(e.target.value));
+    syncRenderControls(sim.params);
+  });
+
+  isoInputs.forEach((input) => {
+    input.addEventListener('input', (e) => {
+      const value = Number(e.target.value);
+      sim.updateParam(input.id, value);
+      updateValueLabel(input.id, value);
+    });
+  });
+
+  orthoviewCheckbox.addEventListener('change', (e) => {
+    sim.updateParam('orthoview', e.target.checked ? 1 : 0);
+    syncRenderControls(sim.params);
+  });
+  stereoModeSelect.addEventListener('change', (e) => {
+    sim.updateParam('stereoMode', Number(e.target.value));
+    syncRenderControls(sim.params);
+  });
+  eyeSeparationInput.max = STEREO_MAX_SEPARATION;
+  eyeSeparationInput.addEventListener('input', (e) => {
+    const value = Number(e.target.value);
+    sim.updateParam('eyeSeparation', value);
+    updateValueLabel('eyeSeparation', value);
+  });
+  sliceAxisSelect.addEventListener('change', (e) => {
+    sim.updateParam('sliceAxis', Number(e.target.value));
+  });
+  sliceDepthInputs.forEach((input, axis) => {
+    input.addEventListener('input', (e) => setSliceDepth(axis, Number(e.target.value)));
+  });
+
+  // Transfer function editor: the point nearest the pointer takes its height as opacity
+  const editTransfer = (e) => {
+    const rect = transferEditor.getBoundingClientRect();
+    const index = Math.round(((e.clientX - rect.left) / rect.width) * (TRANSFER_POINTS - 1));
+    const opacity = 1 - (e.clientY - rect.top) / rect.height;
+    sim.updateParam(
+      transferKey(Math.min(TRANSFER_POINTS - 1, Math.max(0, index))),
+      Math.round(Math.min(1, Math.max(0, opacity)) * 100) / 100,
+    );
+    drawTransferEditor(sim.params);
+  };
+  transferEditor.addEventListener('pointerdown', (e) => {
+    transferEditor.setPointerCapture(e.pointerId);
+    editTransfer(e);
+  });
+  transferEditor.addEventListener('pointermove', (e) => {
+    if (transferEditor.hasPointerCapture(e.pointerId)) editTransfer(e);
+  });
+  transferResetBtn.addEventListener('click', () => {
+    for (let i = 0; i < TRANSFER_POINTS; i++) {
+      sim.updateParam(transferKey(i), DEFAULT_PARAMS[transferKey(i)]);
+    }
+    drawTransferEditor(sim.params);
+  });
+
   neighborModeSelect.addEventListener('change', (e) => {
     const mode = Number(e.target.value);
     sim.updateParam('neighborMode', mode);
   });
 
+  // Walls are not periodic, so the FFT convolution steps aside while any axis has one
+  boundarySelects.forEach((select) => {
+    select.addEventListener('change', (e) => {
+      sim.updateParam(select.id, Number(e.target.value));
+      syncBoundaryControls(sim.params);
+      updateConvolutionStatus();
+    });
+  });
+
+  boundaryValueInput.addEventListener('input', (e) => {
+    const value = Number(e.target.value);
+    sim.updateParam('boundaryValue', value);
+    updateValueLabel('boundaryValue', value);
+  });
+
+  convolutionSelect.addEventListener('change', (e) => {
+    try {
+      sim.setConvolution(e.target.value);
+      updateConvolutionStatus();
+    } catch (err) {
+      convolutionStatus.textContent = err.message;
+      convolutionSelect.value = sim.convolution;
+    }
+  });
+
+  // One step of both convolutions from the current field; they should agree to rounding
+  convolutionCheckBtn.addEventListener('click', async () => {
+    convolutionCheckBtn.disabled = true;
+    try {
+      const { mode, maxAbsDiff, meanAbsDiff } = await sim.checkConvolution();
+      convolutionStatus.textContent = `${mode} vs direct: max ${maxAbsDiff.toExponential(2)}, mean ${meanAbsDiff.toExponential(2)}`;
+    } catch (err) {
+      convolutionStatus.textContent = `Check failed: ${err.message}`;
+    } finally {
+      convolutionCheckBtn.disabled = false;
+    }
+  });
+
+  // The same step on the CPU reference; slow, so only small grids
+  cpuCheckBtn.addEventListener('click', async () => {
+    cpuCheckBtn.disabled = true;
+    convolutionStatus.textContent = 'Running the CPU reference…';
+    try {
+      const { mode, maxAbsDiff, meanAbsDiff, passed } = await sim.compareWithCpu();
+      convolutionStatus.textContent =
+        `${mode} vs CPU: max ${maxAbsDiff.toExponential(2)}, mean ${meanAbsDiff.toExponential(2)}` +
+        (passed ? ' (within 1 half-float ulp)' : ' (MISMATCH)');
+    } catch (err) {
+      convolutionStatus.textContent = `Check failed: ${err.message}`;
+    } finally {
+      cpuCheckBtn.disabled = false;
+    }
+  });
+
+  // New species start from a fresh seed so every channel gets bursts
+  speciesCountSelect.addEventListener('change', (e) => {
+    const count = Number(e.target.value);
+    sim.updateParam('speciesCount', count);
+    sim.reseed();
+    syncSpeciesControls(sim.params);
+  });
+
+  // Terrain takes the alpha channel, so the field is reseeded with it flat
+  extendedModeToggle.addEventListener('change', (e) => {
+    sim.updateParam('extendedMode', e.target.checked ? 1 : 0);
+    sim.reseed();
+    syncSpeciesControls(sim.params);
+    updateConvolutionStatus();
+  });
+
+  viewModeSelect.addEventListener('change', (e) => {
+    sim.updateParam('viewMode', Number(e.target.value));
+  });
+
   // Energy range filter handlers
   const FILTER_STORAGE_KEY = 'wigle-u-3d-energy-filters';
 
@@ -314,44 +707,234 @@ function initControls() {
   updateYaw(INITIAL_YAW);
   updatePitch(INITIAL_PITCH);
 
-  // Canvas interactions: wheel zoom, drag rotate
+  // Camera mode, projection, field of view and bookmarks
+  cameraModeSelect.addEventListener('change', (e) => {
+    sim.setCameraOptions({ mode: e.target.value });
+    syncCameraControls();
+  });
+  cameraProjectionSelect.addEventListener('change', (e) => {
+    sim.setCameraOptions({ projection: e.target.value });
+  });
+  cameraFovInput.addEventListener('input', (e) => {
+    sim.setCameraOptions({ fov: parseFloat(e.target.value) });
+    syncCameraControls();
+  });
+  cameraGoBtn.addEventListener('click', () => {
+    const bookmark = cameraBookmarks[cameraBookmarkSelect.selectedIndex];
+    if (!bookmark) return;
+    sim.setCameraState(bookmark.camera);
+    syncCameraControls();
+  });
+  cameraSaveBtn.addEventListener('click', () => {
+    const name = prompt('Bookmark name', `View ${cameraBookmarks.length + 1}`)?.trim();
+    if (!name) return;
+    // Saving under an existing name replaces that bookmark
+    const bookmark = { name, camera: sim.camera.toJSON() };
+    const index = cameraBookmarks.findIndex((b) => b.name === name);
+    if (index >= 0) cameraBookmarks[index] = bookmark;
+    else cameraBookmarks.push(bookmark);
+    syncCameraBookmarks(name);
+  });
+  cameraDeleteBtn.addEventListener('click', () => {
+    const index = cameraBookmarkSelect.selectedIndex;
+    if (index < 0) return;
+    cameraBookmarks.splice(index, 1);
+    syncCameraBookmarks();
+  });
+  syncCameraControls();
+  syncCameraBookmarks();
+  sim.onCameraMove = syncCameraControls;
+
+  // Canvas interactions: wheel zoom, drag rotate; in brush modes left drag paints, right drag rotates.
+  // Over a slice (slice mode, orthoview panels) the wheel moves that slice and left drag the other two.
+  // Touch: one finger acts as the left button, two fingers pinch to zoom and drag to pan
   let dragging = false;
+  let slicing = null; // axis of the slice being dragged on
   let lastX = 0;
   let lastY = 0;
+  let brushing = false;
+  let pickInFlight = false;
+  let pendingPointer = null;
+  // Nothing steps during playback, so a brush would paint nothing: the pointer orbits as in Orbit mode
+  const isBrushMode = () => interactionModeSelect.value !== 'orbit' && !sim.playback;
+
+  // Picks are async; keep one in flight and always finish on the latest pointer position
+  const brushAt = async (clientX, clientY) => {
+    pendingPointer = { clientX, clientY };
+    if (pickInFlight) return;
+    pickInFlight = true;
+    try {
+      while (pendingPointer && brushing) {
+        const { clientX: x, clientY: y } = pendingPointer;
+        pendingPointer = null;
+        const picked = await sim.pick(pointerToNdc(canvas.getBoundingClientRect(), x, y));
+        if (!brushing) break;
+        sim.setBrush(
+          picked
+            ? { center: picked.cell, radius: Number(brushRadiusInput.value), mode: interactionModeSelect.value }
+            : null,
+        );
+      }
+    } finally {
+      pickInFlight = false;
+    }
+  };
+
   canvas.addEventListener(
     'wheel',
     (e) => {
       e.preventDefault();
+      const region = sim.viewRegionAt(pointerToNdc(canvas.getBoundingClientRect(), e.clientX, e.clientY));
+      if (!region.ndc) {
+        // One cell per notch, wheel up goes deeper
+        const n = sim.viewGridDims[region.axis];
+        const cell = sliceCellIndex(sim.params[SLICE_AXES[region.axis]], n) - Math.sign(e.deltaY);
+        setSliceDepth(region.axis, sliceDepthOfCell(cell, n));
+        return;
+      }
       // 반대 방향 줌
       sim.adjustDistance(e.deltaY * 0.001);
     },
     { passive: false },
   );
   canvas.addEventListener('contextmenu', (e) => e.preventDefault());
-  canvas.addEventListener('mousedown', (e) => {
-    if (e.button !== 0) return; // 좌클릭 회전
+  const stopBrushing = () => {
+    if (brushing) {
+      brushing = false;
+      sim.setBrush(null);
+    }
+  };
+
+  // Fingers on the canvas and the gesture they make: centroid, spread of the first two,
+  // time of the last move and the recent motion samples the release velocity comes from
+  const touches = new Map(); // pointerId → { x, y }
+  let gesture = null;
+  const touchLayout = () => {
+    const points = [...touches.values()];
+    const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const spread = points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0;
+    return { x, y, spread, count: points.length };
+  };
+  // Restarted whenever a finger lands or lifts, so the centroid never jumps
+  const startGesture = () => {
+    gesture = touches.size > 0 ? { ...touchLayout(), time: performance.now(), samples: [] } : null;
+  };
+  const moveGesture = () => {
+    const layout = touchLayout();
+    const now = performance.now();
+    const dx = layout.x - gesture.x;
+    const dy = layout.y - gesture.y;
+    const sample = { time: now, dt: now - gesture.time, rotate: [0, 0], pan: [0, 0], zoom: 0 };
+    if (layout.count === 1) {
+      // One finger orbits in Orbit mode (and during playback); in brush modes it paints
+      if (!isBrushMode()) {
+        sample.rotate = [dx, dy];
+        sim.adjustRotation(dx, dy);
+      }
+    } else {
+      sample.pan = [dx, dy];
+      sim.adjustPan(dx, dy);
+      if (gesture.spread > 0 && layout.spread > 0) {
+        // Fingers apart brings the view closer
+        sample.zoom = gesture.spread / layout.spread - 1;
+        sim.adjustDistance(sample.zoom);
+      }
+    }
+    const recent = gesture.samples.filter((s) => now - s.time <= GESTURE_VELOCITY_WINDOW_MS);
+    gesture = { ...layout, time: now, samples: [...recent, sample] };
+    syncCameraControls();
+  };
+  // Mean velocity over the last GESTURE_VELOCITY_WINDOW_MS; fingers held still fling nothing
+  const releaseVelocity = () => {
+    const now = performance.now();
+    const recent = gesture.samples.filter((s) => now - s.time <= GESTURE_VELOCITY_WINDOW_MS);
+    const seconds = recent.reduce((sum, s) => sum + s.dt, 0) / 1000;
+    if (seconds <= 0) return null;
+    const rate = (value) => recent.reduce((sum, s) => sum + value(s), 0) / seconds;
+    return {
+      rotate: [rate((s) => s.rotate[0]), rate((s) => s.rotate[1])],
+      pan: [rate((s) => s.pan[0]), rate((s) => s.pan[1])],
+      zoom: rate((s) => s.zoom),
+    };
+  };
+
+  canvas.addEventListener('pointerdown', (e) => {
+    sim.setCameraInertia(null);
+    const touch = e.pointerType === 'touch';
+    if (touch) {
+      touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      startGesture();
+      if (touches.size > 1) {
+        // A second finger turns painting or slice dragging into pan and zoom
+        stopBrushing();
+        slicing = null;
+        return;
+      }
+    }
+    const brushMode = isBrushMode();
+    if (brushMode && e.button === 0) {
+      brushing = true;
+      brushAt(e.clientX, e.clientY);
+      return;
+    }
+    if (e.button !== (brushMode ? 2 : 0)) return; // 좌클릭 회전 (브러시 모드에서는 우클릭)
+    const region = sim.viewRegionAt(pointerToNdc(canvas.getBoundingClientRect(), e.clientX, e.clientY));
+    if (!brushMode && !region.ndc) {
+      slicing = region.axis;
+      moveCrossingSlices(region);
+      return;
+    }
+    if (touch) return; // the gesture orbits
     dragging = true;
     lastX = e.clientX;
     lastY = e.clientY;
   });
-  window.addEventListener('mouseup', () => {
+  const pointerUp = (e) => {
+    if (e.pointerType === 'touch') {
+      if (!touches.delete(e.pointerId)) return;
+      // The last finger off leaves the camera coasting
+      const velocity = touches.size === 0 && gesture ? releaseVelocity() : null;
+      if (velocity) sim.setCameraInertia(velocity);
+      startGesture();
+      if (touches.size > 0) return;
+    }
     dragging = false;
-  });
-  window.addEventListener('mousemove', (e) => {
+    slicing = null;
+    stopBrushing();
+  };
+  window.addEventListener('pointerup', pointerUp);
+  window.addEventListener('pointercancel', pointerUp);
+  window.addEventListener('pointermove', (e) => {
+    const touch = e.pointerType === 'touch';
+    if (touch) {
+      if (!touches.has(e.pointerId)) return;
+      touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+    if (brushing) {
+      brushAt(e.clientX, e.clientY);
+      return;
+    }
+    if (slicing !== null) {
+      const region = sim.viewRegionAt(pointerToNdc(canvas.getBoundingClientRect(), e.clientX, e.clientY));
+      if (region.axis === slicing) moveCrossingSlices(region);
+      return;
+    }
+    if (touch) {
+      if (gesture) moveGesture();
+      return;
+    }
     if (!dragging) return;
     const dx = e.clientX - lastX;
     const dy = e.clientY - lastY;
     lastX = e.clientX;
     lastY = e.clientY;
     sim.adjustRotation(dx, dy); // 지구본 스타일: 드래그 방향대로 회전
-    yawInput.value = sim.yaw.toFixed(0);
-    pitchInput.value = sim.pitch.toFixed(0);
-    updateYaw(sim.yaw);
-    updatePitch(sim.pitch);
+    syncCameraControls();
   });
 
-  // WASD pan
-  const keyMap = { KeyW: 'w', KeyA: 'a', KeyS: 's', KeyD: 'd' };
+  // WASD pan (fly mode: move), Q/E down/up
+  const keyMap = { KeyW: 'w', KeyA: 'a', KeyS: 's', KeyD: 'd', KeyQ: 'q', KeyE: 'e' };
   window.addEventListener('keydown', (e) => {
     if (e.altKey && e.code === 'KeyC') {
       e.preventDefault();
@@ -385,49 +968,810 @@ function initControls() {
   });
 
   saveBtn.addEventListener('click', () => {
-    const data = { params: sim.params, gridSize: sim.gridSize };
+    const data = {
+      params: sim.params,
+      gridDims: sim.gridDims,
+      seed: sim.seed,
+      step: sim.stepCount,
+      camera: sim.camera.toJSON(),
+      cameraBookmarks,
+      cameraPath: cameraPath.toJSON(),
+    };
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'wigle-u-3d.json';
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, 'wigle-u-3d.json');
+  });
+
+  saveStateBtn.addEventListener('click', async () => {
+    saveStateBtn.disabled = true;
+    try {
+      const state = await sim.captureState();
+      downloadBlob(createStateZip(state), `wigle-u-3d_state_step${state.step}.zip`);
+    } catch (err) {
+      console.error('State save failed:', err);
+      alert(`State save failed: ${err.message}`);
+    } finally {
+      saveStateBtn.disabled = false;
+    }
+  });
+
+  // Surface at the Rendering → Iso Level energy (largest channel, as in isosurface mode), in cell units
+  exportMeshBtn.addEventListener('click', async () => {
+    exportMeshBtn.disabled = true;
+    try {
+      const mesh = await sim.extractMesh();
+      if (mesh.indices.length === 0) {
+        alert(`No surface at iso level ${mesh.isoLevel}: no cell reaches that energy`);
+        return;
+      }
+      const format = meshFormatSelect.value;
+      downloadBlob(createMeshBlob(mesh, format), `wigle-u-3d_mesh_step${mesh.step}.${format}`);
+    } catch (err) {
+      console.error('Mesh export failed:', err);
+      alert(`Mesh export failed: ${err.message}`);
+    } finally {
+      exportMeshBtn.disabled = false;
+    }
+  });
+
+  // Energy (summed over active species) per cell, as float32
+  exportVolumeBtn.addEventListener('click', async () => {
+    exportVolumeBtn.disabled = true;
+    try {
+      const meta = { gridDims: [...sim.gridDims], name: 'energy', step: sim.stepCount, seed: sim.seed };
+      const volume = { ...meta, data: await sim.readEnergy() };
+      await saveCaptureFiles(createVolumeFiles(volume, volumeFormatSelect.value, { params: sim.params }));
+    } catch (err) {
+      console.error('Volume export failed:', err);
+      alert(`Volume export failed: ${err.message}`);
+    } finally {
+      exportVolumeBtn.disabled = false;
+    }
   });
 
   loadInput.addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    const text = await file.text();
-    const parsed = JSON.parse(text);
-    if (parsed.params) {
-      Object.entries(parsed.params).forEach(([k, v]) => {
-        const num = Number(v);
-        const value = Number.isNaN(num) ? v : num;
-        sim.updateParam(k, value);
-        paramsContainer.querySelectorAll(`input[data-key="${k}"]`).forEach((input) => {
-          input.value = value;
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      // Full state: field textures + schedule, resumes at the saved step
+      try {
+        const state = readStateZip(await file.arrayBuffer());
+        sim.restoreState(state);
+        syncGridControls();
+        Object.entries(sim.params).forEach(([k, v]) => {
+          paramsContainer.querySelectorAll(`input[data-key="${k}"]`).forEach((input) => {
+            input.value = v;
+          });
         });
-        updateValueLabel(k, value);
-      });
-    }
-    if (parsed.gridSize) {
-      gridSizeSelect.value = parsed.gridSize;
-      await sim.resizeGrid(parsed.gridSize);
+        updateUIFromParams(sim.params);
+      } catch (err) {
+        console.error('State load failed:', err);
+        alert(`State load failed: ${err.message}`);
+      }
+      e.target.value = '';
+      return;
     }
-    if (typeof parsed.paletteMode === 'number') {
-      sim.updateParam('paletteMode', parsed.paletteMode);
-      paletteSelect.value = parsed.paletteMode;
-      updateValueLabel('paletteMode', parsed.paletteMode);
+    try {
+      const text = await file.text();
+      const parsed = JSON.parse(text);
+      const prevLayout = [getActiveSpeciesCount(sim.params), isTerrainEnabled(sim.params)];
+      // Grid first: it sets how far the loaded outer radii may reach (older files store gridSize)
+      const gridSize = parsed.gridDims ?? parsed.gridSize;
+      if (gridSize) {
+        await sim.resizeGrid(gridSize);
+        syncGridControls();
+      }
+      if (parsed.params) {
+        Object.entries(parsed.params).forEach(([k, v]) => {
+          const num = Number(v);
+          const value = sim.updateParam(k, Number.isNaN(num) ? v : num);
+          paramsContainer.querySelectorAll(`input[data-key="${k}"]`).forEach((input) => {
+            input.value = value;
+          });
+          updateValueLabel(k, value);
+        });
+      }
+      if (typeof parsed.seed === 'number') {
+        // Same params + seed reproduce the run; `step` records how far it was taken
+        sim.reseed(parsed.seed);
+        seedInput.value = sim.seed;
+      } else if (
+        getActiveSpeciesCount(sim.params) !== prevLayout[0] ||
+        isTerrainEnabled(sim.params) !== prevLayout[1]
+      ) {
+        // Channel layout changed (e.g. a 2D preset turning terrain on): the old field no longer fits
+        sim.reseed();
+      }
+      if (typeof parsed.paletteMode === 'number') {
+        sim.updateParam('paletteMode', parsed.paletteMode);
+        paletteSelect.value = parsed.paletteMode;
+        updateValueLabel('paletteMode', parsed.paletteMode);
+      }
+      if (parsed.camera) sim.setCameraState(parsed.camera);
+      if (Array.isArray(parsed.cameraBookmarks)) {
+        cameraBookmarks = parsed.cameraBookmarks.filter((b) => typeof b?.name === 'string' && b.camera);
+        syncCameraBookmarks();
+      }
+      if (parsed.cameraPath) {
+        try {
+          cameraPath.setKeyframes(parsed.cameraPath);
+          syncPathKeyframes();
+        } catch (err) {
+          console.error('Camera path load failed:', err);
+          alert(`Camera path load failed: ${err.message}`);
+        }
+      }
+      syncCameraControls();
+      updateUIFromParams(sim.params);
+    } catch (err) {
+      console.error('JSON load failed:', err);
+      alert(`JSON load failed: ${err.message}`);
     }
-    updateUIFromParams(sim.params);
   });
 
   sim.onFps = (fps) => {
     fpsLabel.textContent = fps.toFixed(0);
+    stepLabel.textContent = sim.stepCount;
   };
 }
 
+// Time-series recorder: frames every N steps into a ring buffer, saved as a sequence ZIP
+function initRecorder() {
+  recordIntervalInput.value = RECORD_DEFAULT_INTERVAL;
+  recordCapacityInput.value = RECORD_DEFAULT_CAPACITY;
+  RECORD_DOWNSAMPLE_OPTIONS.forEach((factor) => {
+    const option = document.createElement('option');
+    option.value = factor;
+    option.textContent = factor === 1 ? 'Full' : `1/${factor}`;
+    recordDownsampleSelect.appendChild(option);
+  });
+
+  const syncRecordControls = (reason) => {
+    recordBtn.textContent = recorder.recording ? 'Stop' : 'Record';
+    [recordIntervalInput, recordCapacityInput, recordDownsampleSelect].forEach((input) => {
+      input.disabled = recorder.recording;
+    });
+    saveSequenceBtn.disabled = recorder.frameCount === 0;
+    const mb = (recorder.byteLength / (1024 * 1024)).toFixed(1);
+    const frames = `${recorder.frameCount}/${recorder.capacity} frames (${mb} MB)`;
+    recordStatus.textContent = reason ? `${frames}, stopped: ${reason}` : frames;
+  };
+  recorder.onChange = (_, reason) => syncRecordControls(reason);
+  sim.onStep = (step) => {
+    recorder.handleStep(step);
+    videoRecorder.handleStep(step);
+  };
+
+  recordBtn.addEventListener('click', () => {
+    if (recorder.recording) {
+      recorder.stop();
+    } else {
+      try {
+        recorder.start({
+          interval: Number(recordIntervalInput.value),
+          capacity: Number(recordCapacityInput.value),
+          downsample: Number(recordDownsampleSelect.value),
+        });
+      } catch (err) {
+        alert(err.message);
+      }
+    }
+    syncRecordControls();
+  });
+
+  saveSequenceBtn.addEventListener('click', () => {
+    const { frames } = recorder.getSequence();
+    const first = frames[0].step;
+    const last = frames[frames.length - 1].step;
+    downloadBlob(recorder.createArchive(), `wigle-u-3d_sequence_step${first}-${last}.zip`);
+  });
+}
+
+// Video export: a WebM frame every N steps, so clips do not depend on the display frame rate
+function initVideo() {
+  videoStepsPerFrameInput.value = VIDEO_DEFAULT_STEPS_PER_FRAME;
+  videoOrbitInput.value = 0;
+  VIDEO_FPS_OPTIONS.forEach((fps) => {
+    const option = document.createElement('option');
+    option.value = fps;
+    option.textContent = `${fps} fps`;
+    videoFpsSelect.appendChild(option);
+  });
+  videoFpsSelect.value = VIDEO_DEFAULT_FPS;
+
+  const syncVideoControls = (reason) => {
+    videoBtn.textContent = videoRecorder.recording
+      ? 'Stop & Save'
+      : videoRecorder.pending
+        ? 'Save Video'
+        : 'Record Video';
+    [videoStepsPerFrameInput, videoFpsSelect, videoOrbitInput, videoFollowPathCheckbox].forEach((input) => {
+      input.disabled = videoRecorder.pending;
+    });
+    if (!videoRecorder.pending && !reason) return;
+    const clip = `${videoRecorder.frameIndex} frames (${videoRecorder.duration.toFixed(1)} s)`;
+    videoStatus.textContent = reason ? `${clip}, stopped: ${reason}` : clip;
+  };
+  videoRecorder.onChange = (_, reason) => syncVideoControls(reason);
+
+  videoBtn.addEventListener('click', async () => {
+    videoBtn.disabled = true;
+    try {
+      if (videoRecorder.pending) {
+        const blob = await videoRecorder.stop();
+        const { firstStep, lastStep } = videoRecorder;
+        downloadBlob(blob, `wigle-u-3d_video_step${firstStep}-${lastStep}.webm`);
+      } else {
+        await videoRecorder.start({
+          stepsPerFrame: Number(videoStepsPerFrameInput.value),
+          fps: Number(videoFpsSelect.value),
+          orbitDegrees: Number(videoOrbitInput.value),
+          cameraPath: videoFollowPathCheckbox.checked ? cameraPath : null,
+        });
+      }
+    } catch (err) {
+      console.error('Video export failed:', err);
+      alert(`Video export failed: ${err.message}`);
+    }
+    videoBtn.disabled = false;
+    syncVideoControls();
+  });
+}
+
+// Sequence playback: the renderer shows recorded frames while the live run is suspended
+function initPlayer() {
+  PLAYBACK_FPS_OPTIONS.forEach((fps) => {
+    const option = document.createElement('option');
+    option.value = fps;
+    option.textContent = `${fps} fps`;
+    playbackFpsSelect.appendChild(option);
+  });
+  playbackFpsSelect.value = PLAYBACK_DEFAULT_FPS;
+
+  player.onChange = () => {
+    playbackControls.style.display = player.loaded ? '' : 'none';
+    syncSliceDepthControls(sim.params); // slice labels count cells of the grid on screen
+    if (!player.loaded) return;
+    playbackTimeline.max = player.frameCount - 1;
+    playbackTimeline.value = player.index;
+    playbackPlayBtn.textContent = player.playing ? 'Pause' : 'Play';
+    playbackStatus.textContent = `Frame ${player.index + 1}/${player.frameCount} · step ${player.step}`;
+  };
+
+  sequenceInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      player.load(readSequenceZip(await file.arrayBuffer()));
+    } catch (err) {
+      console.error('Sequence load failed:', err);
+      alert(`Sequence load failed: ${err.message}`);
+    }
+    e.target.value = '';
+  });
+  playbackTimeline.addEventListener('input', (e) => {
+    player.pause();
+    player.seek(Number(e.target.value));
+  });
+  playbackPrevBtn.addEventListener('click', () => player.stepBy(-1));
+  playbackNextBtn.addEventListener('click', () => player.stepBy(1));
+  playbackPlayBtn.addEventListener('click', () => (player.playing ? player.pause() : player.play()));
+  playbackFpsSelect.addEventListener('change', (e) => {
+    player.fps = Number(e.target.value);
+  });
+  playbackLoopCheckbox.addEventListener('change', (e) => {
+    player.loop = e.target.checked;
+  });
+  playbackCloseBtn.addEventListener('click', () => player.close());
+}
+
+// Camera path: keyframes of the current view (and chosen params) on a timeline
+function initCameraPath() {
+  CAMERA_PATH_EASINGS.forEach((easing) => pathEasingSelect.appendChild(new Option(easing, easing)));
+  pathEasingSelect.value = CAMERA_PATH_DEFAULT_EASING;
+  pathTimeInput.value = 0;
+
+  cameraPath.onChange = () => {
+    const { keyframes, duration, time } = cameraPath;
+    pathTimeline.max = duration;
+    pathTimeline.value = time;
+    pathPlayBtn.textContent = cameraPath.playing ? 'Pause' : 'Play';
+    pathPlayBtn.disabled = keyframes.length < 2;
+    pathStatus.textContent =
+      keyframes.length > 0 ? `${time.toFixed(1)} / ${duration.toFixed(1)} s` : 'Key a view to start a path';
+    syncCameraControls();
+    syncPathParams();
+  };
+
+  pathKeyframeSelect.addEventListener('change', () => {
+    const keyframe = cameraPath.keyframes[pathKeyframeSelect.selectedIndex];
+    if (!keyframe) return;
+    cameraPath.pause();
+    cameraPath.seek(keyframe.time);
+    pathTimeInput.value = keyframe.time;
+    pathEasingSelect.value = keyframe.easing;
+    pathParamsInput.value = Object.keys(keyframe.params).join(', ');
+  });
+  pathKeyBtn.addEventListener('click', () => {
+    const paramKeys = pathParamsInput.value
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean);
+    try {
+      const index = cameraPath.addKeyframe(Number(pathTimeInput.value), {
+        paramKeys,
+        easing: pathEasingSelect.value,
+      });
+      syncPathKeyframes(index);
+      // Next keyframe after the end of the path
+      pathTimeInput.value = cameraPath.duration + CAMERA_PATH_DEFAULT_GAP;
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+  pathDeleteBtn.addEventListener('click', () => {
+    const index = pathKeyframeSelect.selectedIndex;
+    if (index < 0) return;
+    cameraPath.removeKeyframe(index);
+    syncPathKeyframes(Math.min(index, cameraPath.keyframes.length - 1));
+  });
+  pathTimeline.addEventListener('input', (e) => {
+    cameraPath.pause();
+    cameraPath.seek(Number(e.target.value));
+  });
+  pathPlayBtn.addEventListener('click', () => (cameraPath.playing ? cameraPath.pause() : cameraPath.play()));
+  pathLoopCheckbox.addEventListener('change', (e) => {
+    cameraPath.loop = e.target.checked;
+  });
+  syncPathKeyframes();
+  cameraPath.onChange(cameraPath);
+}
+
+// Batch explorer: sweep ranges in the sidebar, sortable results over the canvas
+function initExplorer() {
+  EXPLORER_GRID_SIZES.forEach((size) => {
+    const option = document.createElement('option');
+    option.value = size;
+    option.textContent = `${size}³`;
+    sweepGridSelect.appendChild(option);
+  });
+  sweepStepsInput.value = EXPLORER_DEFAULT_STEPS;
+
+  const readRanges = () =>
+    [...sweepRanges.querySelectorAll('.sweep-range')].map((row) => ({
+      key: row.querySelector('select').value,
+      min: Number(row.querySelector('[data-field="min"]').value),
+      max: Number(row.querySelector('[data-field="max"]').value),
+      count: Number(row.querySelector('[data-field="count"]').value),
+    }));
+
+  const updateStatus = () => {
+    if (explorer) return;
+    try {
+      const ranges = readRanges();
+      const runs = expandSweep(ranges, Number(sweepGridSelect.value)).length;
+      sweepStatus.textContent = ranges.length ? `${runs} runs` : 'Add a range to sweep';
+    } catch (err) {
+      sweepStatus.textContent = err.message;
+    }
+  };
+
+  const addRange = () => {
+    const row = document.createElement('div');
+    row.className = 'sweep-range';
+
+    const select = document.createElement('select');
+    PARAM_SPECS.forEach((spec) => {
+      const option = document.createElement('option');
+      option.value = spec.key;
+      option.textContent = spec.label;
+      select.appendChild(option);
+    });
+
+    const makeNumber = (field, title) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.dataset.field = field;
+      input.title = title;
+      input.addEventListener('input', updateStatus);
+      return input;
+    };
+    const min = makeNumber('min', 'Min');
+    const max = makeNumber('max', 'Max');
+    const count = makeNumber('count', 'Values');
+    count.min = 1;
+    count.step = 1;
+    count.value = 3;
+
+    // Default to ±10% of the slider range around the current value; outer radii
+    // stop at what the sweep grid can hold
+    const resetBounds = () => {
+      const spec = PARAM_SPECS.find((p) => p.key === select.value);
+      const upper = isKernelRadiusParam(spec.key)
+        ? Math.min(spec.max, getKernelRadiusLimit(Number(sweepGridSelect.value)))
+        : spec.max;
+      const span = (spec.max - spec.min) * 0.1;
+      const current = Math.min(upper, sim.params[spec.key]);
+      [min, max].forEach((input) => {
+        input.min = spec.min;
+        input.max = upper;
+        input.step = spec.step;
+      });
+      min.value = Math.max(spec.min, current - span).toFixed(4);
+      max.value = Math.min(upper, current + span).toFixed(4);
+      updateStatus();
+    };
+    select.addEventListener('change', resetBounds);
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => {
+      row.remove();
+      updateStatus();
+    });
+
+    row.append(select, min, max, count, remove);
+    sweepRanges.appendChild(row);
+    resetBounds();
+  };
+
+  addRangeBtn.addEventListener('click', addRange);
+  // The radius limit depends on the sweep grid
+  sweepGridSelect.addEventListener('change', () => {
+    sweepRanges.querySelectorAll('.sweep-range select').forEach((select) => {
+      if (isKernelRadiusParam(select.value)) select.dispatchEvent(new Event('change'));
+    });
+    updateStatus();
+  });
+
+  sweepRunBtn.addEventListener('click', async () => {
+    const ranges = readRanges();
+    if (!ranges.length || explorer) return;
+    const results = [];
+    explorer = new BatchExplorer({
+      device: sim.device,
+      baseParams: sim.params,
+      gridSize: Number(sweepGridSelect.value),
+      steps: Math.max(1, Number(sweepStepsInput.value) || EXPLORER_DEFAULT_STEPS),
+      seed: sim.seed,
+    });
+    sweepRunBtn.disabled = true;
+    sweepCancelBtn.disabled = false;
+    const keys = ranges.map((r) => r.key);
+    try {
+      await explorer.run(ranges, (result, i, total) => {
+        results.push(result);
+        sweepStatus.textContent = `Run ${i + 1}/${total}`;
+        showSweepResults(keys, results);
+      });
+      const clamped = [...new Set(results.flatMap((r) => r.clamped))];
+      const limit = getKernelRadiusLimit(explorer.gridSize);
+      sweepStatus.textContent =
+        `${results.length} runs done (seed ${explorer.seed})` +
+        (clamped.length > 0 ? `; ${clamped.join(', ')} limited to ${limit} on ${explorer.gridSize}³` : '');
+    } catch (err) {
+      console.error('Sweep failed:', err);
+      sweepStatus.textContent = `Sweep failed: ${err.message}`;
+    } finally {
+      explorer = null;
+      sweepRunBtn.disabled = false;
+      sweepCancelBtn.disabled = true;
+    }
+  });
+
+  sweepCancelBtn.addEventListener('click', () => {
+    if (explorer) explorer.cancel();
+  });
+  sweepCloseBtn.addEventListener('click', () => {
+    sweepResults.hidden = true;
+  });
+
+  updateStatus();
+}
+
+function showSweepResults(keys, results) {
+  const columns = [
+    { id: 'index', label: '#', value: (r) => r.index + 1 },
+    { id: 'mip', label: 'MIP', value: null },
+    ...keys.map((key) => ({
+      id: key,
+      label: PARAM_SPECS.find((s) => s.key === key).label,
+      value: (r) => r.params[key],
+    })),
+    { id: 'mean', label: 'Mean', value: (r) => r.mean, format: (v) => v.toFixed(4) },
+    { id: 'variance', label: 'Variance', value: (r) => r.variance, format: (v) => v.toExponential(2) },
+    {
+      id: 'status',
+      label: 'Status',
+      // Survivors first, then the ones that lasted longest
+      value: (r) => (r.survived ? Infinity : r.extinctAt),
+      format: (v, r) => (r.survived ? 'alive' : `extinct @${r.extinctAt}`),
+    },
+  ];
+
+  const thead = sweepTable.querySelector('thead');
+  const tbody = sweepTable.querySelector('tbody');
+  thead.innerHTML = '';
+  tbody.innerHTML = '';
+
+  const headRow = document.createElement('tr');
+  columns.forEach((col) => {
+    const th = document.createElement('th');
+    const arrow = sweepSort.column === col.id ? (sweepSort.dir > 0 ? ' ▲' : ' ▼') : '';
+    th.textContent = col.label + arrow;
+    if (col.value) {
+      th.addEventListener('click', () => {
+        sweepSort = {
+          column: col.id,
+          dir: sweepSort.column === col.id ? -sweepSort.dir : -1, // new column: best first
+        };
+        showSweepResults(keys, results);
+      });
+    }
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+
+  const sortCol = columns.find((c) => c.id === sweepSort.column) || columns[0];
+  const sorted = [...results].sort((a, b) => (sortCol.value(a) - sortCol.value(b)) * sweepSort.dir);
+
+  sorted.forEach((result) => {
+    const tr = document.createElement('tr');
+    if (!result.survived) tr.className = 'sweep-extinct';
+    tr.title = 'Apply these parameters';
+    columns.forEach((col) => {
+      const td = document.createElement('td');
+      if (col.id === 'mip') {
+        td.appendChild(drawThumbnail(result.mip));
+      } else {
+        const v = col.value(result);
+        td.textContent = col.format ? col.format(v, result) : v;
+      }
+      tr.appendChild(td);
+    });
+    tr.addEventListener('click', () => applyParams(result.params));
+    tbody.appendChild(tr);
+  });
+
+  sweepSummary.textContent = `Sweep results (${results.length})`;
+  sweepResults.hidden = false;
+}
+
+function drawThumbnail(mip) {
+  const size = Math.round(Math.sqrt(mip.length));
+  const thumb = document.createElement('canvas');
+  thumb.width = size;
+  thumb.height = size;
+  const ctx = thumb.getContext('2d');
+  const image = ctx.createImageData(size, size);
+  for (let i = 0; i < mip.length; i++) {
+    // Dark blue → purple → white, close to the 3D palette
+    const v = Math.max(0, Math.min(1, mip[i]));
+    image.data[i * 4] = 40 + 215 * v * v;
+    image.data[i * 4 + 1] = 20 + 235 * v * v * v;
+    image.data[i * 4 + 2] = 60 + 195 * Math.sqrt(v);
+    image.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  return thumb;
+}
+
+function applyParams(overrides) {
+  Object.entries(overrides).forEach(([k, v]) => {
+    const value = sim.updateParam(k, v);
+    paramsContainer.querySelectorAll(`input[data-key="${k}"]`).forEach((input) => {
+      input.value = value;
+    });
+    updateValueLabel(k, value);
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function syncSpeciesControls(params) {
+  const count = getActiveSpeciesCount(params);
+  const terrainOn = isTerrainEnabled(params);
+  speciesCountSelect.value = count;
+  // Species D shares the terrain channel
+  speciesCountSelect.querySelector(`option[value="${MAX_SPECIES}"]`).disabled = terrainOn;
+  extendedModeToggle.checked = terrainOn;
+  viewModeSelect.disabled = !terrainOn;
+  terrainGroup.style.display = terrainOn ? '' : 'none';
+
+  for (let s = 1; s < MAX_SPECIES; s++) {
+    speciesGroups[s].style.display = s < count ? '' : 'none';
+  }
+  // Interactions: only matrix entries between active species, none for a single species
+  speciesGroups[0].style.display = count > 1 ? '' : 'none';
+  const active = new Set(getInteractionParamSpecs(count).map((spec) => spec.key));
+  getInteractionParamSpecs(MAX_SPECIES).forEach(({ key }) => {
+    const control = document.getElementById(`value-${key}`).closest('.param');
+    control.style.display = active.has(key) ? '' : 'none';
+  });
+}
+
+// Composite rendering shows its transfer function editor, isosurface its level and AO,
+// slice mode and the orthoview the slice depths; stereo applies to the 3D view only
+function syncRenderControls(params) {
+  const mode = Math.round(params.renderMode ?? 0);
+  renderModeSelect.value = mode;
+  transferGroup.style.display = RENDER_MODES[mode] === 'composite' ? '' : 'none';
+  isoGroup.style.display = RENDER_MODES[mode] === 'isosurface' ? '' : 'none';
+  isoInputs.forEach((input) => {
+    input.value = params[input.id] ?? DEFAULT_PARAMS[input.id];
+  });
+  orthoviewCheckbox.checked = Boolean(params.orthoview);
+  stereoGroup.style.display = RENDER_MODES[mode] === 'slice' ? 'none' : '';
+  stereoModeSelect.value = params.stereoMode ?? DEFAULT_PARAMS.stereoMode;
+  eyeSeparationGroup.style.display = STEREO_MODES[Math.round(params.stereoMode ?? 0)] === 'off' ? 'none' : '';
+  eyeSeparationInput.value = params.eyeSeparation ?? DEFAULT_PARAMS.eyeSeparation;
+  sliceGroup.style.display = RENDER_MODES[mode] === 'slice' || params.orthoview ? '' : 'none';
+  sliceAxisLabel.style.display = RENDER_MODES[mode] === 'slice' ? '' : 'none';
+  sliceAxisSelect.value = params.sliceAxis ?? DEFAULT_PARAMS.sliceAxis;
+  syncSliceDepthControls(params);
+  drawTransferEditor(params);
+}
+
+// Depth sliders, labelled with the cell each slice shows
+function syncSliceDepthControls(params) {
+  SLICE_AXES.forEach((key, axis) => {
+    const depth = params[key] ?? DEFAULT_PARAMS[key];
+    const n = sim.viewGridDims[axis];
+    sliceDepthInputs[axis].value = depth;
+    document.getElementById(`value-${key}`).textContent = `${sliceCellIndex(depth, n)}/${n - 1}`;
+  });
+}
+
+function setSliceDepth(axis, depth) {
+  sim.updateParam(SLICE_AXES[axis], Math.min(1, Math.max(0, depth)));
+  syncSliceDepthControls(sim.params);
+}
+
+// Drag on a slice: the other two slices pass through the cell under the pointer
+function moveCrossingSlices({ axis, cell }) {
+  if (!cell) return;
+  [0, 1, 2]
+    .filter((a) => a !== axis)
+    .forEach((a) => setSliceDepth(a, sliceDepthOfCell(cell[a], sim.viewGridDims[a])));
+}
+
+// Yaw/pitch sliders and camera settings follow the camera after drags, mode switches and bookmarks
+function syncCameraControls() {
+  const { camera } = sim;
+  yawInput.value = sim.yaw.toFixed(0);
+  pitchInput.value = sim.pitch.toFixed(0);
+  yawLabel.textContent = `${sim.yaw.toFixed(0)}°`;
+  pitchLabel.textContent = `${sim.pitch.toFixed(0)}°`;
+  cameraModeSelect.value = camera.mode;
+  cameraProjectionSelect.value = camera.projection;
+  cameraFovInput.value = camera.fov;
+  cameraFovLabel.textContent = `${camera.fov.toFixed(0)}°`;
+}
+
+// Keyframe list: number, time, easing and the params each one sets
+function syncPathKeyframes(selectedIndex = -1) {
+  pathKeyframeSelect.replaceChildren(
+    ...cameraPath.keyframes.map(({ time, easing, params }, i) => {
+      const keys = Object.keys(params);
+      const label = [`${i + 1}`, `${time.toFixed(1)} s`, easing, ...(keys.length > 0 ? [keys.join(', ')] : [])];
+      return new Option(label.join(' · '), i, false, i === selectedIndex);
+    }),
+  );
+  pathDeleteBtn.disabled = cameraPath.keyframes.length === 0;
+}
+
+// Controls of the params a camera path sets, after it moved them
+function syncPathParams() {
+  const keys = cameraPath.paramKeys;
+  if (keys.length === 0) return;
+  keys.forEach((k) => {
+    paramsContainer.querySelectorAll(`input[data-key="${k}"]`).forEach((input) => {
+      input.value = sim.params[k];
+    });
+    updateValueLabel(k, sim.params[k]);
+  });
+  syncRenderControls(sim.params);
+}
+
+function syncCameraBookmarks(selectedName = cameraBookmarkSelect.value) {
+  cameraBookmarkSelect.replaceChildren(
+    ...cameraBookmarks.map(({ name }) => new Option(name, name, false, name === selectedName)),
+  );
+  [cameraGoBtn, cameraDeleteBtn].forEach((btn) => {
+    btn.disabled = cameraBookmarks.length === 0;
+  });
+}
+
+// Opacity curve over energy 0–1 with its control points, on a faint palette strip
+function drawTransferEditor(params) {
+  const ctx = transferEditor.getContext('2d');
+  const { width, height } = transferEditor;
+  const opacities = getTransferOpacities(params);
+  const point = (opacity, i) => [(i / (TRANSFER_POINTS - 1)) * width, (1 - opacity) * height];
+
+  ctx.clearRect(0, 0, width, height);
+  const strip = ctx.createLinearGradient(0, 0, width, 0);
+  strip.addColorStop(0, 'rgba(10, 5, 40, 0.6)');
+  strip.addColorStop(0.5, 'rgba(64, 30, 140, 0.6)');
+  strip.addColorStop(1, 'rgba(240, 230, 255, 0.6)');
+  ctx.fillStyle = strip;
+  ctx.fillRect(0, height - 6, width, 6);
+
+  ctx.strokeStyle = 'rgba(232, 238, 242, 0.15)';
+  ctx.beginPath();
+  [0.25, 0.5, 0.75].forEach((v) => {
+    ctx.moveTo(0, v * height);
+    ctx.lineTo(width, v * height);
+  });
+  ctx.stroke();
+
+  ctx.strokeStyle = '#00ffcc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  opacities.forEach((opacity, i) => ctx.lineTo(...point(opacity, i)));
+  ctx.stroke();
+  ctx.lineWidth = 1;
+
+  ctx.fillStyle = '#00ffcc';
+  opacities.forEach((opacity, i) => {
+    const [x, y] = point(opacity, i);
+    ctx.beginPath();
+    ctx.arc(x, y, 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+// Boundary selects per axis; the wall energy only matters while some axis is fixed
+function syncBoundaryControls(params) {
+  const modes = getBoundaryModes(params);
+  boundarySelects.forEach((select, axis) => {
+    select.value = modes[axis];
+  });
+  boundaryValueInput.value = params.boundaryValue ?? 0;
+  boundaryValueInput.disabled = !modes.some((mode) => BOUNDARY_MODES[mode] === 'fixed');
+}
+
+// Grid select value of a shape: "64x64x64", "128x128x32"
+function gridOptionValue(dims) {
+  return dims.join('x');
+}
+
+// Show the simulation's grid in the preset select (or Custom) and the X/Y/Z inputs
+function syncGridControls() {
+  const value = gridOptionValue(sim.gridDims);
+  const preset = [...gridSizeSelect.options].some((option) => option.value === value);
+  gridSizeSelect.value = preset ? value : 'custom';
+  gridDimInputs.forEach((input, i) => {
+    input.value = sim.gridDims[i];
+  });
+}
+
+async function resizeGrid(dims) {
+  await sim.resizeGrid(dims);
+  syncGridControls();
+  syncKernelRadiusControls();
+  syncSliceDepthControls(sim.params);
+  updateConvolutionStatus();
+}
+
+// Outer-radius controls stop at what the current grid can hold
+function syncKernelRadiusControls() {
+  const limit = getKernelRadiusLimit(sim.gridDims);
+  const note = limit < MAX_KERNEL_RADIUS ? `Limited to ${limit} on a ${formatGridDims(sim.gridDims)} grid` : '';
+  paramsContainer.querySelectorAll('input[data-key^="outerRadius"]').forEach((input) => {
+    input.max = limit;
+    input.title = note;
+    input.value = sim.params[input.dataset.key];
+    updateValueLabel(input.dataset.key, sim.params[input.dataset.key]);
+  });
+}
+
 function updateValueLabel(key, value) {
   const el = document.getElementById(`value-${key}`);
   if (el) el.textContent = value.toFixed(4);
@@ -435,6 +1779,10 @@ function updateValueLabel(key, value) {
 
 function updateUIFromParams(params) {
   Object.entries(params).forEach(([k, v]) => updateValueLabel(k, v));
+  syncKernelRadiusControls();
+  if (seedInput) {
+    seedInput.value = sim.seed;
+  }
   if (paletteSelect) {
     paletteSelect.value = params.paletteMode ?? 0;
   }
@@ -444,6 +1792,13 @@ function updateUIFromParams(params) {
   if (neighborModeSelect) {
     neighborModeSelect.value = params.neighborMode ?? 6;
   }
+  if (viewModeSelect) {
+    viewModeSelect.value = params.viewMode ?? 0;
+  }
+  syncSpeciesControls(params);
+  syncBoundaryControls(params);
+  syncRenderControls(params);
+  updateConvolutionStatus();
 
   // Update energy filter checkboxes
   const filterBits = params.energyRangeFilters ?? 0b1111;
@@ -510,13 +1865,44 @@ async function captureSnapshot() {
     });
     if (!pngBlob) throw new Error('Canvas capture failed');
     await writeFile(subDir, 'snapshot.png', pngBlob);
-
-    const payload = { params: sim.params, gridSize: sim.gridSize, paletteMode: sim.params.paletteMode };
-    const json = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-    await writeFile(subDir, 'params.json', json);
+    await writeFile(subDir, 'params.json', captureParamsBlob());
 
     console.log(`Captured to ${folderName}/snapshot.png`);
   } catch (err) {
     console.error('Capture failed:', err);
   }
 }
+
+// params.json written next to every capture
+function captureParamsBlob() {
+  const payload = {
+    params: sim.params,
+    gridDims: sim.gridDims,
+    paletteMode: sim.params.paletteMode,
+    seed: sim.seed,
+    step: sim.stepCount,
+    camera: sim.camera.toJSON(),
+  };
+  return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Write exported files into a new capture folder (next to a params.json), or
+ * download them one by one where the File System Access API is missing
+ *
+ * @param {{name:string, blob:Blob}[]} files
+ */
+async function saveCaptureFiles(files) {
+  if (!('showDirectoryPicker' in window)) {
+    files.forEach(({ name, blob }) => downloadBlob(blob, `wigle-u-3d_${name}`));
+    return;
+  }
+  const root = await ensureCaptureDir();
+  const folderName = timestampFolder();
+  const subDir = await root.getDirectoryHandle(folderName, { create: true });
+  for (const { name, blob } of files) {
+    await writeFile(subDir, name, blob);
+  }
+  await writeFile(subDir, 'params.json', captureParamsBlob());
+  console.log(`Captured to ${folderName}/${files.map((f) => f.name).join(', ')}`);
+}
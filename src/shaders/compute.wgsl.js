@@ -15,15 +15,44 @@ export default /* wgsl */ `// 3D Energy Life Simulation - Compute Shader
 // 4. Diffusion (Laplacian smoothing)
 // 5. Fission instability (chaos at high energy)
 // 6. Random noise for organic behavior
+//
+// Up to 4 species live in the r/g/b/a channels. Each has its own kernel and
+// growth curve; its potential mixes every species' energy through a row of
+// the interaction matrix. Unused channels are written as 0.
+//
+// Terrain (extendedMode, ported from the 2D lifecycle shader) takes the alpha
+// channel: energy erodes it, it diffuses along the energy Laplacian, and it
+// repels/taxes every species. With terrain on at most 3 species run.
+//
+// The mouse brush (2D interaction texture equivalent) is a sphere with linear
+// falloff: it adds energy to every active species or shifts kernel weights
+// (attract > 0, repel < 0) for cells inside it.
+//
+// Each axis has its own boundary (params.boundary): periodic (torus), absorbing
+// (0 past the face), reflecting (mirrored at the face) or fixed (boundary.w in
+// every active species past the face). Every neighbor read goes through loadEnergy.
+//
+// Three entry points share everything but step 1: main reads every kernel tap
+// from the texture, mainTiled reads them from a workgroup-memory slab and
+// mainSpectral takes potentials from an FFT convolution (fft.wgsl.js).
 
 struct SimParams {
   dims : vec4<u32>,
-  inner : vec4<f32>,
-  growthA : vec4<f32>,
+  inner : vec4<f32>,          // species A kernel (kept for the render/CPU side)
+  growthA : vec4<f32>,        // .w = suppressionFactor; .xyz mirror speciesGrowth[0]
   economy : vec4<f32>,
   instab : vec4<f32>,
   misc : vec4<f32>,
   camera : vec4<f32>,
+  species : vec4<f32>,        // x = speciesCount (1-4), y = terrain enabled
+  speciesInner : array<vec4<f32>, 4>,   // innerRadius, innerStrength, outerRadius, outerStrength
+  speciesGrowth : array<vec4<f32>, 4>,  // growthCenter, growthWidth, growthRate, growthWidthNorm
+  interaction : array<vec4<f32>, 4>,    // row i: weight of each species' energy in species i's potential
+  terrainA : vec4<f32>,       // erosionThreshold, erosionRate, terrainDiffusion, overflowCap
+  terrainB : vec4<f32>,       // overflowLeak, overflowNoise, terrainCostCoef, terrainRepelCoef
+  brush : vec4<f32>,          // xyz = center (cells), w = radius (0 = off)
+  brushMode : vec4<f32>,      // x = energy at the center, y = kernel weight shift at the center
+  boundary : vec4<f32>,       // xyz = mode per axis (BOUNDARY_MODES index), w = fixed wall energy
 };
 
 @group(0) @binding(0) var<uniform> params : SimParams;
@@ -31,8 +60,17 @@ struct SimParams {
 @group(0) @binding(2) var outputTex : texture_storage_3d<rgba16float, write>;
 @group(0) @binding(3) var kernelWeightLUT : texture_1d<f32>;
 
-// KERNEL_SIZE will be replaced by template (e.g., 10)
-const KERNEL : i32 = {{KERNEL_SIZE}};
+// TILE_HALO and the workgroup size will be replaced by template (e.g., 10 and 8×8×4)
+const HALO : i32 = {{TILE_HALO}};
+const TILE_X : i32 = {{WORKGROUP_X}};
+const TILE_Y : i32 = {{WORKGROUP_Y}};
+const TILE_Z : i32 = {{WORKGROUP_Z}};
+const TERRAIN : i32 = 3; // channel holding terrain height when enabled
+
+// Boundary modes (BOUNDARY_MODES in constants.js)
+const BOUNDARY_PERIODIC : i32 = 0;
+const BOUNDARY_ABSORBING : i32 = 1;
+const BOUNDARY_REFLECTING : i32 = 2;
 
 // Wrap coordinate for toroidal topology
 fn wrapCoord(coord : i32, dim : i32) -> i32 {
@@ -41,14 +79,48 @@ fn wrapCoord(coord : i32, dim : i32) -> i32 {
   return v;
 }
 
-// Load energy value with wrapped coordinates
-fn loadEnergy(coord : vec3<i32>, dims : vec3<i32>) -> f32 {
-  let wrapped = vec3<i32>(
-    wrapCoord(coord.x, dims.x),
-    wrapCoord(coord.y, dims.y),
-    wrapCoord(coord.z, dims.z)
+// Fold a coordinate into [0, dim) on periodic and reflecting axes; on wall axes
+// (absorbing, fixed) it stays outside. Reflection mirrors about the face, so
+// -1 reads cell 0 and dim reads dim - 1 (zero flux through the face).
+fn boundaryCoord(coord : i32, dim : i32, mode : i32) -> i32 {
+  if (mode == BOUNDARY_PERIODIC) {
+    return wrapCoord(coord, dim);
+  }
+  if (mode == BOUNDARY_REFLECTING) {
+    let v = wrapCoord(coord, 2 * dim);
+    return select(v, 2 * dim - 1 - v, v >= dim);
+  }
+  return coord;
+}
+
+// 1.0 for channels that hold an active species
+fn speciesMask(count : i32) -> vec4<f32> {
+  return select(vec4<f32>(0.0), vec4<f32>(1.0), vec4<i32>(0, 1, 2, 3) < vec4<i32>(count));
+}
+
+// Load all species' energy, resolving coordinates past a face by its boundary mode
+// Past a wall: 0 if any crossed face is absorbing, otherwise the fixed value in
+// every active species (terrain reads 0)
+fn loadEnergy(coord : vec3<i32>, dims : vec3<i32>) -> vec4<f32> {
+  let modes = vec3<i32>(params.boundary.xyz);
+  let folded = vec3<i32>(
+    boundaryCoord(coord.x, dims.x, modes.x),
+    boundaryCoord(coord.y, dims.y, modes.y),
+    boundaryCoord(coord.z, dims.z, modes.z)
   );
-  return textureLoad(inputTex, wrapped, 0).x;
+  let outside = (folded < vec3<i32>(0)) | (folded >= dims);
+  if (any(outside)) {
+    let absorbing = any(outside & (modes == vec3<i32>(BOUNDARY_ABSORBING)));
+    let wall = params.boundary.w * speciesMask(i32(params.species.x));
+    return select(wall, vec4<f32>(0.0), absorbing);
+  }
+  return textureLoad(inputTex, folded, 0);
+}
+
+// Largest |offset| on any axis of a kernel tap: the loops below are bounded by
+// the species' outerRadius at run time, not by a compile-time size
+fn kernelReach(outerRadius : f32) -> i32 {
+  return i32(ceil(sqrt(outerRadius * outerRadius)));
 }
 
 // Compute kernel weight for neighbor interaction
@@ -84,9 +156,9 @@ fn growthFunction(potential : f32, currentEnergy : f32, center : f32, width : f3
   return bell;
 }
 
-// 3D Laplacian for diffusion (6/18/26-neighbor stencil)
+// 3D Laplacian for diffusion (6/18/26-neighbor stencil), all channels at once
 // neighborMode: 6=face, 18=face+edge, 26=full cube
-fn laplacian(coord : vec3<i32>, dims : vec3<i32>, current : f32, neighborMode : f32) -> f32 {
+fn laplacian(coord : vec3<i32>, dims : vec3<i32>, current : vec4<f32>, neighborMode : f32) -> vec4<f32> {
   // Face neighbors (6) - always used
   let xp = loadEnergy(coord + vec3<i32>(1, 0, 0), dims);
   let xm = loadEnergy(coord + vec3<i32>(-1, 0, 0), dims);
@@ -137,54 +209,31 @@ fn laplacian(coord : vec3<i32>, dims : vec3<i32>, current : f32, neighborMode :
   return sum - centerWeight * current;
 }
 
-// 3D hash function for deterministic noise
-fn hash31(p : vec3<u32>) -> f32 {
-  var h = p.x * 0x1e35a7bdu + p.y * 0x94d049bbu + p.z * 0x5bd1e995u;
-  h = (h ^ (h >> 15u)) * 0x2c1b3c6du;
-  h = h ^ (h >> 12u);
-  return f32(h & 0x007fffffu) / f32(0x00800000u);
-}
-
-// Main compute shader entry point
-// Workgroup size configured via template (e.g., 8×8×4 = 256 threads for NVIDIA)
-@compute @workgroup_size({{WORKGROUP_X}}, {{WORKGROUP_Y}}, {{WORKGROUP_Z}})
-fn main(@builtin(global_invocation_id) gid : vec3<u32>) {
-  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
-  if (any(gid >= params.dims.xyz)) {
-    return;
-  }
-  let coord = vec3<i32>(gid);
-
-  // Extract parameters from uniform buffer
-  let innerRadius = params.inner.x;
-  let innerStrength = params.inner.y;
-  let outerRadius = params.inner.z;
-  let outerStrength = params.inner.w;
-  let growthCenter = params.growthA.x;
-  let growthWidth = params.growthA.y;
-  let growthRate = params.growthA.z;
-  let suppressionFactor = params.growthA.w;
-  let globalAverage = params.economy.x;
-  let decayRate = params.economy.y;
-  let diffusionRate = params.economy.z;
-  let fissionThreshold = params.economy.w;
-  let instability = params.instab.x;
-  let growthWidthNorm = params.instab.y;
-  let neighborMode = params.instab.z;
-  let time = params.camera.z;
-  let seed = params.misc.w;
-
-  let currentEnergy = textureLoad(inputTex, coord, 0).x;
-
-  // 1. Compute weighted potential from spherical kernel
-  // WARNING: This is the performance hotspot
-  // For KERNEL=10: (2*10+1)³ = 21³ = 9,261 iterations per cell
-  var potential = 0.0;
+// Kernel-weighted sum of every channel around coord, normalized by the kernel's total |weight|
+// Terrain repulsion lowers the weight of neighbors on higher terrain (repel = 0 without terrain);
+// shift is the brush's attract/repel offset added to every weight (0 outside the brush)
+// WARNING: This is the performance hotspot
+// About (4/3)πR³ taps per cell per species: ~1,800 for R = 7.5, ~14,000 for R = 15
+fn kernelPotential(
+  coord : vec3<i32>,
+  dims : vec3<i32>,
+  shape : vec4<f32>,
+  selfTerrain : f32,
+  repel : f32,
+  shift : f32
+) -> vec4<f32> {
+  let innerRadius = shape.x;
+  let innerStrength = shape.y;
+  let outerRadius = shape.z;
+  let outerStrength = shape.w;
+
+  var potential = vec4<f32>(0.0);
   var totalWeight = 0.0;
 
   // OPTIMIZATION 2: Tight loop bounds using sphere equation (20-30% speedup)
   // Calculate exact bounds per Z/Y layer to skip cells outside sphere
-  for (var dz : i32 = -KERNEL; dz <= KERNEL; dz = dz + 1) {
+  let reach = kernelReach(outerRadius);
+  for (var dz : i32 = -reach; dz <= reach; dz = dz + 1) {
     let dz_f = f32(dz);
     let r2_yz = outerRadius * outerRadius - dz_f * dz_f;
 
@@ -213,7 +262,8 @@ fn main(@builtin(global_invocation_id) gid : vec3<u32>) {
         // Keep safety check
         if (dist <= outerRadius) {
           let neighbor = loadEnergy(coord + offset, dims);
-          let w = kernelWeight(dist, innerRadius, innerStrength, outerRadius, outerStrength);
+          let slope = neighbor[TERRAIN] - selfTerrain;
+          let w = kernelWeight(dist, innerRadius, innerStrength, outerRadius, outerStrength) - repel * slope + shift;
           potential = potential + neighbor * w;
           totalWeight = totalWeight + abs(w);
         }
@@ -224,34 +274,483 @@ fn main(@builtin(global_invocation_id) gid : vec3<u32>) {
   if (totalWeight > 0.0) {
     potential = potential / totalWeight;
   }
+  return potential;
+}
+
+// Brush falloff at coord: 1 at the center, 0 at the radius (toroidal distance on periodic axes)
+fn brushIntensity(coord : vec3<i32>, dims : vec3<i32>) -> f32 {
+  let radius = params.brush.w;
+  let d = abs(vec3<f32>(coord) - params.brush.xyz);
+  let periodic = vec3<i32>(params.boundary.xyz) == vec3<i32>(BOUNDARY_PERIODIC);
+  let wrapped = select(d, min(d, vec3<f32>(dims) - d), periodic);
+  let dist = length(wrapped);
+  return select(0.0, 1.0 - dist / radius, dist < radius);
+}
+
+// 3D hash function for deterministic noise
+fn hash31(p : vec3<u32>) -> f32 {
+  var h = p.x * 0x1e35a7bdu + p.y * 0x94d049bbu + p.z * 0x5bd1e995u;
+  h = (h ^ (h >> 15u)) * 0x2c1b3c6du;
+  h = h ^ (h >> 12u);
+  return f32(h & 0x007fffffu) / f32(0x00800000u);
+}
+
+// Steps 2-7 for one cell, given each species' potential from step 1 (shared by every entry point)
+fn updateCell(gid : vec3<u32>, current : vec4<f32>, potentials : vec4<f32>, lap : vec4<f32>, brush : f32) -> vec4<f32> {
+  let coord = vec3<i32>(gid);
+
+  // Extract parameters from uniform buffer
+  let suppressionFactor = params.growthA.w;
+  let globalAverage = params.economy.x;
+  let decayRate = params.economy.y;
+  let diffusionRate = params.economy.z;
+  let fissionThreshold = params.economy.w;
+  let instability = params.instab.x;
+  let time = params.camera.z;
+  let seed = params.misc.w;
+  let speciesCount = i32(params.species.x);
+  let activeMask = speciesMask(speciesCount);
+  let terrainOn = params.species.y > 0.5;
+  let terrainCostCoef = select(0.0, params.terrainB.z, terrainOn);
+  let terrain = select(0.0, current[TERRAIN], terrainOn);
+  let brushEnergy = brush * params.brushMode.x;
+
+  // 4. Diffusion (Laplacian smoothing) - shared stencil, one value per species
+  let diffusion = lap * diffusionRate;
+
+  var newEnergy = vec4<f32>(0.0);
+  for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+    let growthCenter = params.speciesGrowth[s].x;
+    let growthWidth = params.speciesGrowth[s].y;
+    let growthRate = params.speciesGrowth[s].z;
+    let growthWidthNorm = params.speciesGrowth[s].w;
+    let currentEnergy = current[s];
+    let potential = potentials[s];
+
+    // 2. Growth function (Gaussian bell curve)
+    let widthEff = max(1e-6, growthWidth * growthWidthNorm);
+    var growth = growthFunction(potential, currentEnergy, growthCenter, widthEff, fissionThreshold, instability) - 0.5;
+    growth = growth - globalAverage * suppressionFactor;
+
+    // 3. Metabolism (quadratic energy decay) plus the cost of standing on terrain
+    let metabolism = currentEnergy * currentEnergy * decayRate;
+    let terrainCost = terrainCostCoef * terrain;
+
+    // 5. Fission instability (chaos at high energy)
+    var fissionNoise = 0.0;
+    if (currentEnergy > fissionThreshold) {
+      let excess = (currentEnergy - fissionThreshold) / (1.0 - fissionThreshold);
+      let chaos = sin((f32(coord.x + coord.y + coord.z) + time) * 0.5);
+      fissionNoise = chaos * excess * 0.1;
+    }
+
+    // 6. Random noise for organic behavior (seed is a per-step integer hash, offset per species)
+    let noiseSeed = u32(seed) + u32(s) * 0x9e3779b9u;
+    let noise = (hash31(gid + vec3<u32>(noiseSeed)) - 0.5) * 0.001;
+
+    // Update energy
+    let deltaEnergy =
+      growthRate * growth - metabolism - terrainCost + diffusion[s] + fissionNoise + noise + brushEnergy;
+    newEnergy[s] = clamp(currentEnergy + deltaEnergy, 0.0, 1.0);
+  }
+
+  // 7. Terrain erosion/transport (same steps as the 2D lifecycle shader, driven by total energy)
+  if (terrainOn) {
+    let erosionThreshold = params.terrainA.x;
+    let erosionRate = params.terrainA.y;
+    let terrainDiffusion = params.terrainA.z;
+    let overflowCap = params.terrainA.w;
+    let overflowLeak = params.terrainB.x;
+    let overflowNoise = params.terrainB.y;
+    let totalEnergy = dot(current, activeMask);
+    var height = terrain;
+
+    var erosion = 0.0;
+    if (totalEnergy > erosionThreshold) {
+      erosion = erosionRate * (totalEnergy - erosionThreshold);
+    }
+
+    // Eroded terrain is deposited in place, then soft overflow above 1 leaks away
+    let loss = min(height, erosion);
+    height = min(height - loss + loss, 1.0 + overflowCap);
+
+    let overflow = max(0.0, height - 1.0);
+    let leakSeed = u32(seed) + u32(TERRAIN) * 0x9e3779b9u; // the noise stream species D would use
+    let leakJitter = 1.0 + (hash31(gid + vec3<u32>(leakSeed)) - 0.5) * overflowNoise;
+    height = height - min(overflow, overflowLeak * leakJitter);
+
+    // As in 2D, terrain spreads along the energy Laplacian
+    let diffusionBoost = 1.0 + overflow * 2.0;
+    height = height + dot(lap, activeMask) * terrainDiffusion * diffusionBoost;
+
+    newEnergy[TERRAIN] = clamp(height, 0.0, 1.0);
+  }
+
+  return newEnergy;
+}
+
+// Main compute shader entry point (direct convolution: every tap is a textureLoad)
+// Workgroup size configured via template (e.g., 8×8×4 = 256 threads for NVIDIA)
+@compute @workgroup_size(TILE_X, TILE_Y, TILE_Z)
+fn main(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
+  if (any(gid >= params.dims.xyz)) {
+    return;
+  }
+  let coord = vec3<i32>(gid);
+  let speciesCount = i32(params.species.x);
+  let terrainOn = params.species.y > 0.5;
+  let terrainRepelCoef = select(0.0, params.terrainB.w, terrainOn);
+
+  let current = textureLoad(inputTex, coord, 0);
+  let terrain = select(0.0, current[TERRAIN], terrainOn);
+
+  // Mouse brush
+  let brush = brushIntensity(coord, dims);
+  let brushShift = brush * params.brushMode.y;
+
+  // 1. Weighted potential: each species' kernel over every channel, mixed by its interaction row
+  let activeMask = speciesMask(speciesCount);
+  var potentials = vec4<f32>(0.0);
+  for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+    let conv = kernelPotential(coord, dims, params.speciesInner[s], terrain, terrainRepelCoef, brushShift);
+    potentials[s] = dot(params.interaction[s], conv * activeMask);
+  }
+
+  let lap = laplacian(coord, dims, current, params.instab.z);
+  textureStore(outputTex, coord, updateCell(gid, current, potentials, lap, brush));
+}
+
+// ---------------------------------------------------------------------------
+// Tiled convolution (shared-memory caching)
+//
+// The workgroup walks the z planes its kernels reach, one at a time. For each
+// plane it stages the tile plus a HALO-wide border in workgroup memory, then
+// every cell adds that plane's taps from the slab. Taps are visited in the same
+// dz/dy/dx order as kernelPotential, so both paths sum identically. Taps beyond
+// the halo (outer radius > HALO in x/y) fall back to textureLoad.
+//
+// Slab size: (8+20)×(8+20) texels × 16 bytes = 12,544 bytes for 8×8×4 and HALO=10,
+// inside the 16 KB maxComputeWorkgroupStorageSize guaranteed by WebGPU.
+
+const SLAB_X : i32 = TILE_X + 2 * HALO;
+const SLAB_Y : i32 = TILE_Y + 2 * HALO;
+const SLAB_SIZE : i32 = SLAB_X * SLAB_Y;
+const TILE_THREADS : i32 = TILE_X * TILE_Y * TILE_Z;
+
+var<workgroup> slab : array<vec4<f32>, SLAB_SIZE>;
+
+// Running kernel sum for one species (passed by value so the order of additions is explicit)
+struct KernelSum {
+  potential : vec4<f32>,
+  totalWeight : f32,
+};
+
+// Add one z plane of kernelPotential's taps, read from the slab where the halo covers them
+fn accumulatePlane(
+  sum : KernelSum,
+  local : vec3<i32>,
+  coord : vec3<i32>,
+  dims : vec3<i32>,
+  dz : i32,
+  shape : vec4<f32>,
+  selfTerrain : f32,
+  repel : f32,
+  shift : f32
+) -> KernelSum {
+  let innerRadius = shape.x;
+  let innerStrength = shape.y;
+  let outerRadius = shape.z;
+  let outerStrength = shape.w;
+  var result = sum;
+
+  let dz_f = f32(dz);
+  let r2_yz = outerRadius * outerRadius - dz_f * dz_f;
+  if (r2_yz < 0.0) {
+    return result;
+  }
 
-  // 2. Growth function (Gaussian bell curve)
-  let widthEff = max(1e-6, growthWidth * growthWidthNorm);
-  var growth = growthFunction(potential, currentEnergy, growthCenter, widthEff, fissionThreshold, instability) - 0.5;
-  growth = growth - globalAverage * suppressionFactor;
+  let dyMax = i32(ceil(sqrt(r2_yz)));
+  for (var dy : i32 = -dyMax; dy <= dyMax; dy = dy + 1) {
+    let dy_f = f32(dy);
+    let r2_x = r2_yz - dy_f * dy_f;
+    if (r2_x < 0.0) {
+      continue;
+    }
 
-  // 3. Metabolism (quadratic energy decay)
-  let metabolism = currentEnergy * currentEnergy * decayRate;
+    let dxMax = i32(ceil(sqrt(r2_x)));
+    for (var dx : i32 = -dxMax; dx <= dxMax; dx = dx + 1) {
+      let offset = vec3<i32>(dx, dy, dz);
+      let dist = length(vec3<f32>(offset));
+      if (dist <= outerRadius) {
+        var neighbor : vec4<f32>;
+        if (abs(dx) <= HALO && abs(dy) <= HALO) {
+          neighbor = slab[(local.y + HALO + dy) * SLAB_X + local.x + HALO + dx];
+        } else {
+          neighbor = loadEnergy(coord + offset, dims);
+        }
+        let slope = neighbor[TERRAIN] - selfTerrain;
+        let w = kernelWeight(dist, innerRadius, innerStrength, outerRadius, outerStrength) - repel * slope + shift;
+        result.potential = result.potential + neighbor * w;
+        result.totalWeight = result.totalWeight + abs(w);
+      }
+    }
+  }
+  return result;
+}
 
-  // 4. Diffusion (Laplacian smoothing)
-  let diffusion = laplacian(coord, dims, currentEnergy, neighborMode) * diffusionRate;
+// Tiled entry point: same output as main, far fewer texture reads per cell
+// Every invocation (including those past the grid edge) helps fill the slab, so
+// there is no early return before the barriers.
+@compute @workgroup_size(TILE_X, TILE_Y, TILE_Z)
+fn mainTiled(
+  @builtin(global_invocation_id) gid : vec3<u32>,
+  @builtin(local_invocation_id) lid : vec3<u32>,
+  @builtin(local_invocation_index) lindex : u32
+) {
+  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
+  let inside = all(gid < params.dims.xyz);
+  let coord = vec3<i32>(gid);
+  let local = vec3<i32>(lid);
+  let origin = coord - local;
+  let speciesCount = i32(params.species.x);
+  let terrainOn = params.species.y > 0.5;
+  let terrainRepelCoef = select(0.0, params.terrainB.w, terrainOn);
+
+  let current = loadEnergy(coord, dims);
+  let terrain = select(0.0, current[TERRAIN], terrainOn);
+
+  // Mouse brush
+  let brush = brushIntensity(coord, dims);
+  let brushShift = brush * params.brushMode.y;
+
+  // Planes reached by the widest active kernel (uniform, so the barriers below stay legal)
+  var reach = 0;
+  for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+    reach = max(reach, kernelReach(params.speciesInner[s].z));
+  }
 
-  // 5. Fission instability (chaos at high energy)
-  var fissionNoise = 0.0;
-  if (currentEnergy > fissionThreshold) {
-    let excess = (currentEnergy - fissionThreshold) / (1.0 - fissionThreshold);
-    let chaos = sin((f32(coord.x + coord.y + coord.z) + time) * 0.5);
-    fissionNoise = chaos * excess * 0.1;
+  // 1. Each species' kernel over every channel, one z plane at a time
+  var sums : array<KernelSum, 4>;
+  for (var plane : i32 = 0; plane < TILE_Z + 2 * reach; plane = plane + 1) {
+    let planeZ = origin.z - reach + plane;
+    for (var i : i32 = i32(lindex); i < SLAB_SIZE; i = i + TILE_THREADS) {
+      let texel = vec3<i32>(origin.x - HALO + i % SLAB_X, origin.y - HALO + i / SLAB_X, planeZ);
+      slab[i] = loadEnergy(texel, dims);
+    }
+    workgroupBarrier();
+
+    let dz = planeZ - coord.z;
+    if (inside && abs(dz) <= reach) {
+      for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+        sums[s] = accumulatePlane(
+          sums[s], local, coord, dims, dz, params.speciesInner[s], terrain, terrainRepelCoef, brushShift
+        );
+      }
+    }
+    workgroupBarrier();
   }
 
-  // 6. Random noise for organic behavior
-  let noise = (hash31(gid + vec3<u32>(u32(seed * 100000.0))) - 0.5) * 0.001;
+  if (!inside) {
+    return;
+  }
 
-  // Update energy
-  let deltaEnergy = growthRate * growth - metabolism + diffusion + fissionNoise + noise;
-  var newEnergy = currentEnergy + deltaEnergy;
-  newEnergy = clamp(newEnergy, 0.0, 1.0);
+  let activeMask = speciesMask(speciesCount);
+  var potentials = vec4<f32>(0.0);
+  for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+    var conv = sums[s].potential;
+    if (sums[s].totalWeight > 0.0) {
+      conv = conv / sums[s].totalWeight;
+    }
+    potentials[s] = dot(params.interaction[s], conv * activeMask);
+  }
+
+  let lap = laplacian(coord, dims, current, params.instab.z);
+  textureStore(outputTex, coord, updateCell(gid, current, potentials, lap, brush));
+}
+
+// ---------------------------------------------------------------------------
+// Spectral convolution (FFT)
+//
+// Only used with periodic boundaries on every axis (the FFT convolves on a torus).
+// Without terrain repel or a brush shift every cell sees the same kernel, so by
+// linearity species s's potential is its kernel, normalized by Σ|w|, convolved
+// with P_s = Σ_j mix_sj E_j. Species share complex volumes in pairs
+// (P_A + i P_B, P_C + i P_D) that fft.wgsl.js transforms in place. Kernels are
+// real and even, so their spectra are real: one complex volume holds the
+// spectra of a pair (FFT of K_A + i K_B = K̂_A + i K̂_B).
+//
+// Per step: packSpectral → forward FFT → multiplySpectral → inverse FFT → mainSpectral.
+// buildSpectralKernel + forward FFT only rerun when a kernel shape changes.
+
+struct SpectralParams {
+  kernelScale : vec4<f32>,    // per species: 1 / (Σ|w| · cell count), folding in the inverse FFT's 1/N
+};
+
+@group(0) @binding(4) var<storage, read_write> spectrumAB : array<vec2<f32>>;
+@group(0) @binding(5) var<storage, read_write> spectrumCD : array<vec2<f32>>; // only read with > 2 species
+@group(0) @binding(6) var<storage, read_write> kernelAB : array<vec2<f32>>;
+@group(0) @binding(7) var<storage, read_write> kernelCD : array<vec2<f32>>;
+@group(0) @binding(8) var<uniform> spectral : SpectralParams;
+
+// Linear index into the spectral buffers (x fastest, like the field texture)
+fn cellIndex(cell : vec3<i32>, dims : vec3<i32>) -> i32 {
+  return cell.x + dims.x * (cell.y + dims.y * cell.z);
+}
+
+// Sum of the kernelPotential tap weights whose offset wraps onto cell (the kernel
+// as a periodic volume); the same tap test as kernelPotential, so small grids
+// where the kernel overlaps itself still match the direct sum
+fn wrappedKernelWeight(cell : vec3<i32>, dims : vec3<i32>, shape : vec4<f32>) -> f32 {
+  let innerRadius = shape.x;
+  let innerStrength = shape.y;
+  let outerRadius = shape.z;
+  let outerStrength = shape.w;
+
+  let reach = kernelReach(outerRadius);
+  // Smallest offset ≡ cell (mod dims) inside the reach on each axis
+  let first = (cell + vec3<i32>(reach)) % dims - vec3<i32>(reach);
+
+  var sum = 0.0;
+  for (var dz : i32 = first.z; dz <= reach; dz = dz + dims.z) {
+    let dz_f = f32(dz);
+    let r2_yz = outerRadius * outerRadius - dz_f * dz_f;
+    if (r2_yz < 0.0) {
+      continue;
+    }
+    let dyMax = i32(ceil(sqrt(r2_yz)));
+    for (var dy : i32 = first.y; dy <= dyMax; dy = dy + dims.y) {
+      let dy_f = f32(dy);
+      let r2_x = r2_yz - dy_f * dy_f;
+      if (dy < -dyMax || r2_x < 0.0) {
+        continue;
+      }
+      let dxMax = i32(ceil(sqrt(r2_x)));
+      for (var dx : i32 = first.x; dx <= dxMax; dx = dx + dims.x) {
+        let dist = length(vec3<f32>(vec3<i32>(dx, dy, dz)));
+        if (dx >= -dxMax && dist <= outerRadius) {
+          sum = sum + kernelWeight(dist, innerRadius, innerStrength, outerRadius, outerStrength);
+        }
+      }
+    }
+  }
+  return sum;
+}
+
+// Kernel volumes for the spectra (forward-transformed afterwards)
+@compute @workgroup_size(TILE_X, TILE_Y, TILE_Z)
+fn buildSpectralKernel(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
+  if (any(gid >= params.dims.xyz)) {
+    return;
+  }
+  let cell = vec3<i32>(gid);
+  let speciesCount = i32(params.species.x);
+  let i = cellIndex(cell, dims);
+
+  var weights = vec4<f32>(0.0);
+  for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+    weights[s] = wrappedKernelWeight(cell, dims, params.speciesInner[s]) * spectral.kernelScale[s];
+  }
+  kernelAB[i] = weights.xy;
+  if (speciesCount > 2) {
+    kernelCD[i] = weights.zw;
+  }
+}
+
+// P_s = Σ_j mix_sj E_j, packed two species per complex value
+@compute @workgroup_size(TILE_X, TILE_Y, TILE_Z)
+fn packSpectral(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
+  if (any(gid >= params.dims.xyz)) {
+    return;
+  }
+  let coord = vec3<i32>(gid);
+  let speciesCount = i32(params.species.x);
+  let energy = textureLoad(inputTex, coord, 0) * speciesMask(speciesCount);
+  let i = cellIndex(coord, dims);
+
+  var mixed = vec4<f32>(0.0);
+  for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+    mixed[s] = dot(params.interaction[s], energy);
+  }
+  spectrumAB[i] = mixed.xy;
+  if (speciesCount > 2) {
+    spectrumCD[i] = mixed.zw;
+  }
+}
+
+// Spectrum of K_a * P_a + i (K_b * P_b) at k, from Z = FFT(P_a + i P_b) at k and -k
+// (Z[k] + conj Z[-k]) / 2 is P̂_a and (Z[k] - conj Z[-k]) / 2i is P̂_b
+fn pairProduct(z : vec2<f32>, zNeg : vec2<f32>, spectrum : vec2<f32>) -> vec2<f32> {
+  let zNegConj = vec2<f32>(zNeg.x, -zNeg.y);
+  return 0.5 * (spectrum.x + spectrum.y) * z + 0.5 * (spectrum.x - spectrum.y) * zNegConj;
+}
+
+// Multiply the pair spectra by the kernel spectra in place; the invocation with
+// the lower index of k and -k updates both
+@compute @workgroup_size(TILE_X, TILE_Y, TILE_Z)
+fn multiplySpectral(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
+  if (any(gid >= params.dims.xyz)) {
+    return;
+  }
+  let k = vec3<i32>(gid);
+  let i = cellIndex(k, dims);
+  let j = cellIndex((dims - k) % dims, dims);
+  if (i > j) {
+    return;
+  }
+
+  let ab = spectrumAB[i];
+  let abNeg = spectrumAB[j];
+  spectrumAB[i] = pairProduct(ab, abNeg, kernelAB[i]);
+  spectrumAB[j] = pairProduct(abNeg, ab, kernelAB[j]);
+
+  if (i32(params.species.x) > 2) {
+    let cd = spectrumCD[i];
+    let cdNeg = spectrumCD[j];
+    spectrumCD[i] = pairProduct(cd, cdNeg, kernelCD[i]);
+    spectrumCD[j] = pairProduct(cdNeg, cd, kernelCD[j]);
+  }
+}
+
+// Spectral entry point: potentials come from the inverse-transformed pair volumes.
+// Cells whose weights differ from the shared kernel (brush attract/repel, terrain
+// repel) sum their taps directly instead.
+@compute @workgroup_size(TILE_X, TILE_Y, TILE_Z)
+fn mainSpectral(@builtin(global_invocation_id) gid : vec3<u32>) {
+  let dims = vec3<i32>(i32(params.dims.x), i32(params.dims.y), i32(params.dims.z));
+  if (any(gid >= params.dims.xyz)) {
+    return;
+  }
+  let coord = vec3<i32>(gid);
+  let speciesCount = i32(params.species.x);
+  let activeMask = speciesMask(speciesCount);
+  let terrainOn = params.species.y > 0.5;
+  let terrainRepelCoef = select(0.0, params.terrainB.w, terrainOn);
+
+  let current = textureLoad(inputTex, coord, 0);
+  let terrain = select(0.0, current[TERRAIN], terrainOn);
+
+  // Mouse brush
+  let brush = brushIntensity(coord, dims);
+  let brushShift = brush * params.brushMode.y;
+
+  // 1. Weighted potential
+  let i = cellIndex(coord, dims);
+  var potentials = vec4<f32>(spectrumAB[i], 0.0, 0.0);
+  if (speciesCount > 2) {
+    potentials = vec4<f32>(potentials.xy, spectrumCD[i]);
+  }
+  if (brushShift != 0.0 || terrainRepelCoef != 0.0) {
+    for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+      let conv = kernelPotential(coord, dims, params.speciesInner[s], terrain, terrainRepelCoef, brushShift);
+      potentials[s] = dot(params.interaction[s], conv * activeMask);
+    }
+  }
 
-  textureStore(outputTex, coord, vec4<f32>(newEnergy, 0.0, 0.0, 1.0));
+  let lap = laplacian(coord, dims, current, params.instab.z);
+  textureStore(outputTex, coord, updateCell(gid, current, potentials, lap, brush));
 }
 `;
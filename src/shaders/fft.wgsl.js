@@ -0,0 +1,74 @@
+/**
+ * 3D FFT Shader (one axis per dispatch)
+ *
+ * Exported as JavaScript string for use without build tools.
+ */
+
+export default /* wgsl */ `// 3D FFT Shader
+// Radix-2 Cooley-Tukey FFT of every line of a complex volume along one axis,
+// in place. One workgroup per line: the line is loaded in bit-reversed order
+// into workgroup memory, transformed there and written back. Running it along
+// x, y and z gives the 3D transform. Unnormalized in both directions (the
+// spectral convolution folds 1/N into its kernel).
+
+struct FFTParams {
+  dims : vec4<u32>,        // xyz = volume size, w = axis (0 = x, 1 = y, 2 = z)
+  direction : vec4<f32>,   // x = -1 forward, +1 inverse
+};
+
+@group(0) @binding(0) var<uniform> fft : FFTParams;
+@group(0) @binding(1) var<storage, read_write> data : array<vec2<f32>>; // x fastest, like the field texture
+
+// FFT_SIZE (line length, a power of two), its log2 and the thread count are replaced by template
+const N : u32 = {{FFT_SIZE}}u;
+const LOG2_N : u32 = {{FFT_LOG2}}u;
+const THREADS : u32 = {{FFT_THREADS}}u;
+const PI : f32 = 3.14159265358979;
+
+var<workgroup> line : array<vec2<f32>, N>;
+
+// Index of element i of the line (a, b): a and b are the other two axes in x, y, z order
+fn lineIndex(i : u32, a : u32, b : u32) -> u32 {
+  var cell = vec3<u32>(a, b, i);
+  if (fft.dims.w == 0u) {
+    cell = vec3<u32>(i, a, b);
+  } else if (fft.dims.w == 1u) {
+    cell = vec3<u32>(a, i, b);
+  }
+  return cell.x + fft.dims.x * (cell.y + fft.dims.y * cell.z);
+}
+
+fn complexMul(a : vec2<f32>, b : vec2<f32>) -> vec2<f32> {
+  return vec2<f32>(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+@compute @workgroup_size(THREADS)
+fn main(@builtin(workgroup_id) wid : vec3<u32>, @builtin(local_invocation_id) lid : vec3<u32>) {
+  let a = wid.x;
+  let b = wid.y;
+
+  for (var i : u32 = lid.x; i < N; i = i + THREADS) {
+    line[reverseBits(i) >> (32u - LOG2_N)] = data[lineIndex(i, a, b)];
+  }
+  workgroupBarrier();
+
+  for (var stage : u32 = 0u; stage < LOG2_N; stage = stage + 1u) {
+    let half = 1u << stage;
+    for (var t : u32 = lid.x; t < N / 2u; t = t + THREADS) {
+      let pos = t & (half - 1u);
+      let i = ((t >> stage) << (stage + 1u)) + pos;
+      let j = i + half;
+      let angle = fft.direction.x * PI * f32(pos) / f32(half);
+      let odd = complexMul(line[j], vec2<f32>(cos(angle), sin(angle)));
+      let even = line[i];
+      line[i] = even + odd;
+      line[j] = even - odd;
+    }
+    workgroupBarrier();
+  }
+
+  for (var i : u32 = lid.x; i < N; i = i + THREADS) {
+    data[lineIndex(i, a, b)] = line[i];
+  }
+}
+`;
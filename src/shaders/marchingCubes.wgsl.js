@@ -0,0 +1,167 @@
+/**
+ * Marching Cubes Shader
+ *
+ * Exported as JavaScript string for use without build tools.
+ */
+
+export default /* wgsl */ `// Marching Cubes Shader
+// Extracts the surface where the field's energy crosses an iso level. Energy is
+// the largest masked channel, the same scalar isosurface rendering follows.
+// One thread per cube of 2×2×2 neighbouring cells; cubes start one cell
+// before the grid so cells outside it read as empty and every surface closes.
+//
+// countTriangles adds each cube's vertex count to the counter; the host reads
+// it back, sizes the vertex buffer and runs emitTriangles, which reserves its
+// slots with the same counter (reset to 0) and writes three vertices per triangle.
+// Triangle order therefore varies between runs; the vertices do not.
+//
+// Tables come from marchingCubes.js: corner i is at ((i ^ i >> 1) & 1, i >> 1 & 1, i >> 2 & 1),
+// edge e runs from edgeStart(e) one cell along edgeAxis(e).
+
+struct MeshParams {
+  size : vec4<u32>,   // xyz = grid size, w = channel mask (bit c = channel c)
+  options : vec4<f32>, // x = iso level, yzw unused
+};
+
+struct MeshVertex {
+  position : vec3<f32>, // cell units, cell i centered at i
+  edge : u32,           // id of the grid edge the vertex lies on (shared by neighbouring cubes)
+  normal : vec3<f32>,   // outward unit normal (toward lower energy), 0 where the field is flat
+};
+
+@group(0) @binding(0) var<uniform> mesh : MeshParams;
+@group(0) @binding(1) var fieldTex : texture_3d<f32>;
+@group(0) @binding(2) var<storage, read> triangleTable : array<i32>; // 16 per case, -1 padded
+@group(0) @binding(3) var<storage, read_write> counter : atomic<u32>;
+@group(0) @binding(4) var<storage, read_write> vertices : array<MeshVertex>;
+
+const TRIANGLE_SLOTS : u32 = 16u;
+
+fn channelMask() -> vec4<f32> {
+  let bits = (vec4<u32>(mesh.size.w) >> vec4<u32>(0u, 1u, 2u, 3u)) & vec4<u32>(1u);
+  return vec4<f32>(bits);
+}
+
+// Largest masked channel; 0 outside the grid
+fn cellEnergy(cell : vec3<i32>) -> f32 {
+  if (any(cell < vec3<i32>(0)) || any(cell >= vec3<i32>(mesh.size.xyz))) {
+    return 0.0;
+  }
+  let v = textureLoad(fieldTex, cell, 0) * channelMask();
+  return max(max(v.x, v.y), max(v.z, v.w));
+}
+
+fn gradient(cell : vec3<i32>) -> vec3<f32> {
+  let dx = vec3<i32>(1, 0, 0);
+  let dy = vec3<i32>(0, 1, 0);
+  let dz = vec3<i32>(0, 0, 1);
+  return 0.5 * vec3<f32>(
+    cellEnergy(cell + dx) - cellEnergy(cell - dx),
+    cellEnergy(cell + dy) - cellEnergy(cell - dy),
+    cellEnergy(cell + dz) - cellEnergy(cell - dz),
+  );
+}
+
+fn cornerOffset(corner : u32) -> vec3<i32> {
+  return vec3<i32>(vec3<u32>((corner ^ (corner >> 1u)) & 1u, (corner >> 1u) & 1u, (corner >> 2u) & 1u));
+}
+
+// Edges 0-7 run along x (e % 4 < 2) or y in the z = e / 4 layer; 8-11 run along z
+fn edgeAxis(edge : u32) -> u32 {
+  if (edge >= 8u) {
+    return 2u;
+  }
+  return (edge % 4u) / 2u;
+}
+
+fn edgeStart(edge : u32) -> vec3<i32> {
+  if (edge >= 8u) {
+    return vec3<i32>(i32(edge & 1u), i32((edge >> 1u) & 1u), 0);
+  }
+  let side = i32(edge & 1u);
+  let z = i32(edge / 4u);
+  return select(vec3<i32>(0, side, z), vec3<i32>(side, 0, z), edgeAxis(edge) == 1u);
+}
+
+fn axisStep(axis : u32) -> vec3<i32> {
+  return vec3<i32>(vec3<u32>(axis) == vec3<u32>(0u, 1u, 2u));
+}
+
+struct Cube {
+  origin : vec3<i32>, // lower corner cell (may be -1)
+  caseIndex : u32,
+  vertexCount : u32,
+};
+
+fn classify(gid : vec3<u32>) -> Cube {
+  var cube : Cube;
+  cube.origin = vec3<i32>(gid) - vec3<i32>(1);
+  cube.caseIndex = 0u;
+  for (var corner : u32 = 0u; corner < 8u; corner = corner + 1u) {
+    if (cellEnergy(cube.origin + cornerOffset(corner)) >= mesh.options.x) {
+      cube.caseIndex = cube.caseIndex | (1u << corner);
+    }
+  }
+  cube.vertexCount = 0u;
+  let row = cube.caseIndex * TRIANGLE_SLOTS;
+  while (cube.vertexCount < TRIANGLE_SLOTS && triangleTable[row + cube.vertexCount] >= 0) {
+    cube.vertexCount = cube.vertexCount + 1u;
+  }
+  return cube;
+}
+
+// One cube per cell plus one extra along each axis (origins -1 … size - 1)
+fn inRange(gid : vec3<u32>) -> bool {
+  return all(gid <= mesh.size.xyz);
+}
+
+fn edgeVertex(origin : vec3<i32>, edge : u32) -> MeshVertex {
+  let axis = edgeAxis(edge);
+  let a = origin + edgeStart(edge);
+  let b = a + axisStep(axis);
+  let ea = cellEnergy(a);
+  let eb = cellEnergy(b);
+  let t = clamp((mesh.options.x - ea) / (eb - ea), 0.0, 1.0);
+  let g = mix(gradient(a), gradient(b), t);
+  let len = length(g);
+
+  // Edge ids count lower corners over the grid padded by one cell on each side
+  let padded = vec3<u32>(mesh.size.xyz) + vec3<u32>(2u);
+  let p = vec3<u32>(a + vec3<i32>(1));
+  var v : MeshVertex;
+  v.position = mix(vec3<f32>(a), vec3<f32>(b), t);
+  v.edge = ((p.z * padded.y + p.y) * padded.x + p.x) * 3u + axis;
+  v.normal = select(vec3<f32>(0.0), -g / len, len > 1e-6);
+  return v;
+}
+
+@compute @workgroup_size({{WORKGROUP_X}}, {{WORKGROUP_Y}}, {{WORKGROUP_Z}})
+fn countTriangles(@builtin(global_invocation_id) gid : vec3<u32>) {
+  if (!inRange(gid)) {
+    return;
+  }
+  let cube = classify(gid);
+  if (cube.vertexCount > 0u) {
+    atomicAdd(&counter, cube.vertexCount);
+  }
+}
+
+@compute @workgroup_size({{WORKGROUP_X}}, {{WORKGROUP_Y}}, {{WORKGROUP_Z}})
+fn emitTriangles(@builtin(global_invocation_id) gid : vec3<u32>) {
+  if (!inRange(gid)) {
+    return;
+  }
+  let cube = classify(gid);
+  if (cube.vertexCount == 0u) {
+    return;
+  }
+  let base = atomicAdd(&counter, cube.vertexCount);
+  if (base + cube.vertexCount > arrayLength(&vertices)) {
+    return;
+  }
+  let row = cube.caseIndex * TRIANGLE_SLOTS;
+  for (var i : u32 = 0u; i < cube.vertexCount; i = i + 1u) {
+    vertices[base + i] = edgeVertex(cube.origin, u32(triangleTable[row + i]));
+  }
+}
+`;
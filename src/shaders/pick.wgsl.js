@@ -0,0 +1,56 @@
+/**
+ * 3D Pick Shader
+ *
+ * Exported as JavaScript string for use without build tools.
+ */
+
+export default /* wgsl */ `// 3D Pick Shader
+// Marches one camera ray (built on the CPU by cameraRay.js, same math as the
+// render shader) through the field and reports the first sample whose total
+// energy reaches the threshold. Rays through empty space fall back to the
+// midpoint of their path through the volume box.
+
+struct PickParams {
+  origin : vec4<f32>,   // xyz = ray origin, w = tStart
+  dir : vec4<f32>,      // xyz = ray direction, w = tEnd
+  options : vec4<f32>,  // x = steps, y = energy threshold, z = speciesCount, w = periodic axes (bit 0 = x)
+  extent : vec4<f32>,   // xyz = volume box size (longest axis 1)
+};
+
+@group(0) @binding(0) var<uniform> params : PickParams;
+@group(0) @binding(1) var fieldTex : texture_3d<f32>;
+@group(0) @binding(2) var<storage, read_write> result : vec4<f32>; // xyz = position in [0, 1], w = 1 on a hit
+
+// Same mapping as the render shader's volumeCoord(): periodic axes wrap, others clamp
+fn volumeCoord(p : vec3<f32>) -> vec3<f32> {
+  let bits = (vec3<u32>(u32(params.options.w)) >> vec3<u32>(0u, 1u, 2u)) & vec3<u32>(1u);
+  return select(clamp(p, vec3<f32>(0.0), vec3<f32>(1.0)), fract(p), bits == vec3<u32>(1u));
+}
+
+@compute @workgroup_size(1)
+fn main() {
+  let dims = vec3<i32>(textureDimensions(fieldTex));
+  let ro = params.origin.xyz;
+  let rd = params.dir.xyz;
+  let tStart = params.origin.w;
+  let tEnd = params.dir.w;
+  let steps = i32(params.options.x);
+  let threshold = params.options.y;
+  let mask = select(vec4<f32>(0.0), vec4<f32>(1.0), vec4<i32>(0, 1, 2, 3) < vec4<i32>(i32(params.options.z)));
+  let extent = params.extent.xyz;
+
+  let dt = (tEnd - tStart) / f32(steps);
+  var t = tStart;
+  for (var i : i32 = 0; i < steps; i = i + 1) {
+    let pos = volumeCoord((ro + rd * t) / extent);
+    let voxel = min(vec3<i32>(pos * vec3<f32>(dims)), dims - vec3<i32>(1));
+    let energy = dot(textureLoad(fieldTex, voxel, 0), mask);
+    if (energy >= threshold) {
+      result = vec4<f32>(pos, 1.0);
+      return;
+    }
+    t = t + dt;
+  }
+  result = vec4<f32>(volumeCoord((ro + rd * (0.5 * (tStart + tEnd))) / extent), 0.0);
+}
+`;
@@ -8,15 +8,32 @@ export default /* wgsl */ `// Hierarchical Reduction Shader for Global Average C
 // Input: 32³ texture → Output: 16³ texture (average of 2×2×2 blocks)
 // Repeat: 16³ → 8³ → 4³ → 2³ → 1³ (single value)
 //
-// Used to compute global average energy efficiently on GPU
+// Each axis halves rounding up (96×96×24 → 48×48×12 → … → 3×3×1 → 2×2×1 → 1),
+// so odd sizes leave partial blocks at the far edge. Every input texel is
+// weighted by the field cells it covers, which keeps the result the exact mean
+// of the field for any grid shape.
+//
+// Used to compute global average energy efficiently on GPU.
+// Output channels: x = mean energy, y = mean squared energy (variance = y - x²).
+// Energy of a field cell is the sum over its active species channels.
 
 struct ReduceParams {
+  // xyz = output size, w = species count when the input is the field (0 for later levels)
   outSize : vec4<u32>,
+  // xyz = field size, w = field cells per input texel along each axis (1, 2, 4, …)
+  fieldSize : vec4<u32>,
 };
 
 @group(0) @binding(0) var<uniform> reduce : ReduceParams;
 @group(0) @binding(1) var inputTex : texture_3d<f32>;
-@group(0) @binding(2) var outputTex : texture_storage_3d<r32float, write>;
+@group(0) @binding(2) var outputTex : texture_storage_3d<rg32float, write>;
+
+// Field cells covered by an input texel (fewer than block³ on the far edges of odd sizes)
+fn coverage(coord : vec3<i32>) -> f32 {
+  let block = i32(reduce.fieldSize.w);
+  let cells = min(vec3<i32>(block), vec3<i32>(reduce.fieldSize.xyz) - coord * block);
+  return f32(cells.x * cells.y * cells.z);
+}
 
 // Each thread processes one output cell by averaging 2×2×2 input cells
 @compute @workgroup_size({{WORKGROUP_X}}, {{WORKGROUP_Y}}, {{WORKGROUP_Z}})
@@ -28,19 +45,25 @@ fn main(@builtin(global_invocation_id) gid : vec3<u32>) {
   let inSize = textureDimensions(inputTex);
   let base = vec3<i32>(gid) * 2;
 
-  var sum = 0.0;
-  var count = 0.0;
+  let fromField = reduce.outSize.w > 0u;
+  let speciesMask = select(vec4<f32>(0.0), vec4<f32>(1.0), vec4<u32>(0u, 1u, 2u, 3u) < vec4<u32>(reduce.outSize.w));
+
+  var sum = vec2<f32>(0.0);
+  var weight = 0.0;
   for (var z : i32 = 0; z < 2; z = z + 1) {
     for (var y : i32 = 0; y < 2; y = y + 1) {
       for (var x : i32 = 0; x < 2; x = x + 1) {
         let coord = base + vec3<i32>(x, y, z);
         if (all(coord < vec3<i32>(inSize))) {
-          sum = sum + textureLoad(inputTex, coord, 0).x;
-          count = count + 1.0;
+          let texel = textureLoad(inputTex, coord, 0);
+          let e = dot(texel, speciesMask);
+          let w = coverage(coord);
+          sum = sum + w * select(texel.xy, vec2<f32>(e, e * e), fromField);
+          weight = weight + w;
         }
       }
     }
   }
-  let avg = sum / max(count, 1.0);
-  textureStore(outputTex, vec3<i32>(gid), vec4<f32>(avg, 0.0, 0.0, 1.0));
+  let avg = sum / max(weight, 1.0);
+  textureStore(outputTex, vec3<i32>(gid), vec4<f32>(avg, 0.0, 1.0));
 }`;
@@ -1,11 +1,27 @@
+
 // 3D Volume Rendering Shader
 //
 // This shader performs ray marching through the 3D energy field:
-// 1. Generate ray from orbital camera
-// 2. Intersect ray with unit cube (AABB)
+// 1. Generate ray from the camera basis (perspective or orthographic, eye may be inside the box)
+// 2. Intersect ray with the volume box (AABB): the longest grid axis spans 1,
+//    the others shrink with the grid's aspect so cells stay cubic on screen
 // 3. March through volume, sampling energy field
-// 4. Map maximum energy to color gradient
+// 4. Map maximum energy to color gradient (per-species colors when several species run)
+//    and overlay the terrain channel when terrain is on (2D display.frag view modes)
+//    - or, in composite mode, blend every sample front to back: color from the same
+//    gradients, opacity from the transfer function; the march stops once nearly opaque
+//    - or, in isosurface mode, stop at the first crossing of the iso level, refine it
+//    by bisection and shade it (gradient normal, directional light, ambient occlusion)
 // 5. Output final pixel color
+//
+// Slice mode replaces the march with one axis-aligned cross-section of the field,
+// drawn cell by cell in the same colors; the orthoview adds a column of three
+// slice panels (Z, Y, X from the top) to the right of the main view.
+//
+// Stereo modes march the volume from two eyes half the eye separation either
+// side of the camera, converging on its focus plane: the anaglyph puts the left
+// eye in red and the right eye in green and blue; side by side gives each eye
+// half of the 3D view (swapped for cross-eye viewing).
 
 struct SimParams {
   dims : vec4<u32>,
@@ -15,6 +31,20 @@ struct SimParams {
   instab : vec4<f32>,
   misc : vec4<f32>,
   camera : vec4<f32>,
+  species : vec4<f32>,  // x = speciesCount, y = terrain enabled
+  speciesInner : array<vec4<f32>, 4>,   // compute-only, laid out to reach boundary
+  speciesGrowth : array<vec4<f32>, 4>,
+  interaction : array<vec4<f32>, 4>,
+  terrainA : vec4<f32>,
+  terrainB : vec4<f32>,
+  brush : vec4<f32>,
+  brushMode : vec4<f32>,
+  boundary : vec4<f32>, // xyz = mode per axis (0 = periodic)
+  render : vec4<f32>,   // x = renderMode (0 = MIP, 1 = composite, 2 = isosurface, 3 = slice), y = iso level, z = AO strength, w = canvas aspect
+  transfer : array<vec4<f32>, 2>, // opacity per cell at energies 0, 1/7, …, 1
+  slice : vec4<f32>,    // xyz = slice depth per axis (0-1), w = slice axis + 4 × orthoview
+  view : array<vec4<f32>, 4>, // camera ray basis: (right, sx), (down, sy), (forward, orthographic), (eye, focus)
+  stereo : vec4<f32>,   // x = stereo mode (0 = off, 1 = anaglyph, 2 = side by side, 3 = cross-eye), y = eye separation
 };
 
 @group(0) @binding(0) var samp : sampler;
@@ -51,6 +81,44 @@ fn vs(@builtin(vertex_index) idx : u32) -> VertexOut {
   return out;
 }
 
+// Unpack palette mode, energy filters and view mode from packed value
+fn unpackFilters(packed : f32) -> vec3<u32> {
+  let packedInt = u32(packed);
+  let paletteMode = packedInt & 0x3u;           // bits 0-1
+  let filterBits = (packedInt >> 2u) & 0xFu;    // bits 2-5
+  let viewMode = (packedInt >> 6u) & 0x3u;      // bits 6-7: 0=composite, 1=energy, 2=terrain
+  return vec3<u32>(paletteMode, filterBits, viewMode);
+}
+
+// Terrain tint (2D display.frag sand color)
+const TERRAIN_COLOR = vec3<f32>(0.8, 0.7, 0.3);
+
+// Composite rays stop once this opaque (early ray termination)
+const OPAQUE_ALPHA = 0.99;
+const TRANSFER_LAST = 7u; // TRANSFER_POINTS - 1
+
+// Opacity transfer function: piecewise linear between the control points
+fn transferOpacity(energy : f32) -> f32 {
+  let x = clamp(energy, 0.0, 1.0) * f32(TRANSFER_LAST);
+  let i = min(u32(x), TRANSFER_LAST - 1u);
+  let a = params.transfer[i / 4u][i % 4u];
+  let b = params.transfer[(i + 1u) / 4u][(i + 1u) % 4u];
+  return mix(a, b, x - f32(i));
+}
+
+// Check if energy value is in a visible range
+fn isEnergyVisible(energy : f32, filterBits : u32) -> bool {
+  if (energy < 0.25) {
+    return (filterBits & 0x1u) != 0u;  // bit 0: low
+  } else if (energy < 0.5) {
+    return (filterBits & 0x2u) != 0u;  // bit 1: mid-low
+  } else if (energy < 0.75) {
+    return (filterBits & 0x4u) != 0u;  // bit 2: mid-high
+  } else {
+    return (filterBits & 0x8u) != 0u;  // bit 3: high
+  }
+}
+
 // Energy to color gradient (purple/blue theme)
 // 0.0-0.1: Dark blue (almost black)
 // 0.1-0.3: Blue
@@ -124,24 +192,67 @@ fn energyGradientStructure(energy : f32) -> vec3<f32> {
   return color;
 }
 
-// Rotate direction vector by yaw (around Y) and pitch (around X)
-fn rotateDir(dir : vec3<f32>, yaw : f32, pitch : f32) -> vec3<f32> {
-  let cy = cos(yaw);
-  let sy = sin(yaw);
-  let cp = cos(pitch);
-  let sp = sin(pitch);
+// Species colors (A violet, B cyan, C amber, D green)
+const SPECIES_COLORS = array<vec3<f32>, 4>(
+  vec3<f32>(0.72, 0.35, 0.95),
+  vec3<f32>(0.20, 0.80, 1.00),
+  vec3<f32>(1.00, 0.65, 0.20),
+  vec3<f32>(0.40, 1.00, 0.45)
+);
+
+// Blend per-species maxima: each species tints by its own color, peaks go toward white
+fn speciesComposite(maxE : vec4<f32>, count : i32, filterBits : u32) -> vec3<f32> {
+  var color = vec3<f32>(0.0);
+  for (var s : i32 = 0; s < count; s = s + 1) {
+    let e = maxE[s];
+    if (e < 0.02 || !isEnergyVisible(e, filterBits)) {
+      continue;
+    }
+    let eSharp = pow(e, 1.8);
+    color = color + SPECIES_COLORS[s] * eSharp + vec3<f32>(0.25) * max(0.0, eSharp - 0.7);
+  }
+  return min(color, vec3<f32>(1.0));
+}
+
+// Single-species color of an energy value in the selected palette (sharpened, dark below 0.02)
+fn paletteColor(energy : f32, paletteMode : f32) -> vec3<f32> {
+  let eSharp = select(0.0, pow(energy, 1.8), energy >= 0.02);
+  return select(
+    energyGradient3D(eSharp),
+    select(energyGradient2D(eSharp), energyGradientStructure(eSharp), paletteMode > 1.5),
+    paletteMode > 0.5
+  );
+}
 
-  // Yaw rotation (around Y axis)
-  let x = dir.x * cy + dir.z * sy;
-  let z = -dir.x * sy + dir.z * cy;
-  let y = dir.y;
+// Terrain overlay of the composite view (viewMode 0) while terrain is on
+fn terrainTint(terrain : f32, terrainOn : bool, viewMode : u32) -> vec3<f32> {
+  return select(vec3<f32>(0.0), TERRAIN_COLOR * terrain * 0.4, terrainOn && viewMode == 0u);
+}
 
-  // Pitch rotation (around X axis)
-  let x2 = x;
-  let y2 = y * cp - z * sp;
-  let z2 = y * sp + z * cp;
+// Color of per-channel energies (a ray's maxima in MIP, one cell in a slice):
+// terrain alone in the terrain view, else species colors or the palette, with the terrain tint
+fn energyColor(e : vec4<f32>, paletteMode : f32, filterBits : u32, viewMode : u32) -> vec3<f32> {
+  let terrainOn = params.species.y > 0.5;
+  let speciesCount = i32(params.species.x);
+  let tint = terrainTint(e.w, terrainOn, viewMode);
+  if (terrainOn && viewMode == 2u) {
+    return TERRAIN_COLOR * e.w;
+  }
+  if (speciesCount > 1) {
+    return speciesComposite(e, speciesCount, filterBits) + tint;
+  }
+  if (!isEnergyVisible(e.x, filterBits)) {
+    return tint;
+  }
+  // Sharpness remap + black cut to reduce blur and lift high-energy structures
+  return paletteColor(e.x, paletteMode) + tint;
+}
 
-  return vec3<f32>(x2, y2, z2);
+// Texture coordinate of a point in the box (scaled to [0, 1]): periodic axes wrap
+// like the repeat sampler, wall and reflecting axes stay on the face (clamp-to-edge)
+fn volumeCoord(p : vec3<f32>) -> vec3<f32> {
+  let periodic = vec3<i32>(params.boundary.xyz) == vec3<i32>(0);
+  return select(clamp(p, vec3<f32>(0.0), vec3<f32>(1.0)), fract(p), periodic);
 }
 
 // Ray-AABB intersection test
@@ -158,29 +269,121 @@ fn intersectAabb(ro : vec3<f32>, rd : vec3<f32>, minB : vec3<f32>, maxB : vec3<f
   return vec2<f32>(tMin, tMax);
 }
 
-// Fragment shader: ray marching through 3D volume
-@fragment
-fn fs(in : VertexOut) -> @location(0) vec4<f32> {
+// Scalar the composite and isosurface modes follow: the largest masked channel
+fn fieldValue(uvw : vec3<f32>, channels : vec4<f32>) -> f32 {
+  let v = textureSampleLevel(fieldTex, samp, uvw, 0.0) * channels;
+  return max(max(v.x, v.y), max(v.z, v.w));
+}
+
+// Isosurface shading: key light fixed relative to the camera (upper left, toward the viewer)
+const LIGHT_CAMERA = vec3<f32>(-0.45, -0.6, -0.66);
+const ISO_BISECTION_STEPS = 6;
+const AO_DISTANCES = vec2<f32>(2.0, 4.0); // cells along each occlusion probe
+
+// Shade the isosurface point p (box space): normal from the central-difference
+// gradient, Lambert + Blinn-Phong under LIGHT_CAMERA, and ambient occlusion from
+// how much of the field above the iso level surrounds the outward hemisphere
+fn shadeIsosurface(
+  p : vec3<f32>,
+  dir : vec3<f32>,
+  extent : vec3<f32>,
+  dims : vec3<f32>,
+  channels : vec4<f32>,
+  isoLevel : f32,
+  aoStrength : f32,
+  lightDir : vec3<f32>,
+  paletteMode : f32,
+  speciesCount : i32,
+  terrainOnly : bool
+) -> vec3<f32> {
+  // Cells are cubic: one cell is 1/dims in texture space and 1/max(dims) in box space
+  let cellTex = 1.0 / dims;
+  let cellBox = 1.0 / max(max(dims.x, dims.y), dims.z);
+  let uvw = volumeCoord(p / extent);
+  let dx = vec3<f32>(cellTex.x, 0.0, 0.0);
+  let dy = vec3<f32>(0.0, cellTex.y, 0.0);
+  let dz = vec3<f32>(0.0, 0.0, cellTex.z);
+  let grad = vec3<f32>(
+    fieldValue(uvw + dx, channels) - fieldValue(uvw - dx, channels),
+    fieldValue(uvw + dy, channels) - fieldValue(uvw - dy, channels),
+    fieldValue(uvw + dz, channels) - fieldValue(uvw - dz, channels)
+  );
+  // Energy falls off outward, so the surface faces down the gradient (flat spots face the viewer)
+  var n = -dir;
+  if (length(grad) > 1e-5) {
+    n = -normalize(grad);
+  }
+
+  // Ambient occlusion: the normal and four directions tilted 45° from it, two distances each
+  let helper = select(vec3<f32>(1.0, 0.0, 0.0), vec3<f32>(0.0, 1.0, 0.0), abs(n.x) > 0.9);
+  let t1 = normalize(cross(n, helper));
+  let t2 = cross(n, t1);
+  let probes = array<vec3<f32>, 5>(n, normalize(n + t1), normalize(n - t1), normalize(n + t2), normalize(n - t2));
+  var occlusion = 0.0;
+  for (var i : i32 = 0; i < 5; i = i + 1) {
+    for (var j : i32 = 0; j < 2; j = j + 1) {
+      let q = volumeCoord((p + probes[i] * AO_DISTANCES[j] * cellBox) / extent);
+      occlusion = occlusion + smoothstep(isoLevel - 0.05, isoLevel + 0.05, fieldValue(q, channels));
+    }
+  }
+  let ao = 1.0 - aoStrength * occlusion / 10.0;
+
+  // Surface color from the field one cell inside the surface
+  let inner = textureSampleLevel(fieldTex, samp, volumeCoord((p - n * cellBox) / extent), 0.0) * channels;
+  var base = TERRAIN_COLOR;
+  if (!terrainOnly && speciesCount > 1) {
+    // Species colors weighted by each species' share of the energy
+    base = vec3<f32>(0.0);
+    let total = max(inner.x + inner.y + inner.z + inner.w, 1e-5);
+    for (var s : i32 = 0; s < speciesCount; s = s + 1) {
+      base = base + SPECIES_COLORS[s] * (inner[s] / total);
+    }
+  } else if (!terrainOnly) {
+    // Upper part of the palette, so low iso levels still read as lit surfaces
+    base = paletteColor(mix(0.6, 1.0, max(max(inner.x, inner.y), max(inner.z, inner.w))), paletteMode);
+  }
+
+  let diffuse = max(dot(n, lightDir), 0.0);
+  let halfway = normalize(lightDir - dir);
+  let specular = 0.25 * pow(max(dot(n, halfway), 0.0), 32.0);
+  return base * (0.3 * ao + 0.8 * diffuse) + vec3<f32>(specular * ao);
+}
+
+// Ray marching through the 3D volume; view is the pixel's uv within the 3D view,
+// eyeShift moves the eye along the camera's right axis (stereo)
+fn renderVolume(view : vec2<f32>, eyeShift : f32) -> vec4<f32> {
   // Convert UV to NDC [-1, 1]
-  let uv = in.uv * 2.0 - vec2<f32>(1.0, 1.0);
-
-  // Extract camera parameters
-  let yaw = params.misc.x;
-  let pitch = params.misc.y;
-  let distance = params.misc.z;
-  let offset = vec2<f32>(params.camera.x, params.camera.y);
-  let paletteMode = params.camera.w;
-
-  // Camera setup
-  let center = vec3<f32>(0.5 + offset.x, 0.5 + offset.y, 0.5);
-  let dirLocal = normalize(vec3<f32>(uv.x, uv.y, 1.0));
-  let dir = rotateDir(dirLocal, yaw, pitch);
-  let camDir = rotateDir(vec3<f32>(0.0, 0.0, 1.0), yaw, pitch);
-  let ro = center - camDir * distance; // Orbit camera outside box
+  let uv = view * 2.0 - vec2<f32>(1.0, 1.0);
+
+  // Camera basis (Camera.rayBasis in src/core/Camera.js)
+  let right = params.view[0];
+  let down = params.view[1];
+  let forward = params.view[2];
+  let eye = params.view[3].xyz;
+  let focus = params.view[3].w;
+
+  // Unpack paletteMode, filterBits and viewMode from camera.w
+  let unpacked = unpackFilters(params.camera.w);
+  let paletteMode = f32(unpacked.x);
+  let filterBits = unpacked.y;
+  let viewMode = unpacked.z;
+
+  // Volume box (gridExtent in gridDims.js)
+  let dims = vec3<f32>(params.dims.xyz);
+  let extent = dims / max(max(dims.x, dims.y), dims.z);
+
+  // Camera setup: perspective rays fan out from the eye, orthographic rays
+  // start across the image plane and run parallel. A shifted (stereo) eye turns
+  // its rays back so they meet the unshifted ones on the focus plane.
+  let across = right.xyz * (uv.x * right.w) + down.xyz * (uv.y * down.w);
+  let orthographic = forward.w > 0.5;
+  let toward = select(forward.xyz + across, forward.xyz, orthographic);
+  let dir = normalize(toward - right.xyz * (eyeShift / max(focus, 1e-3)));
+  let ro = select(eye, eye + across, orthographic) + right.xyz * eyeShift;
 
   // Ray-box intersection
   let boundsMin = vec3<f32>(0.0, 0.0, 0.0);
-  let boundsMax = vec3<f32>(1.0, 1.0, 1.0);
+  let boundsMax = extent;
   let hit = intersectAabb(ro, dir, boundsMin, boundsMax);
 
   if (hit.y < max(hit.x, 0.0)) {
@@ -191,26 +394,198 @@ fn fs(in : VertexOut) -> @location(0) vec4<f32> {
   // Ray marching parameters
   let tStart = max(hit.x, 0.0);
   let tEnd = hit.y;
-  let steps: i32 = 64;
+  let steps = i32(params.instab.w); // raySteps from uniform (64/96/128)
   let dt = (tEnd - tStart) / f32(steps);
 
-  // Ray march and find maximum energy
+  let terrainOn = params.species.y > 0.5;
+  let terrainOnly = terrainOn && viewMode == 2u;
+  let speciesCount = i32(params.species.x);
+  let speciesMask = select(vec4<f32>(0.0), vec4<f32>(1.0), vec4<i32>(0, 1, 2, 3) < vec4<i32>(speciesCount));
+  // Composite and isosurface follow terrain alone in the terrain view, else the active species
+  let channels = select(speciesMask, vec4<f32>(0.0, 0.0, 0.0, 1.0), terrainOnly);
+  let composite = params.render.x > 0.5 && params.render.x < 1.5;
+  let isosurface = params.render.x > 1.5;
+  let isoLevel = params.render.y;
+  // Transfer opacities are per cell crossed; a step spans dt × (longest axis) cells
+  let cellsPerStep = dt * max(max(dims.x, dims.y), dims.z);
+
+  // Ray march: maximum energy per channel (one species each), in composite mode
+  // the front-to-back blend (premultiplied color, alpha), in isosurface mode the
+  // first sample at or above the iso level
   var t = tStart;
-  var maxE = 0.0;
+  var maxE4 = vec4<f32>(0.0);
+  var accum = vec4<f32>(0.0);
+  var isoHit = -1.0;
   for (var i: i32 = 0; i < steps; i = i + 1) {
-    let pos = fract(ro + dir * t);
-    let e = textureSampleLevel(fieldTex, samp, pos, 0.0).x;
-    if (e > maxE) { maxE = e; }
+    let pos = volumeCoord((ro + dir * t) / extent);
+    let texel = textureSampleLevel(fieldTex, samp, pos, 0.0);
+    maxE4 = max(maxE4, texel);
+    let masked = texel * channels;
+    let energy = max(max(masked.x, masked.y), max(masked.z, masked.w));
+
+    if (isosurface && energy >= isoLevel) {
+      // Bisect between the previous sample (below the level) and this one
+      var lo = max(t - dt, tStart);
+      var hi = t;
+      for (var k : i32 = 0; k < ISO_BISECTION_STEPS; k = k + 1) {
+        let mid = 0.5 * (lo + hi);
+        if (fieldValue(volumeCoord((ro + dir * mid) / extent), channels) >= isoLevel) {
+          hi = mid;
+        } else {
+          lo = mid;
+        }
+      }
+      isoHit = select(hi, t, i == 0);
+      break;
+    }
     t = t + dt;
+    if (!composite) {
+      continue;
+    }
+
+    if (!terrainOnly && !isEnergyVisible(energy, filterBits)) {
+      continue;
+    }
+    var color = TERRAIN_COLOR * texel.w;
+    if (!terrainOnly) {
+      color = select(
+        paletteColor(energy, paletteMode),
+        speciesComposite(texel, speciesCount, filterBits),
+        speciesCount > 1
+      );
+    }
+    let alpha = 1.0 - pow(1.0 - transferOpacity(energy), cellsPerStep);
+    accum = accum + (1.0 - accum.a) * vec4<f32>(color * alpha, alpha);
+    if (accum.a >= OPAQUE_ALPHA) {
+      break;
+    }
   }
 
-  // Map energy to color
-  // Sharpness remap + black cut to reduce blur and lift high-energy structures
-  let eSharp = select(0.0, pow(maxE, 1.8), maxE >= 0.02);
-  let color = select(
-    energyGradient3D(eSharp),
-    select(energyGradient2D(eSharp), energyGradientStructure(eSharp), paletteMode > 1.5),
-    paletteMode > 0.5
-  );
+  // Terrain: highest terrain along the ray, overlaid or shown alone
+  let tint = terrainTint(maxE4.w, terrainOn, viewMode);
+  if (isosurface) {
+    if (isoHit < 0.0) {
+      return vec4<f32>(tint, 1.0);
+    }
+    let lightDir = normalize(
+      right.xyz * LIGHT_CAMERA.x + down.xyz * LIGHT_CAMERA.y + forward.xyz * LIGHT_CAMERA.z
+    );
+    let shaded = shadeIsosurface(
+      ro + dir * isoHit, dir, extent, dims, channels, isoLevel, params.render.z, lightDir,
+      paletteMode, speciesCount, terrainOnly
+    );
+    return vec4<f32>(shaded + tint, 1.0);
+  }
+  if (composite) {
+    return vec4<f32>(accum.rgb + tint, 1.0);
+  }
+  return vec4<f32>(energyColor(maxE4, paletteMode, filterBits, viewMode), 1.0);
+}
+
+// Slice view
+const SLICE_BACKGROUND = vec3<f32>(0.04, 0.04, 0.05);
+// Orthoview crosshair: where the x, y and z planes cut a panel
+const SLICE_AXIS_COLORS = array<vec3<f32>, 3>(
+  vec3<f32>(0.95, 0.35, 0.35),
+  vec3<f32>(0.35, 0.9, 0.45),
+  vec3<f32>(0.4, 0.6, 1.0)
+);
+const ORTHOVIEW_MAX_WIDTH = 0.5; // share of the canvas width (constants.js)
+const ANAGLYPH_LUMA = vec3<f32>(0.299, 0.587, 0.114); // left eye's brightness drives the red channel
+
+// In-plane (horizontal, vertical) axes of the slice across x, y and z: YZ, XZ, XY
+fn slicePlaneAxes(axis : u32) -> vec2<u32> {
+  return select(select(vec2<u32>(0u, 1u), vec2<u32>(0u, 2u), axis == 1u), vec2<u32>(1u, 2u), axis == 0u);
+}
+
+// Cell a slice depth (0-1) falls in
+fn sliceCell(depth : f32, n : u32) -> u32 {
+  return min(u32(depth * f32(n)), n - 1u);
+}
+
+// One slice, fitted into its region with square cells. local is the pixel's
+// position in the region (0-1, y down), regionAspect the region's width / height
+// in pixels, pixel the size of one pixel in local units
+fn renderSlice(local : vec2<f32>, axis : u32, regionAspect : f32, pixel : vec2<f32>, crosshair : bool) -> vec4<f32> {
+  let plane = slicePlaneAxes(axis);
+  // The plane has the box's shape; cells come from the bound texture (a playback frame may be downsampled)
+  let box = vec3<f32>(params.dims.xyz);
+  let planeAspect = box[plane.x] / box[plane.y];
+  let fit = vec2<f32>(min(1.0, planeAspect / regionAspect), min(1.0, regionAspect / planeAspect));
+  let q = (local - 0.5) / fit + 0.5;
+  if (any(q < vec2<f32>(0.0)) || any(q >= vec2<f32>(1.0))) {
+    return vec4<f32>(SLICE_BACKGROUND, 1.0);
+  }
+
+  let cells = textureDimensions(fieldTex);
+  let planeCells = vec2<f32>(f32(cells[plane.x]), f32(cells[plane.y]));
+  // The vertical axis grows upward on screen
+  let st = vec2<f32>(q.x, 1.0 - q.y) * planeCells;
+  var cell = vec3<u32>(0u);
+  cell[axis] = sliceCell(params.slice[axis], cells[axis]);
+  cell[plane.x] = min(u32(st.x), cells[plane.x] - 1u);
+  cell[plane.y] = min(u32(st.y), cells[plane.y] - 1u);
+  let texel = textureLoad(fieldTex, vec3<i32>(cell), 0);
+
+  let unpacked = unpackFilters(params.camera.w);
+  var color = energyColor(texel, f32(unpacked.x), unpacked.y, unpacked.z);
+  if (crosshair) {
+    // One pixel wide line through the middle of each other plane's cell
+    let halfLine = 0.5 * pixel / fit * planeCells;
+    let lines = vec2<f32>(
+      f32(sliceCell(params.slice[plane.x], cells[plane.x])),
+      f32(sliceCell(params.slice[plane.y], cells[plane.y]))
+    ) + 0.5;
+    if (abs(st.x - lines.x) < halfLine.x) {
+      color = mix(color, SLICE_AXIS_COLORS[plane.x], 0.7);
+    }
+    if (abs(st.y - lines.y) < halfLine.y) {
+      color = mix(color, SLICE_AXIS_COLORS[plane.y], 0.7);
+    }
+  }
   return vec4<f32>(color, 1.0);
 }
+
+// Fragment shader: screen layout (sliceView.js mirrors it for picking)
+@fragment
+fn fs(in : VertexOut) -> @location(0) vec4<f32> {
+  // Derivatives need uniform control flow, so take the pixel size before branching
+  let pixel = fwidth(in.uv);
+  let aspect = params.render.w;
+  let sliceCode = u32(params.slice.w);
+
+  var mainWidth = 1.0;
+  if ((sliceCode & 4u) != 0u) {
+    // Orthoview: a column of three slice panels, each as tall as a third of the canvas
+    let width = min(ORTHOVIEW_MAX_WIDTH, 1.0 / (3.0 * aspect));
+    mainWidth = 1.0 - width;
+    if (in.uv.x >= mainWidth) {
+      let panel = min(u32(in.uv.y * 3.0), 2u);
+      let local = vec2<f32>((in.uv.x - mainWidth) / width, in.uv.y * 3.0 - f32(panel));
+      return renderSlice(local, 2u - panel, 3.0 * width * aspect, pixel / vec2<f32>(width, 1.0 / 3.0), true);
+    }
+  }
+
+  let local = vec2<f32>(in.uv.x / mainWidth, in.uv.y);
+  if (params.render.x > 2.5) {
+    return renderSlice(local, sliceCode & 3u, mainWidth * aspect, pixel / vec2<f32>(mainWidth, 1.0), false);
+  }
+
+  let stereoMode = u32(params.stereo.x);
+  let halfSeparation = params.stereo.y * 0.5;
+  if (stereoMode == 1u) {
+    // Half-color anaglyph for red-cyan glasses
+    let left = renderVolume(local, -halfSeparation);
+    let right = renderVolume(local, halfSeparation);
+    return vec4<f32>(dot(left.rgb, ANAGLYPH_LUMA), right.g, right.b, 1.0);
+  }
+  if (stereoMode >= 2u) {
+    // Each half is a full view (the basis was built for half the width); cross-eye swaps the eyes
+    let rightHalf = local.x >= 0.5;
+    let eyeSign = select(-1.0, 1.0, rightHalf != (stereoMode == 3u));
+    let eyeView = vec2<f32>(local.x * 2.0 - select(0.0, 1.0, rightHalf), local.y);
+    return renderVolume(eyeView, eyeSign * halfSeparation);
+  }
+  return renderVolume(local, 0.0);
+}
+
@@ -2,35 +2,55 @@
  * WGSL Shader Loader for 3D Energy Life Simulation
  *
  * Loads shader code and performs template substitution.
- * This module allows shaders to be maintained in separate .wgsl files (documentation)
- * while the actual source is in .wgsl.js files (for ES module compatibility).
+ * The sources are the .wgsl.js files (ES modules); the compute, render and reduce
+ * shaders also have plain .wgsl copies for reading, kept identical by
+ * scripts/check-shader-copies.mjs.
  */
 
 import computeShaderSource from './compute.wgsl.js';
 import reduceShaderSource from './reduce.wgsl.js';
 import renderShaderSource from './render.wgsl.js';
+import pickShaderSource from './pick.wgsl.js';
+import fftShaderSource from './fft.wgsl.js';
+import marchingCubesShaderSource from './marchingCubes.wgsl.js';
 
 /**
- * Get compute shader with KERNEL_SIZE and workgroup size template replacements
+ * Get compute shader with TILE_HALO and workgroup size template replacements
  *
- * @param {number} kernelSize - The kernel radius (e.g., 10 for 21×21×21 kernel)
+ * The kernel loops follow each species' outerRadius at run time; only the tiled
+ * path's workgroup-memory halo is fixed at compile time.
+ *
+ * @param {number} tileHalo - Halo width of the tiled slab (e.g., 10 for a 28×28 slab at 8×8)
  * @param {number} workgroupX - Workgroup size in X dimension
  * @param {number} workgroupY - Workgroup size in Y dimension
  * @param {number} workgroupZ - Workgroup size in Z dimension
- * @returns {string} - WGSL compute shader source code
+ * @returns {string} - WGSL compute shader source code (entry points: main = direct, mainTiled = tiled,
+ *   mainSpectral = fft, plus the spectral helpers buildSpectralKernel, packSpectral and multiplySpectral)
  *
  * @example
  * const shader = getComputeShader(10, 8, 8, 4);
- * // Returns shader with "const KERNEL : i32 = 10;" and "@compute @workgroup_size(8, 8, 4)"
+ * // Returns shader with "const HALO : i32 = 10;" and "@compute @workgroup_size(8, 8, 4)"
  */
-export function getComputeShader(kernelSize, workgroupX, workgroupY, workgroupZ) {
+export function getComputeShader(tileHalo, workgroupX, workgroupY, workgroupZ) {
   return computeShaderSource
-    .replace('{{KERNEL_SIZE}}', kernelSize.toString())
+    .replace('{{TILE_HALO}}', tileHalo.toString())
     .replace('{{WORKGROUP_X}}', workgroupX.toString())
     .replace('{{WORKGROUP_Y}}', workgroupY.toString())
     .replace('{{WORKGROUP_Z}}', workgroupZ.toString());
 }
 
+/**
+ * Workgroup memory used by the tiled compute entry point (one z plane of tile + halo)
+ *
+ * @param {number} tileHalo - Halo width of the slab
+ * @param {number} workgroupX - Workgroup size in X dimension
+ * @param {number} workgroupY - Workgroup size in Y dimension
+ * @returns {number} - Bytes of var<workgroup> storage (vec4<f32> per texel)
+ */
+export function getComputeSlabBytes(tileHalo, workgroupX, workgroupY) {
+  return (workgroupX + 2 * tileHalo) * (workgroupY + 2 * tileHalo) * 16;
+}
+
 /**
  * Get reduction shader with workgroup size template replacements
  *
@@ -54,3 +74,41 @@ export function getReduceShader(workgroupX, workgroupY, workgroupZ) {
 export function getRenderShader() {
   return renderShaderSource;
 }
+
+/**
+ * Get pick shader for ray-picking the field under the mouse
+ *
+ * @returns {string} - WGSL compute shader source code
+ */
+export function getPickShader() {
+  return pickShaderSource;
+}
+
+/**
+ * Get FFT shader for lines of one length (one axis of the spectral convolution)
+ *
+ * @param {number} size - Line length, a power of two
+ * @returns {string} - WGSL compute shader source code
+ */
+export function getFFTShader(size) {
+  const threads = Math.min(size / 2, 128);
+  return fftShaderSource
+    .replace('{{FFT_SIZE}}', size.toString())
+    .replace('{{FFT_LOG2}}', Math.log2(size).toString())
+    .replace('{{FFT_THREADS}}', threads.toString());
+}
+
+/**
+ * Get marching cubes shader with workgroup size template replacements
+ *
+ * @param {number} workgroupX - Workgroup size in X dimension
+ * @param {number} workgroupY - Workgroup size in Y dimension
+ * @param {number} workgroupZ - Workgroup size in Z dimension
+ * @returns {string} - WGSL compute shader source code (entry points: countTriangles, emitTriangles)
+ */
+export function getMarchingCubesShader(workgroupX, workgroupY, workgroupZ) {
+  return marchingCubesShaderSource
+    .replace(/{{WORKGROUP_X}}/g, workgroupX.toString())
+    .replace(/{{WORKGROUP_Y}}/g, workgroupY.toString())
+    .replace(/{{WORKGROUP_Z}}/g, workgroupZ.toString());
+}
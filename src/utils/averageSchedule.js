@@ -0,0 +1,32 @@
+/**
+ * Global Average Schedule
+ *
+ * The global average feeds back into growth, so when it is applied matters for
+ * reproducibility. Samples are taken from the field every GLOBAL_AVG_INTERVAL
+ * steps and take effect GLOBAL_AVG_LATENCY steps later, independent of frame
+ * rate or readback timing. GPU, CPU reference and headless runs share this rule.
+ */
+
+import { GLOBAL_AVG_INTERVAL, GLOBAL_AVG_LATENCY } from '../config/constants.js';
+
+/**
+ * Whether the field at this step should be sampled for the global average
+ *
+ * @param {number} step - Step index of the field about to be advanced
+ * @returns {boolean}
+ */
+export function isAverageSampleStep(step) {
+  return step % GLOBAL_AVG_INTERVAL === 0;
+}
+
+/**
+ * Step whose sample must be applied before advancing from this step
+ *
+ * @param {number} step - Step index of the field about to be advanced
+ * @returns {number} Sample step, or -1 if nothing becomes due
+ */
+export function averageSampleDueAt(step) {
+  const due = step - GLOBAL_AVG_LATENCY;
+  if (due < 0 || due % GLOBAL_AVG_INTERVAL !== 0) return -1;
+  return due;
+}
@@ -5,7 +5,32 @@
  * WGSL structs require 16-byte alignment for vec4 types.
  */
 
-import { KERNEL_SIZE, CFL_SCALES } from '../config/constants.js';
+import {
+  CFL_SCALES,
+  SIM_TIME_STEP,
+  MAX_SPECIES,
+  INTERACTION_WEIGHT_MULTIPLIER,
+  INTERACTION_ENERGY_AMOUNT,
+  STEREO_MODES,
+} from '../config/constants.js';
+import {
+  speciesKey,
+  mixKey,
+  isTerrainEnabled,
+  getActiveSpeciesCount,
+  getKernelRadiusLimit,
+  getBoundaryModes,
+  getTransferOpacities,
+  getSliceDepths,
+  getSliceAxis,
+  getStereoMode,
+} from '../config/defaults.js';
+import { hashStepSeed } from './random.js';
+import { toGridDims } from './gridDims.js';
+
+// SimParams: 8 vec4 + 3 × array<vec4, MAX_SPECIES> + 2 terrain vec4 + 2 brush vec4 + boundary
+// + render + 2 transfer vec4 + slice + 4 view vec4 + stereo (render-only) = 34 vec4 × 16 bytes
+export const SIM_PARAMS_SIZE = 544;
 
 /**
  * Helper class for building uniform buffers with proper alignment
@@ -81,33 +106,33 @@ const GROWTH_WIDTH_NEFF_TARGET = 30.0;
 const MIN_GROWTH_WIDTH_NORM = 0.01;
 const MAX_GROWTH_WIDTH_NORM = 10.0;
 
-function kernelWeight(dist, params) {
+function kernelWeight(dist, shape) {
   let weight = 0.0;
-  if (dist < params.innerRadius) {
-    const t = 1.0 - dist / params.innerRadius;
-    weight += params.innerStrength * t * t;
+  if (dist < shape.innerRadius) {
+    const t = 1.0 - dist / shape.innerRadius;
+    weight += shape.innerStrength * t * t;
   }
-  const ringStart = params.innerRadius + 1.0;
-  const ringEnd = params.outerRadius;
+  const ringStart = shape.innerRadius + 1.0;
+  const ringEnd = shape.outerRadius;
   if (dist > ringStart && dist < ringEnd) {
     const t = (dist - ringStart) / (ringEnd - ringStart);
-    weight += params.outerStrength * Math.exp(-2.0 * t * t);
+    weight += shape.outerStrength * Math.exp(-2.0 * t * t);
   }
   return weight;
 }
 
-function computeKernelNeff3D(params) {
+function computeKernelNeff3D(shape) {
   let sumAbs = 0.0;
   let sumW2 = 0.0;
-  const outerRadius = params.outerRadius;
-  const kernel = KERNEL_SIZE;
+  const outerRadius = shape.outerRadius;
+  const kernel = Math.ceil(outerRadius);
 
   for (let dz = -kernel; dz <= kernel; dz++) {
     for (let dy = -kernel; dy <= kernel; dy++) {
       for (let dx = -kernel; dx <= kernel; dx++) {
         const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
         if (dist > outerRadius) continue;
-        const w = kernelWeight(dist, params);
+        const w = kernelWeight(dist, shape);
         const absW = Math.abs(w);
         sumAbs += absW;
         sumW2 += w * w;
@@ -119,16 +144,161 @@ function computeKernelNeff3D(params) {
   return (sumAbs * sumAbs) / sumW2;
 }
 
-function computeGrowthWidthNorm(params) {
+// The Neff sum walks the whole kernel; packing now happens every step, so cache it
+// (one entry per species kernel, dropped wholesale when sliders churn through shapes).
+const NEFF_CACHE_LIMIT = 32;
+const neffCache = new Map();
+
+function cachedKernelNeff3D(shape) {
+  const key = `${shape.innerRadius}|${shape.innerStrength}|${shape.outerRadius}|${shape.outerStrength}`;
+  if (!neffCache.has(key)) {
+    if (neffCache.size >= NEFF_CACHE_LIMIT) neffCache.clear();
+    neffCache.set(key, computeKernelNeff3D(shape));
+  }
+  return neffCache.get(key);
+}
+
+function computeGrowthWidthNorm(shape, params) {
   const strength = typeof params.growthWidthNorm === 'number' ? params.growthWidthNorm : 0.0;
   if (strength <= 0.0) return 1.0;
 
-  const neff = computeKernelNeff3D(params);
+  const neff = cachedKernelNeff3D(shape);
   const rawScale = Math.sqrt(GROWTH_WIDTH_NEFF_TARGET / Math.max(1.0, neff));
   const clamped = Math.max(MIN_GROWTH_WIDTH_NORM, Math.min(MAX_GROWTH_WIDTH_NORM, rawScale));
   return Math.pow(clamped, strength);
 }
 
+/**
+ * Build the SimParams uniform values (unpacked, one array per vec4 field)
+ *
+ * Shared by packSimParams (GPU) and the CPU reference so both consume
+ * identical derived values (CFL-scaled diffusion, width norm, step seed, time).
+ * Outer radii are clamped to getKernelRadiusLimit(gridSize) here, so neither
+ * side ever runs a kernel wider than the grid can hold.
+ *
+ * @param {Object} params - Simulation parameters
+ * @param {number|number[]} gridSize - Cube edge or [nx, ny, nz] (e.g., [128, 128, 32])
+ * @param {Object} camera - Camera parameters {yaw, pitch, distance, offsetX, offsetY, aspect, view}
+ *   (aspect = canvas width / height, 1 when omitted; view = Camera.rayBasis(), zeros when omitted)
+ * @param {Object} [run] - Run state {seed, step}; noise seed and time derive from it
+ * @param {Object|null} [brush] - Active mouse brush {center:[x,y,z] in cells, radius, mode}
+ * @returns {{dims:number[], inner:number[], growthA:number[], economy:number[],
+ *   instab:number[], misc:number[], camera:number[], species:number[],
+ *   speciesInner:number[][], speciesGrowth:number[][], interaction:number[][],
+ *   terrainA:number[], terrainB:number[], brush:number[], brushMode:number[], boundary:number[],
+ *   render:number[], transfer:number[][], slice:number[], view:number[][], stereo:number[]}}
+ */
+export function buildSimUniforms(params, gridSize, camera, run = { seed: 0, step: 0 }, brush = null) {
+  // Per-species settings; species without their own keys fall back to species A
+  const speciesParam = (key, s) => params[speciesKey(key, s)] ?? params[key];
+  const radiusLimit = getKernelRadiusLimit(gridSize);
+  const shapes = [];
+  for (let s = 0; s < MAX_SPECIES; s++) {
+    shapes.push({
+      innerRadius: speciesParam('innerRadius', s),
+      innerStrength: speciesParam('innerStrength', s),
+      outerRadius: Math.min(speciesParam('outerRadius', s), radiusLimit),
+      outerStrength: speciesParam('outerStrength', s),
+    });
+  }
+  const widthNorms = shapes.map((shape) => computeGrowthWidthNorm(shape, params));
+  const growthWidthNorm = widthNorms[0];
+  const speciesCount = getActiveSpeciesCount(params);
+
+  // economy: CFL scale depends on neighbor mode (6/18/26)
+  const cflScale = CFL_SCALES[params.neighborMode] || CFL_SCALES[6];
+
+  // camera.w: pack paletteMode (bits 0-1), energyRangeFilters (bits 2-5) and viewMode (bits 6-7)
+  const filterBits = (params.energyRangeFilters || 0b1111) & 0xF;
+  const viewMode = (params.viewMode || 0) & 0x3;
+  const packedValue = (params.paletteMode || 0) | (filterBits << 2) | (viewMode << 6);
+  const transfer = getTransferOpacities(params);
+
+  return {
+    // dims vec4<u32>
+    dims: [...toGridDims(gridSize), 0],
+    // inner vec4<f32> (innerRadius, innerStrength, outerRadius, outerStrength)
+    inner: [params.innerRadius, params.innerStrength, shapes[0].outerRadius, params.outerStrength],
+    // growthA vec4<f32> (growthCenter, growthWidth, growthRate, suppressionFactor)
+    growthA: [params.growthCenter, params.growthWidth, params.growthRate, params.suppressionFactor],
+    // economy vec4<f32> (globalAverage, decayRate, diffusionRate, fissionThreshold)
+    economy: [
+      params.globalAverage || 0.0,
+      params.decayRate,
+      params.diffusionRate * cflScale,
+      params.fissionThreshold,
+    ],
+    // instab vec4<f32> (instabilityFactor, growthWidthNorm, neighborMode, raySteps)
+    instab: [params.instabilityFactor, growthWidthNorm, params.neighborMode || 6, params.raySteps || 96],
+    // misc vec4<f32> (yaw, pitch, distance, seed)
+    // seed is a 24-bit integer (exact in f32) hashed from run seed + step index
+    misc: [
+      (camera.yaw * Math.PI) / 180,
+      (camera.pitch * Math.PI) / 180,
+      camera.distance,
+      hashStepSeed(run.seed, run.step),
+    ],
+    // camera vec4<f32> (offsetX, offsetY, time, packed)
+    // time is simulated (step × SIM_TIME_STEP), never wall clock
+    camera: [camera.offsetX, camera.offsetY, run.step * SIM_TIME_STEP, packedValue],
+    // species vec4<f32> (speciesCount, terrainEnabled, 0, 0)
+    species: [speciesCount, isTerrainEnabled(params) ? 1 : 0, 0, 0],
+    // speciesInner array<vec4<f32>, 4> (innerRadius, innerStrength, outerRadius, outerStrength)
+    speciesInner: shapes.map((k) => [k.innerRadius, k.innerStrength, k.outerRadius, k.outerStrength]),
+    // speciesGrowth array<vec4<f32>, 4> (growthCenter, growthWidth, growthRate, growthWidthNorm)
+    speciesGrowth: shapes.map((_, s) => [
+      speciesParam('growthCenter', s),
+      speciesParam('growthWidth', s),
+      speciesParam('growthRate', s),
+      widthNorms[s],
+    ]),
+    // interaction array<vec4<f32>, 4>: row i weights each species' energy in species i's potential
+    interaction: shapes.map((_, i) =>
+      shapes.map((__, j) => params[mixKey(i, j)] ?? (i === j ? 1.0 : 0.0)),
+    ),
+    // terrainA vec4<f32> (erosionThreshold, erosionRate, terrainDiffusion, overflowCap)
+    terrainA: [
+      params.erosionThreshold ?? 0.8,
+      params.erosionRate ?? 0.0,
+      params.terrainDiffusion ?? 0.0,
+      params.overflowCap ?? 0.0,
+    ],
+    // terrainB vec4<f32> (overflowLeak, overflowNoise, terrainCostCoef, terrainRepelCoef)
+    terrainB: [
+      params.overflowLeak ?? 0.0,
+      params.overflowNoise ?? 0.0,
+      params.terrainCostCoef ?? 0.0,
+      params.terrainRepelCoef ?? 0.0,
+    ],
+    // brush vec4<f32> (centerX, centerY, centerZ, radius); radius 0 = no brush
+    brush: brush ? [...brush.center, brush.radius] : [0, 0, 0, 0],
+    // brushMode vec4<f32> (energy added at the center, kernel weight shift at the center, 0, 0)
+    brushMode: [
+      brush?.mode === 'energy' ? INTERACTION_ENERGY_AMOUNT : 0.0,
+      brush?.mode === 'attract'
+        ? INTERACTION_WEIGHT_MULTIPLIER
+        : brush?.mode === 'repel'
+          ? -INTERACTION_WEIGHT_MULTIPLIER
+          : 0.0,
+      0,
+      0,
+    ],
+    // boundary vec4<f32> (mode x, mode y, mode z, fixed wall value); modes index BOUNDARY_MODES
+    boundary: [...getBoundaryModes(params), params.boundaryValue ?? 0.0],
+    // render vec4<f32> (renderMode, isoLevel, aoStrength, canvas aspect); render, transfer and slice
+    // are read by the render shader only
+    render: [params.renderMode || 0, params.isoLevel ?? 0.3, params.aoStrength ?? 0.6, camera.aspect ?? 1],
+    // transfer array<vec4<f32>, 2>: opacity transfer function control points (TRANSFER_POINTS)
+    transfer: [transfer.slice(0, 4), transfer.slice(4, 8)],
+    // slice vec4<f32> (depth x, depth y, depth z, sliceAxis + 4 × orthoview)
+    slice: [...getSliceDepths(params), getSliceAxis(params) + (params.orthoview ? 4 : 0)],
+    // view array<vec4<f32>, 4>: camera ray basis (right, sx), (down, sy), (forward, orthographic), (eye, focus)
+    view: camera.view ?? [0, 1, 2, 3].map(() => [0, 0, 0, 0]),
+    // stereo vec4<f32> (STEREO_MODES index, eye separation, 0, 0)
+    stereo: [STEREO_MODES.indexOf(getStereoMode(params)), params.eyeSeparation ?? 0, 0, 0],
+  };
+}
+
 /**
  * Pack simulation parameters into a uniform buffer
  *
@@ -142,76 +312,55 @@ function computeGrowthWidthNorm(params) {
  *   instab : vec4<f32>,
  *   misc : vec4<f32>,
  *   camera : vec4<f32>,
+ *   species : vec4<f32>,
+ *   speciesInner : array<vec4<f32>, 4>,
+ *   speciesGrowth : array<vec4<f32>, 4>,
+ *   interaction : array<vec4<f32>, 4>,
+ *   terrainA : vec4<f32>,
+ *   terrainB : vec4<f32>,
+ *   brush : vec4<f32>,
+ *   brushMode : vec4<f32>,
+ *   boundary : vec4<f32>,
+ *   render : vec4<f32>,
+ *   transfer : array<vec4<f32>, 2>,
+ *   slice : vec4<f32>,
+ *   view : array<vec4<f32>, 4>,
+ *   stereo : vec4<f32>,
  * };
  * ```
  *
  * @param {Object} params - Simulation parameters
- * @param {number} gridSize - Grid dimension (e.g., 32 for 32×32×32)
- * @param {Object} camera - Camera parameters {yaw, pitch, distance, offsetX, offsetY}
+ * @param {number|number[]} gridSize - Cube edge or [nx, ny, nz]
+ * @param {Object} camera - Camera parameters (see buildSimUniforms)
+ * @param {Object} [run] - Run state {seed, step}; noise seed and time derive from it
+ * @param {Object|null} [brush] - Active mouse brush (see buildSimUniforms)
  * @returns {ArrayBuffer} Packed buffer ready for GPU upload
  */
-export function packSimParams(params, gridSize, camera) {
-  const builder = new UniformBufferBuilder(128); // 7 vec4s × 16 bytes = 112, rounded to 128
-
-  const inv = 1.0 / gridSize;
-  const growthWidthNorm = computeGrowthWidthNorm(params);
-
-  // dims vec4<u32>
-  builder.writeVec4u([gridSize, gridSize, gridSize, 0]);
-
-  // inner vec4<f32> (innerRadius, innerStrength, outerRadius, outerStrength)
-  builder.writeVec4f([
-    params.innerRadius,
-    params.innerStrength,
-    params.outerRadius,
-    params.outerStrength,
-  ]);
-
-  // growthA vec4<f32> (growthCenter, growthWidth, growthRate, suppressionFactor)
-  builder.writeVec4f([
-    params.growthCenter,
-    params.growthWidth,
-    params.growthRate,
-    params.suppressionFactor,
-  ]);
-
-  // economy vec4<f32> (globalAverage, decayRate, diffusionRate, fissionThreshold)
-  // CFL scale depends on neighbor mode (6/18/26)
-  const cflScale = CFL_SCALES[params.neighborMode] || CFL_SCALES[6];
-  builder.writeVec4f([
-    params.globalAverage || 0.0,
-    params.decayRate,
-    params.diffusionRate * cflScale,
-    params.fissionThreshold,
-  ]);
-
-  // instab vec4<f32> (instabilityFactor, growthWidthNorm, neighborMode, raySteps)
-  builder.writeVec4f([
-    params.instabilityFactor,
-    growthWidthNorm,
-    params.neighborMode || 6,
-    params.raySteps || 96,
-  ]);
-
-  // misc vec4<f32> (yaw, pitch, distance, seed)
-  builder.writeVec4f([
-    (camera.yaw * Math.PI) / 180,
-    (camera.pitch * Math.PI) / 180,
-    camera.distance,
-    Math.random(), // seed
-  ]);
-
-  // camera vec4<f32> (offsetX, offsetY, time, packed)
-  // Pack both paletteMode (bits 0-1) and energyRangeFilters (bits 2-5)
-  const filterBits = (params.energyRangeFilters || 0b1111) & 0xF;
-  const packedValue = (params.paletteMode || 0) | (filterBits << 2);
-
-  builder.writeVec4f([
-    camera.offsetX,
-    camera.offsetY,
-    performance.now() * 0.001,
-    packedValue,
-  ]);
+export function packSimParams(params, gridSize, camera, run = { seed: 0, step: 0 }, brush = null) {
+  const builder = new UniformBufferBuilder(SIM_PARAMS_SIZE);
+  const u = buildSimUniforms(params, gridSize, camera, run, brush);
+
+  builder.writeVec4u(u.dims);
+  builder.writeVec4f(u.inner);
+  builder.writeVec4f(u.growthA);
+  builder.writeVec4f(u.economy);
+  builder.writeVec4f(u.instab);
+  builder.writeVec4f(u.misc);
+  builder.writeVec4f(u.camera);
+  builder.writeVec4f(u.species);
+  u.speciesInner.forEach((v) => builder.writeVec4f(v));
+  u.speciesGrowth.forEach((v) => builder.writeVec4f(v));
+  u.interaction.forEach((v) => builder.writeVec4f(v));
+  builder.writeVec4f(u.terrainA);
+  builder.writeVec4f(u.terrainB);
+  builder.writeVec4f(u.brush);
+  builder.writeVec4f(u.brushMode);
+  builder.writeVec4f(u.boundary);
+  builder.writeVec4f(u.render);
+  u.transfer.forEach((v) => builder.writeVec4f(v));
+  builder.writeVec4f(u.slice);
+  u.view.forEach((v) => builder.writeVec4f(v));
+  builder.writeVec4f(u.stereo);
 
   return builder.getBuffer();
 }
@@ -0,0 +1,151 @@
+/**
+ * Camera Paths
+ *
+ * A camera path is a list of keyframes sorted by time:
+ * `{ time, camera, params, easing }` with time in seconds, camera a
+ * Camera.toJSON() state, params optional simulation param values and easing
+ * (CAMERA_PATH_EASINGS) shaping the move from that keyframe to the next.
+ *
+ * sampleCameraPath() gives the camera state and params at any time:
+ * - Yaw and pitch ease the short way round and rebuild a roll-free orientation
+ *   (as Camera.setYawPitch does), so the horizon stays level; between two orbit
+ *   keyframes the target, distance and field of view ease, so the camera swings
+ *   around the target; a move to or from a fly keyframe carries the eye in a
+ *   straight line instead
+ * - Projection changes at the keyframe that sets it
+ * - A param eases between the keyframes that set it, holds after the last of
+ *   them, and is left alone before the first; discrete params (modes, counts,
+ *   switches) change at the keyframe instead of easing
+ */
+
+import {
+  INITIAL_DISTANCE,
+  CAMERA_DEFAULT_FOV,
+  CAMERA_PATH_EASINGS,
+  CAMERA_PATH_DEFAULT_EASING,
+} from '../config/constants.js';
+import { isDiscreteParam } from '../config/defaults.js';
+import { quatRotate, quatNormalize, quatFromYawPitch, quatYawPitch } from './quaternion.js';
+
+const EASING_FUNCTIONS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - (1 - t) ** 3,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+// Degrees from a toward b the short way round, b − a wrapped into [-180, 180)
+const lerpAngle = (a, b, t) => a + ((((b - a + 180) % 360) + 360) % 360 - 180) * t;
+
+/**
+ * @param {string} easing - One of CAMERA_PATH_EASINGS (unknown names ease linearly)
+ * @param {number} t - 0-1
+ * @returns {number} Eased 0-1
+ */
+export function ease(easing, t) {
+  return (EASING_FUNCTIONS[easing] ?? EASING_FUNCTIONS.linear)(t);
+}
+
+// Eye offset from the box center: the target less distance along the view
+function eyeOf({ orientation, target, distance }) {
+  const forward = quatRotate(orientation, [0, 0, 1]);
+  return target.map((v, i) => v - forward[i] * distance);
+}
+
+/**
+ * Camera state between two keyframe states
+ *
+ * @param {Object} a - Camera.toJSON() at t = 0
+ * @param {Object} b - Camera.toJSON() at t = 1
+ * @param {number} t - Eased 0-1
+ * @returns {Object} Camera.toJSON()-style state
+ */
+export function interpolateCamera(a, b, t) {
+  const from = quatYawPitch(a.orientation);
+  const to = quatYawPitch(b.orientation);
+  const orientation = quatFromYawPitch(lerpAngle(from.yaw, to.yaw, t), lerpAngle(from.pitch, to.pitch, t));
+  const common = { orientation, fov: lerp(a.fov, b.fov, t), projection: a.projection };
+  if (a.mode === 'orbit' && b.mode === 'orbit') {
+    return {
+      ...common,
+      mode: 'orbit',
+      target: a.target.map((v, i) => lerp(v, b.target[i], t)),
+      distance: lerp(a.distance, b.distance, t),
+    };
+  }
+  const eyeA = eyeOf(a);
+  const eyeB = eyeOf(b);
+  return { ...common, mode: 'fly', target: eyeA.map((v, i) => lerp(v, eyeB[i], t)), distance: 0 };
+}
+
+/**
+ * @param {Object[]} keyframes - Sorted by time
+ * @param {number} time - Seconds (clamped to the path)
+ * @returns {{camera:Object, params:Object}|null} null for an empty path
+ */
+export function sampleCameraPath(keyframes, time) {
+  if (keyframes.length === 0) return null;
+  // Segment [from, from + 1] holding the time; past either end the end keyframe holds
+  let from = 0;
+  while (from < keyframes.length - 1 && keyframes[from + 1].time <= time) from++;
+  const a = keyframes[from];
+  const b = keyframes[Math.min(from + 1, keyframes.length - 1)];
+  const span = b.time - a.time;
+  const t = span > 0 ? ease(a.easing, Math.min(1, Math.max(0, (time - a.time) / span))) : 0;
+  return { camera: interpolateCamera(a.camera, b.camera, t), params: sampleParams(keyframes, time) };
+}
+
+function sampleParams(keyframes, time) {
+  const keys = new Set(keyframes.flatMap((k) => Object.keys(k.params)));
+  const params = {};
+  for (const key of keys) {
+    const setting = keyframes.filter((k) => key in k.params);
+    const next = setting.findIndex((k) => k.time > time);
+    if (next === 0) continue; // before the first keyframe that sets it
+    const prev = setting[(next < 0 ? setting.length : next) - 1];
+    const after = next < 0 ? null : setting[next];
+    const a = prev.params[key];
+    const b = after?.params[key];
+    if (typeof a === 'number' && typeof b === 'number' && !isDiscreteParam(key)) {
+      const t = ease(prev.easing, (time - prev.time) / (after.time - prev.time));
+      params[key] = lerp(a, b, t);
+    } else {
+      params[key] = a;
+    }
+  }
+  return params;
+}
+
+/**
+ * Validate keyframes read from a file
+ *
+ * @param {Object[]} data - Keyframes as saved (any order)
+ * @returns {Object[]} Keyframes sorted by time
+ * @throws {Error} If a keyframe lacks a time or camera orientation
+ *   (other missing camera fields take the Camera defaults)
+ */
+export function parseCameraPath(data) {
+  if (!Array.isArray(data)) throw new Error('Camera path must be a list of keyframes');
+  return data
+    .map((k, i) => {
+      if (!Number.isFinite(k?.time) || k.camera?.orientation?.length !== 4) {
+        throw new Error(`Camera path keyframe ${i + 1} needs a time and a camera state`);
+      }
+      return {
+        time: Math.max(0, k.time),
+        camera: {
+          target: [0, 0, 0],
+          distance: INITIAL_DISTANCE,
+          fov: CAMERA_DEFAULT_FOV,
+          projection: 'perspective',
+          mode: 'orbit',
+          ...k.camera,
+          orientation: quatNormalize(k.camera.orientation.map(Number)),
+        },
+        params: k.params && typeof k.params === 'object' ? { ...k.params } : {},
+        easing: CAMERA_PATH_EASINGS.includes(k.easing) ? k.easing : CAMERA_PATH_DEFAULT_EASING,
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+}
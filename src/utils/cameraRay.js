@@ -0,0 +1,59 @@
+/**
+ * Camera Ray Utilities
+ *
+ * JavaScript copy of the ray setup in render.wgsl.js (renderVolume and
+ * intersectAabb), so a pixel can be turned into the same ray the renderer
+ * marches from the camera basis (Camera.rayBasis).
+ */
+
+/**
+ * Normalized device coordinates of a pointer position, in the render shader's convention
+ *
+ * The fullscreen quad maps the top of the canvas to uv.y = 0, so y grows downward.
+ *
+ * @param {DOMRect} rect - Canvas bounding rect
+ * @param {number} clientX - Pointer x in client pixels
+ * @param {number} clientY - Pointer y in client pixels
+ * @returns {{x:number, y:number}} Both in [-1, 1]
+ */
+export function pointerToNdc(rect, clientX, clientY) {
+  return {
+    x: ((clientX - rect.left) / rect.width) * 2 - 1,
+    y: ((clientY - rect.top) / rect.height) * 2 - 1,
+  };
+}
+
+/**
+ * Ray through a pixel, clipped to the volume box [0, extent]
+ *
+ * @param {number[][]} basis - Camera.rayBasis(): [[right, sx], [down, sy], [forward, orthographic], [eye, focus]]
+ * @param {{x:number, y:number}} ndc - From pointerToNdc() (or the 3D view's region of it)
+ * @param {number[]} [extent=[1, 1, 1]] - Box size per axis (gridExtent of the grid)
+ * @param {number} [eyeShift=0] - Stereo eye offset along the camera's right axis
+ * @returns {{origin:number[], dir:number[], tStart:number, tEnd:number}|null} null if the ray misses
+ */
+export function cameraRay(basis, ndc, extent = [1, 1, 1], eyeShift = 0) {
+  const [right, down, forward, eye] = basis;
+  const across = [0, 1, 2].map((i) => right[i] * ndc.x * right[3] + down[i] * ndc.y * down[3]);
+  // Orthographic: parallel rays from the image plane
+  const orthographic = forward[3] > 0.5;
+  // A shifted eye turns its rays back to meet the unshifted ones on the focus plane
+  const toe = eyeShift / Math.max(eye[3], 1e-3);
+  const origin = [0, 1, 2].map((i) => eye[i] + (orthographic ? across[i] : 0) + right[i] * eyeShift);
+  const d = [0, 1, 2].map((i) => forward[i] + (orthographic ? 0 : across[i]) - right[i] * toe);
+  const len = Math.hypot(...d);
+  const dir = d.map((v) => v / len);
+
+  // Ray-AABB intersection with [0, extent]
+  let tMin = -Infinity;
+  let tMax = Infinity;
+  for (let i = 0; i < 3; i++) {
+    const inv = 1.0 / dir[i];
+    const t0 = (0 - origin[i]) * inv;
+    const t1 = (extent[i] - origin[i]) * inv;
+    tMin = Math.max(tMin, Math.min(t0, t1));
+    tMax = Math.min(tMax, Math.max(t0, t1));
+  }
+  if (tMax < Math.max(tMin, 0)) return null;
+  return { origin, dir, tStart: Math.max(tMin, 0), tEnd: tMax };
+}
@@ -0,0 +1,94 @@
+/**
+ * Grid Dimension Utilities
+ *
+ * A grid is a rectangular volume [nx, ny, nz], stored x fastest then y then z.
+ * Everything that accepts a grid size also takes a single number for a cube,
+ * which is what presets and older run/state files store.
+ */
+
+/**
+ * Normalize a grid size to [nx, ny, nz]
+ *
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @returns {number[]} New array of three positive integers
+ * @throws {Error} If any dimension is not a positive integer
+ *
+ * @example
+ * toGridDims(32);            // [32, 32, 32]
+ * toGridDims([128, 128, 32]); // [128, 128, 32]
+ */
+export function toGridDims(size) {
+  const dims = Array.isArray(size) ? size.map(Number) : [size, size, size].map(Number);
+  if (dims.length !== 3 || !dims.every((n) => Number.isInteger(n) && n > 0)) {
+    throw new Error(`Invalid grid size: ${JSON.stringify(size)}`);
+  }
+  return dims;
+}
+
+/**
+ * Parse a grid size typed by a user ("64", "128x128x32" or "128×128×32")
+ *
+ * @param {string} text
+ * @returns {number[]} [nx, ny, nz]
+ * @throws {Error} If the text is not one or three positive integers
+ */
+export function parseGridDims(text) {
+  const parts = String(text).trim().split(/\s*[x×,]\s*/i).map(Number);
+  if (parts.length === 1) return toGridDims(parts[0]);
+  if (parts.length === 3) return toGridDims(parts);
+  throw new Error(`Grid size must be N or NxNxN, got "${text}"`);
+}
+
+/**
+ * @param {number[]} dims - [nx, ny, nz]
+ * @returns {number} Cell count
+ */
+export function gridCellCount([nx, ny, nz]) {
+  return nx * ny * nz;
+}
+
+/**
+ * @param {number[]} a - [nx, ny, nz]
+ * @param {number[]} b - [nx, ny, nz]
+ * @returns {boolean} Same dimensions
+ */
+export function sameGridDims(a, b) {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+/**
+ * Short label for UI and logs
+ *
+ * @param {number[]} dims - [nx, ny, nz]
+ * @returns {string} "32³" for cubes, "128×128×32" otherwise
+ */
+export function formatGridDims([nx, ny, nz]) {
+  return nx === ny && ny === nz ? `${nx}³` : `${nx}×${ny}×${nz}`;
+}
+
+/**
+ * World-space size of the rendered volume box
+ *
+ * The longest axis spans 1 (the unit cube of a cubic grid); the others shrink
+ * in proportion, so cells stay cubic on screen.
+ *
+ * @param {number[]} dims - [nx, ny, nz]
+ * @returns {number[]} Box extent per axis, each in (0, 1]
+ */
+export function gridExtent(dims) {
+  const longest = Math.max(...dims);
+  return dims.map((n) => n / longest);
+}
+
+/**
+ * Next level of the 2×2×2 reduction chain (reduce.wgsl.js)
+ *
+ * Every axis halves rounding up, so odd sizes keep their last cells in a
+ * partial block instead of dropping them; axes already at 1 stay at 1.
+ *
+ * @param {number[]} dims - [nx, ny, nz]
+ * @returns {number[]}
+ */
+export function halveGridDims(dims) {
+  return dims.map((n) => Math.ceil(n / 2));
+}
@@ -0,0 +1,97 @@
+/**
+ * Half-Precision Float Helpers
+ *
+ * Field textures are rgba16float, so uploads and readbacks move raw IEEE 754
+ * binary16 values. These helpers convert between them and JS numbers.
+ */
+
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+/**
+ * Convert a number to binary16 bits (round to nearest even)
+ *
+ * @param {number} value - Value to encode
+ * @returns {number} 16-bit unsigned integer
+ */
+export function toHalf(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+
+  if (exp === 0xff) {
+    // Inf / NaN
+    return sign | 0x7c00 | (mant ? 0x200 : 0);
+  }
+
+  let e = exp - 127 + 15;
+  if (e >= 0x1f) {
+    return sign | 0x7c00; // overflow → Inf
+  }
+  if (e <= 0) {
+    if (e < -10) return sign; // underflow → ±0
+    mant |= 0x800000;
+    const shift = 14 - e;
+    let half = mant >>> shift;
+    const rem = mant & ((1 << shift) - 1);
+    const halfway = 1 << (shift - 1);
+    if (rem > halfway || (rem === halfway && (half & 1))) half++;
+    return sign | half;
+  }
+
+  let half = (e << 10) | (mant >>> 13);
+  const rem = mant & 0x1fff;
+  if (rem > 0x1000 || (rem === 0x1000 && (half & 1))) half++;
+  return sign | half;
+}
+
+/**
+ * Convert binary16 bits to a number
+ *
+ * @param {number} bits - 16-bit unsigned integer
+ * @returns {number} Decoded value
+ */
+export function fromHalf(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exp = (bits >>> 10) & 0x1f;
+  const mant = bits & 0x3ff;
+  if (exp === 0) return sign * mant * 2 ** -24;
+  if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * 2 ** (exp - 15);
+}
+
+/**
+ * Round a number to the nearest representable binary16 value
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+export function roundHalf(value) {
+  return fromHalf(toHalf(value));
+}
+
+/**
+ * Encode a Float32Array into packed binary16 values
+ *
+ * @param {Float32Array} data - Source values
+ * @returns {Uint16Array} Encoded values
+ */
+export function encodeHalfArray(data) {
+  const out = new Uint16Array(data.length);
+  for (let i = 0; i < data.length; i++) out[i] = toHalf(data[i]);
+  return out;
+}
+
+/**
+ * Decode packed binary16 values into a Float32Array
+ *
+ * @param {Uint16Array} data - Encoded values
+ * @returns {Float32Array} Decoded values
+ */
+export function decodeHalfArray(data) {
+  const out = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) out[i] = fromHalf(data[i]);
+  return out;
+}
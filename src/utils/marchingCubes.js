@@ -0,0 +1,110 @@
+/**
+ * Marching Cubes Tables
+ *
+ * Lookup tables for marchingCubes.wgsl.js. A cube spans 2×2×2 neighbouring
+ * cells; corner i sits at CUBE_CORNERS[i] and sets bit i of the case index
+ * when its energy is at or above the iso level (inside the surface).
+ *
+ * The triangle table is traced from the cube faces instead of being pasted in:
+ * on each face the crossed edges are joined into segments, segments chain into
+ * closed polygons around the inside corners, and each polygon is fanned into
+ * triangles. A face with two diagonal inside corners always cuts both corners
+ * off, and that choice depends on the face alone, so neighbouring cubes agree
+ * and the mesh has no cracks. Triangles wind counter-clockwise seen from
+ * outside (from lower energy).
+ */
+
+/** Corner offsets in cells, bit i of a case index = corner i inside */
+export const CUBE_CORNERS = [
+  [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+  [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1],
+];
+
+/**
+ * Cube edges as [corner, corner], lower corner first. Ordered so the shader can
+ * rebuild each edge from its index: 0-7 lie in the z = e >> 2 layer, along x
+ * when e % 4 < 2 (at y = e & 1) and along y otherwise (at x = e & 1); 8-11 run
+ * along z at x = e & 1, y = (e >> 1) & 1.
+ */
+export const CUBE_EDGES = [
+  [0, 1], [3, 2], [0, 3], [1, 2],
+  [4, 5], [7, 6], [4, 7], [5, 6],
+  [0, 4], [1, 5], [3, 7], [2, 6],
+];
+
+/** Slots per case in TRIANGLE_TABLE: up to 5 triangles, padded with -1 */
+export const TRIANGLE_SLOTS = 16;
+
+function edgeBetween(a, b) {
+  return CUBE_EDGES.findIndex(([p, q]) => (p === a && q === b) || (p === b && q === a));
+}
+
+// Corners of each face, counter-clockwise seen from outside the cube
+const CUBE_FACES = [0, 1, 2].flatMap((axis) =>
+  [0, 1].map((side) => {
+    const [u, v] = [(axis + 1) % 3, (axis + 2) % 3];
+    const corner = (du, dv) => {
+      const offset = [0, 0, 0];
+      offset[axis] = side;
+      offset[u] = du;
+      offset[v] = dv;
+      return CUBE_CORNERS.findIndex((c) => c.every((n, i) => n === offset[i]));
+    };
+    // (u, v, axis) is right-handed, so this order faces +axis; flip it for the low side
+    const ring = [corner(0, 0), corner(1, 0), corner(1, 1), corner(0, 1)];
+    return side === 1 ? ring : ring.reverse();
+  }),
+);
+
+// Polygons of one case: closed loops of crossed edges
+function tracePolygons(caseIndex) {
+  const inside = (corner) => (caseIndex >> corner) & 1;
+  // next[e] = edge that follows crossed edge e along the loop
+  const next = new Map();
+  for (const ring of CUBE_FACES) {
+    const crossings = [];
+    ring.forEach((a, i) => {
+      const b = ring[(i + 1) % 4];
+      if (inside(a) !== inside(b)) crossings.push({ edge: edgeBetween(a, b), entering: !inside(a) });
+    });
+    // Walking the face boundary, each entry pairs with the exit after it: the
+    // segment wraps the inside arc between them, so diagonal corners stay apart
+    crossings.forEach((crossing, i) => {
+      if (crossing.entering) next.set(crossing.edge, crossings[(i + 1) % crossings.length].edge);
+    });
+  }
+
+  const polygons = [];
+  const visited = new Set();
+  for (const start of next.keys()) {
+    if (visited.has(start)) continue;
+    const loop = [];
+    for (let edge = start; !visited.has(edge); edge = next.get(edge)) {
+      visited.add(edge);
+      loop.push(edge);
+    }
+    polygons.push(loop);
+  }
+  return polygons;
+}
+
+function buildTriangleTable() {
+  const table = new Int32Array(256 * TRIANGLE_SLOTS).fill(-1);
+  for (let caseIndex = 0; caseIndex < 256; caseIndex++) {
+    let slot = caseIndex * TRIANGLE_SLOTS;
+    for (const loop of tracePolygons(caseIndex)) {
+      // The face walk already runs each loop counter-clockwise seen from outside
+      for (let i = 1; i < loop.length - 1; i++) {
+        table.set([loop[0], loop[i], loop[i + 1]], slot);
+        slot += 3;
+      }
+    }
+  }
+  return table;
+}
+
+/**
+ * Edges of each case's triangles, three per triangle, -1 after the last
+ * (TRIANGLE_SLOTS per case)
+ */
+export const TRIANGLE_TABLE = buildTriangleTable();
@@ -0,0 +1,180 @@
+/**
+ * Mesh Export
+ *
+ * Turns the vertex soup read back from marchingCubes.wgsl.js into an indexed
+ * mesh and writes it as OBJ, binary STL or binary PLY. Positions are in cell
+ * units (cell i centered at i), with the grid's own x, y, z axes.
+ */
+
+/** MeshVertex in marchingCubes.wgsl.js: position vec3<f32>, edge u32, normal vec3<f32>, pad */
+export const MESH_VERTEX_BYTES = 32;
+const VERTEX_FLOATS = MESH_VERTEX_BYTES / 4;
+
+const STL_HEADER_BYTES = 80;
+const STL_TRIANGLE_BYTES = 50;
+
+/**
+ * Weld the triangle soup into an indexed mesh
+ *
+ * Neighbouring cubes write the same surface point for a shared grid edge, so
+ * vertices merge by edge id and the mesh comes out connected (and closed, since
+ * the field reads empty outside the grid).
+ *
+ * @param {ArrayBuffer} data - MeshVertex records, three per triangle
+ * @returns {{positions:Float32Array, normals:Float32Array, indices:Uint32Array}}
+ */
+export function weldMeshVertices(data) {
+  const floats = new Float32Array(data);
+  const words = new Uint32Array(data);
+  const count = data.byteLength / MESH_VERTEX_BYTES;
+  const indexOfEdge = new Map();
+  const positions = [];
+  const normals = [];
+  const indices = new Uint32Array(count);
+
+  for (let v = 0; v < count; v++) {
+    const base = v * VERTEX_FLOATS;
+    const edge = words[base + 3];
+    let index = indexOfEdge.get(edge);
+    if (index === undefined) {
+      index = indexOfEdge.size;
+      indexOfEdge.set(edge, index);
+      positions.push(floats[base], floats[base + 1], floats[base + 2]);
+      normals.push(floats[base + 4], floats[base + 5], floats[base + 6]);
+    }
+    indices[v] = index;
+  }
+  return { positions: new Float32Array(positions), normals: new Float32Array(normals), indices };
+}
+
+/**
+ * @param {Object} mesh - From weldMeshVertices()
+ * @param {string[]} [comments] - Header lines
+ * @returns {string} Wavefront OBJ with per-vertex normals
+ */
+export function encodeOBJ({ positions, normals, indices }, comments = []) {
+  const lines = comments.map((c) => `# ${c}`);
+  for (let i = 0; i < positions.length; i += 3) {
+    lines.push(`v ${fmt(positions[i])} ${fmt(positions[i + 1])} ${fmt(positions[i + 2])}`);
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    lines.push(`vn ${fmt(normals[i])} ${fmt(normals[i + 1])} ${fmt(normals[i + 2])}`);
+  }
+  for (let i = 0; i < indices.length; i += 3) {
+    // OBJ indices start at 1
+    const [a, b, c] = [indices[i] + 1, indices[i + 1] + 1, indices[i + 2] + 1];
+    lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {Object} mesh - From weldMeshVertices()
+ * @param {string} [header] - Up to 80 ASCII characters
+ * @returns {ArrayBuffer} Binary STL, one facet normal per triangle
+ */
+export function encodeSTL({ positions, indices }, header = '') {
+  const triangles = indices.length / 3;
+  const buffer = new ArrayBuffer(STL_HEADER_BYTES + 4 + triangles * STL_TRIANGLE_BYTES);
+  const view = new DataView(buffer);
+  // Readers sniff "solid" as ASCII STL, so the binary header must not start with it
+  const text = header.replace(/^solid/i, '').slice(0, STL_HEADER_BYTES);
+  for (let i = 0; i < text.length; i++) view.setUint8(i, text.charCodeAt(i) & 0x7f);
+  view.setUint32(STL_HEADER_BYTES, triangles, true);
+
+  let offset = STL_HEADER_BYTES + 4;
+  const corner = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+  for (let t = 0; t < triangles; t++) {
+    const [a, b, c] = [0, 1, 2].map((k) => corner(indices[t * 3 + k]));
+    for (const value of [...facetNormal(a, b, c), ...a, ...b, ...c]) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    offset += 2; // attribute byte count, 0
+  }
+  return buffer;
+}
+
+/**
+ * @param {Object} mesh - From weldMeshVertices()
+ * @param {string[]} [comments] - Header comment lines
+ * @returns {ArrayBuffer} Binary little-endian PLY with per-vertex normals
+ */
+export function encodePLY({ positions, normals, indices }, comments = []) {
+  const vertexCount = positions.length / 3;
+  const faceCount = indices.length / 3;
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    ...comments.map((c) => `comment ${c}`),
+    `element vertex ${vertexCount}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property float nx',
+    'property float ny',
+    'property float nz',
+    `element face ${faceCount}`,
+    'property list uchar int vertex_indices',
+    'end_header',
+    '',
+  ].join('\n');
+  const headerBytes = new TextEncoder().encode(header);
+
+  const buffer = new ArrayBuffer(headerBytes.length + vertexCount * 24 + faceCount * 13);
+  new Uint8Array(buffer).set(headerBytes);
+  const view = new DataView(buffer);
+  let offset = headerBytes.length;
+  for (let v = 0; v < vertexCount; v++) {
+    for (const source of [positions, normals]) {
+      for (let k = 0; k < 3; k++) {
+        view.setFloat32(offset, source[v * 3 + k], true);
+        offset += 4;
+      }
+    }
+  }
+  for (let t = 0; t < faceCount; t++) {
+    view.setUint8(offset, 3);
+    offset += 1;
+    for (let k = 0; k < 3; k++) {
+      view.setInt32(offset, indices[t * 3 + k], true);
+      offset += 4;
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Encode a mesh in one of MESH_FORMATS
+ *
+ * @param {Object} mesh - From WebGPUSimulation3D.extractMesh()
+ * @param {string} format - 'obj', 'stl' or 'ply'
+ * @returns {Blob}
+ */
+export function createMeshBlob(mesh, format) {
+  const [nx, ny, nz] = mesh.gridDims;
+  const about = `wigle-u-3d step ${mesh.step}, ${nx}x${ny}x${nz} grid, iso level ${mesh.isoLevel}`;
+  switch (format) {
+    case 'obj':
+      return new Blob([encodeOBJ(mesh, [about, 'units: cells'])], { type: 'model/obj' });
+    case 'stl':
+      return new Blob([encodeSTL(mesh, about)], { type: 'model/stl' });
+    case 'ply':
+      return new Blob([encodePLY(mesh, [about, 'units: cells'])], { type: 'application/octet-stream' });
+    default:
+      throw new Error(`Unknown mesh format: ${format}`);
+  }
+}
+
+function facetNormal(a, b, c) {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  const len = Math.hypot(...n);
+  return len > 0 ? n.map((x) => x / len) : [0, 0, 0];
+}
+
+// 7 significant digits (float32 precision), trailing zeros dropped
+function fmt(value) {
+  return Number(value.toPrecision(7)).toString();
+}
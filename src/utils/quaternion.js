@@ -0,0 +1,94 @@
+/**
+ * Quaternion Utilities
+ *
+ * Unit quaternions as [x, y, z, w] arrays, for the camera orientation
+ * (src/core/Camera.js) and camera paths (cameraPath.js).
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * @param {number[]} axis - Unit rotation axis [x, y, z]
+ * @param {number} angle - Radians
+ * @returns {number[]}
+ */
+export function quatFromAxisAngle([ax, ay, az], angle) {
+  const s = Math.sin(angle / 2);
+  return [ax * s, ay * s, az * s, Math.cos(angle / 2)];
+}
+
+/**
+ * Hamilton product a·b (rotate by b, then by a)
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+export function quatMultiply([ax, ay, az, aw], [bx, by, bz, bw]) {
+  return [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz,
+  ];
+}
+
+/**
+ * @param {number[]} q
+ * @returns {number[]} q scaled to unit length (identity for a zero quaternion)
+ */
+export function quatNormalize(q) {
+  const len = Math.hypot(...q);
+  return len > 0 ? q.map((v) => v / len) : [0, 0, 0, 1];
+}
+
+/**
+ * @param {number[]} q - Unit quaternion
+ * @param {number[]} v - Vector [x, y, z]
+ * @returns {number[]} v rotated by q
+ */
+export function quatRotate([qx, qy, qz, qw], [vx, vy, vz]) {
+  // v + 2w(q × v) + 2 q × (q × v)
+  const tx = 2 * (qy * vz - qz * vy);
+  const ty = 2 * (qz * vx - qx * vz);
+  const tz = 2 * (qx * vy - qy * vx);
+  return [
+    vx + qw * tx + (qy * tz - qz * ty),
+    vy + qw * ty + (qz * tx - qx * tz),
+    vz + qw * tz + (qx * ty - qy * tx),
+  ];
+}
+
+/**
+ * Roll-free camera orientation: yaw about world y (with the sign of the
+ * original camera), then pitch about the resulting right axis. Camera space
+ * is x right, y down, z forward (see src/core/Camera.js).
+ *
+ * @param {number} yawDeg - About the world up axis
+ * @param {number} pitchDeg - About the camera's right axis
+ * @returns {number[]}
+ */
+export function quatFromYawPitch(yawDeg, pitchDeg) {
+  return quatNormalize(
+    quatMultiply(quatFromAxisAngle([0, 1, 0], yawDeg * DEG), quatFromAxisAngle([1, 0, 0], pitchDeg * DEG)),
+  );
+}
+
+/**
+ * Inverse of quatFromYawPitch (a rolled orientation reads as the roll-free
+ * one whose right axis has the same heading)
+ *
+ * @param {number[]} q - Unit quaternion
+ * @returns {{yaw:number, pitch:number}} Degrees; yaw 0 looks along +z, pitch in (-180, 180]
+ */
+export function quatYawPitch(q) {
+  const right = quatRotate(q, [1, 0, 0]);
+  const down = quatRotate(q, [0, 1, 0]);
+  const forward = quatRotate(q, [0, 0, 1]);
+  return {
+    // The right axis stays horizontal, so it alone gives the heading
+    yaw: Math.atan2(-right[2], right[0]) / DEG,
+    // Beyond ±90 the view is upside down
+    pitch: Math.atan2(-forward[1], down[1]) / DEG,
+  };
+}
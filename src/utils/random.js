@@ -0,0 +1,64 @@
+/**
+ * Seedable Random Utilities
+ *
+ * Everything that used to call Math.random() or read the wall clock goes
+ * through here so that params + seed + step count reproduce the same field.
+ */
+
+/**
+ * Normalize any number into an unsigned 32-bit run seed
+ *
+ * @param {number} seed - Seed value (non-integers are truncated)
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function normalizeSeed(seed) {
+  return Math.trunc(Number(seed) || 0) >>> 0;
+}
+
+/**
+ * Pick a fresh run seed (the only non-deterministic entry point)
+ *
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a mulberry32 PRNG
+ *
+ * @param {number} seed - Run seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ *
+ * @example
+ * const rng = createRng(1234);
+ * const value = rng(); // same sequence for the same seed
+ */
+export function createRng(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Hash a run seed and step index into a per-step noise seed
+ *
+ * The result is limited to 24 bits so it survives the trip through an f32
+ * uniform slot exactly.
+ *
+ * @param {number} seed - Run seed
+ * @param {number} step - Simulation step index
+ * @returns {number} Integer in [0, 2^24)
+ */
+export function hashStepSeed(seed, step) {
+  let h = normalizeSeed(seed) ^ Math.imul(normalizeSeed(step), 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) & 0xffffff;
+}
@@ -0,0 +1,156 @@
+/**
+ * Sequence Files
+ *
+ * A sequence file is a store-only ZIP of field snapshots taken every N steps
+ * by VolumeRecorder, for replay in the viewer:
+ *
+ * - `sequence.json` - format version, original and frame grid dimensions,
+ *   downsample factor, recording interval, seed, params and one entry per
+ *   frame: its step, file and per-channel scale
+ * - `frames/NNNNNN.bin` - one file per frame, rgba bytes (x fastest then y then z)
+ *
+ * Frames are quantized to 8 bits per channel against the frame's own maximum
+ * of that channel (value = byte / 255 × scale), and optionally box-averaged
+ * down by 2 or 4 per axis, so memory stays bounded by the frame count.
+ */
+
+import { createZipFromFiles, readZipFiles } from './zipUtils.js';
+import { toGridDims, gridCellCount } from './gridDims.js';
+
+export const SEQUENCE_FORMAT_VERSION = 1;
+
+const CHANNELS = 4;
+
+/**
+ * Grid of a downsampled frame (each axis divided, rounding up)
+ *
+ * @param {number[]} dims - [nx, ny, nz]
+ * @param {number} factor - Cells per frame texel along each axis
+ * @returns {number[]}
+ */
+export function downsampledDims(dims, factor) {
+  return dims.map((n) => Math.ceil(n / factor));
+}
+
+/**
+ * Box-average an rgba field by a factor per axis
+ *
+ * Blocks on the far edges of sizes that do not divide evenly average the
+ * cells they cover.
+ *
+ * @param {Float32Array} data - rgba values, x fastest then y then z
+ * @param {number[]} dims - [nx, ny, nz]
+ * @param {number} factor - 1 returns the data unchanged
+ * @returns {Float32Array} rgba values on downsampledDims(dims, factor)
+ */
+export function downsampleField(data, dims, factor) {
+  if (factor === 1) return data;
+  const [nx, ny, nz] = dims;
+  const [ox, oy] = downsampledDims(dims, factor);
+  const out = new Float32Array(gridCellCount(downsampledDims(dims, factor)) * CHANNELS);
+  const counts = new Uint32Array(out.length / CHANNELS);
+  let i = 0;
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      const row = (Math.floor(z / factor) * oy + Math.floor(y / factor)) * ox;
+      for (let x = 0; x < nx; x++, i += CHANNELS) {
+        const o = row + Math.floor(x / factor);
+        for (let c = 0; c < CHANNELS; c++) out[o * CHANNELS + c] += data[i + c];
+        counts[o]++;
+      }
+    }
+  }
+  for (let o = 0; o < counts.length; o++) {
+    for (let c = 0; c < CHANNELS; c++) out[o * CHANNELS + c] /= counts[o];
+  }
+  return out;
+}
+
+/**
+ * Quantize an rgba frame to bytes, one scale per channel
+ *
+ * @param {Float32Array} data - rgba values (negative values clamp to 0)
+ * @returns {{bytes:Uint8Array, scale:number[]}}
+ */
+export function quantizeFrame(data) {
+  const scale = [0, 0, 0, 0];
+  for (let i = 0; i < data.length; i++) {
+    const c = i % CHANNELS;
+    if (data[i] > scale[c]) scale[c] = data[i];
+  }
+  const bytes = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const s = scale[i % CHANNELS];
+    bytes[i] = s > 0 ? Math.round((Math.max(0, data[i]) / s) * 255) : 0;
+  }
+  return { bytes, scale };
+}
+
+/**
+ * @param {Uint8Array} bytes - From quantizeFrame()
+ * @param {number[]} scale - Per-channel maximum
+ * @returns {Float32Array} rgba values
+ */
+export function dequantizeFrame(bytes, scale) {
+  const out = new Float32Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) out[i] = (bytes[i] / 255) * scale[i % CHANNELS];
+  return out;
+}
+
+function frameFile(index) {
+  return `frames/${String(index).padStart(6, '0')}.bin`;
+}
+
+/**
+ * Bundle recorded frames into a ZIP blob
+ *
+ * @param {Object} sequence - From VolumeRecorder.getSequence()
+ * @returns {Blob}
+ */
+export function createSequenceZip({ frames, ...meta }) {
+  const json = JSON.stringify(
+    {
+      version: SEQUENCE_FORMAT_VERSION,
+      ...meta,
+      frames: frames.map(({ step, scale }, i) => ({ step, file: frameFile(i), scale })),
+    },
+    null,
+    2,
+  );
+  return createZipFromFiles([
+    { name: 'sequence.json', data: new TextEncoder().encode(json) },
+    ...frames.map(({ bytes }, i) => ({ name: frameFile(i), data: bytes })),
+  ]);
+}
+
+/**
+ * Parse a sequence ZIP
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} Sequence metadata with frames [{ step, scale, bytes }] in recording order
+ */
+export function readSequenceZip(buffer) {
+  const files = new Map(readZipFiles(buffer).map((f) => [f.name, f.data]));
+  if (!files.has('sequence.json')) {
+    throw new Error('Sequence file must contain sequence.json');
+  }
+  const { version, frames, ...meta } = JSON.parse(new TextDecoder().decode(files.get('sequence.json')));
+  if (version > SEQUENCE_FORMAT_VERSION) {
+    throw new Error(`Sequence format v${version} is newer than this app (v${SEQUENCE_FORMAT_VERSION})`);
+  }
+  const frameDims = toGridDims(meta.frameDims);
+  const frameBytes = gridCellCount(frameDims) * CHANNELS;
+  return {
+    ...meta,
+    gridDims: toGridDims(meta.gridDims),
+    frameDims,
+    frames: frames.map(({ step, file, scale }) => {
+      const bytes = files.get(file);
+      if (!bytes) throw new Error(`Sequence is missing ${file}`);
+      if (bytes.byteLength !== frameBytes) {
+        throw new Error(`${file} has ${bytes.byteLength} bytes, expected ${frameBytes}`);
+      }
+      return { step, scale, bytes };
+    }),
+  };
+}
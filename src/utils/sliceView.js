@@ -0,0 +1,128 @@
+/**
+ * Slice View Layout
+ *
+ * JavaScript copy of the screen layout in render.wgsl.js (`fs`, `renderSlice`),
+ * so a pointer can be mapped to what is drawn under it: the 3D view, or a cell
+ * of an axis-aligned slice (slice render mode, orthoview panels).
+ *
+ * Positions are uv in [0, 1] with y growing downward, like the fullscreen quad.
+ */
+
+import { RENDER_MODES, ORTHOVIEW_MAX_WIDTH } from '../config/constants.js';
+import { getSliceDepths, getSliceAxis, getStereoMode } from '../config/defaults.js';
+
+// Stereo modes that draw each eye in its own half of the 3D view
+const SIDE_BY_SIDE_MODES = ['sideBySide', 'crossEye'];
+
+/** In-plane (horizontal, vertical) axes of the slice across x, y and z: YZ, XZ, XY */
+export const SLICE_PLANE_AXES = [
+  [1, 2],
+  [0, 2],
+  [0, 1],
+];
+
+/**
+ * Cell a slice depth falls in
+ *
+ * @param {number} depth - Fraction of the axis in [0, 1]
+ * @param {number} n - Cells along the axis
+ * @returns {number} Cell index in [0, n - 1]
+ */
+export function sliceCellIndex(depth, n) {
+  return Math.min(n - 1, Math.floor(depth * n));
+}
+
+/**
+ * Depth that puts a slice through the middle of a cell
+ *
+ * @param {number} cell - Cell index (clamped to [0, n - 1])
+ * @param {number} n - Cells along the axis
+ * @returns {number} Fraction of the axis
+ */
+export function sliceDepthOfCell(cell, n) {
+  return (Math.min(n - 1, Math.max(0, cell)) + 0.5) / n;
+}
+
+/**
+ * Width of the orthoview panel column
+ *
+ * The three panels stack over the full height, so each is square when the
+ * column is a third of the height wide.
+ *
+ * @param {number} aspect - Canvas width / height
+ * @returns {number} Share of the canvas width
+ */
+export function orthoviewWidth(aspect) {
+  return Math.min(ORTHOVIEW_MAX_WIDTH, 1 / (3 * aspect));
+}
+
+/**
+ * Aspect of one 3D view: the canvas, less the orthoview column when it is
+ * shown, halved when side-by-side stereo puts two views in it
+ *
+ * @param {Object} params - Simulation params (orthoview, stereoMode)
+ * @param {number} aspect - Canvas width / height
+ * @returns {number} 3D view width / height
+ */
+export function volumeViewAspect(params, aspect) {
+  const views = SIDE_BY_SIDE_MODES.includes(getStereoMode(params)) ? 2 : 1;
+  return ((params.orthoview ? 1 - orthoviewWidth(aspect) : 1) * aspect) / views;
+}
+
+/**
+ * What is drawn under a pointer
+ *
+ * @param {{x:number, y:number}} ndc - From pointerToNdc()
+ * @param {Object} view
+ * @param {Object} view.params - Simulation params (renderMode, slice depths, orthoview)
+ * @param {number[]} view.gridDims - [nx, ny, nz]
+ * @param {number} view.aspect - Canvas width / height
+ * @returns {{ndc:{x:number, y:number}, eye:number}|{axis:number, cell:number[]|null}} NDC within
+ *   the 3D view and the stereo eye drawn there (-1 left, 1 right, 0 the camera itself), or the
+ *   slice axis and the cell under the pointer (null beside the plane)
+ */
+export function viewRegionAt(ndc, { params, gridDims, aspect }) {
+  const uv = { x: (ndc.x + 1) / 2, y: (ndc.y + 1) / 2 };
+  let mainWidth = 1;
+  if (params.orthoview) {
+    const width = orthoviewWidth(aspect);
+    mainWidth = 1 - width;
+    if (uv.x >= mainWidth) {
+      // Panels top to bottom: z, y, x
+      const panel = Math.min(2, Math.floor(uv.y * 3));
+      const local = { x: (uv.x - mainWidth) / width, y: uv.y * 3 - panel };
+      return sliceCellAt(local, 2 - panel, 3 * width * aspect, params, gridDims);
+    }
+  }
+  const local = { x: uv.x / mainWidth, y: uv.y };
+  if (RENDER_MODES[params.renderMode] === 'slice') {
+    return sliceCellAt(local, getSliceAxis(params), mainWidth * aspect, params, gridDims);
+  }
+  const stereo = getStereoMode(params);
+  if (SIDE_BY_SIDE_MODES.includes(stereo)) {
+    // Same split as the render shader: each half is a whole view of one eye
+    const rightHalf = local.x >= 0.5;
+    const x = local.x * 2 - (rightHalf ? 1 : 0);
+    const eye = rightHalf !== (stereo === 'crossEye') ? 1 : -1;
+    return { ndc: { x: x * 2 - 1, y: local.y * 2 - 1 }, eye };
+  }
+  return { ndc: { x: local.x * 2 - 1, y: local.y * 2 - 1 }, eye: 0 };
+}
+
+// The plane is fitted into its region with cells kept square
+function sliceCellAt(local, axis, regionAspect, params, gridDims) {
+  const [u, v] = SLICE_PLANE_AXES[axis];
+  const planeAspect = gridDims[u] / gridDims[v];
+  const fitX = Math.min(1, planeAspect / regionAspect);
+  const fitY = Math.min(1, regionAspect / planeAspect);
+  const qx = (local.x - 0.5) / fitX + 0.5;
+  const qy = (local.y - 0.5) / fitY + 0.5;
+  if (qx < 0 || qx >= 1 || qy < 0 || qy >= 1) return { axis, cell: null };
+
+  const cell = [0, 0, 0];
+  cell[axis] = sliceCellIndex(getSliceDepths(params)[axis], gridDims[axis]);
+  cell[u] = Math.min(gridDims[u] - 1, Math.floor(qx * gridDims[u]));
+  // The vertical axis grows upward on screen
+  cell[v] = Math.min(gridDims[v] - 1, Math.floor((1 - qy) * gridDims[v]));
+  return { axis, cell };
+}
@@ -0,0 +1,138 @@
+/**
+ * Simulation State Files
+ *
+ * A state file is a store-only ZIP holding everything needed to resume a run
+ * exactly where it was saved:
+ *
+ * - `state.json` - params, grid dimensions, seed, step, ping-pong index and the
+ *   global-average samples still waiting to be applied (files from before
+ *   non-cubic grids store a single `gridSize` instead of `gridDims`)
+ * - `field.bin`  - raw texels of both field textures (see encodeFieldBinary)
+ *
+ * Texels are kept as the texture's own rgba16float bits, so a save/load round
+ * trip is lossless and half the size of float32.
+ */
+
+import { createZipFromFiles, readZipFiles } from './zipUtils.js';
+import { toGridDims, gridCellCount, sameGridDims, formatGridDims } from './gridDims.js';
+
+export const STATE_FORMAT_VERSION = 1;
+
+const FIELD_MAGIC = 0x46335557; // 'WU3F' little-endian
+const FIELD_HEADER_BYTES = 36;
+const FIELD_CHANNELS = 4;
+const FIELD_BYTES_PER_CHANNEL = 2;
+
+/**
+ * Pack field textures into the field.bin layout
+ *
+ * Header (little-endian u32 × 9): magic, version, width, height, depth,
+ * channels, bytesPerChannel, textureCount, currentIndex. Texel data follows,
+ * one texture after another, x fastest then y then z.
+ *
+ * @param {Object} field
+ * @param {number[]} field.dims - [width, height, depth]
+ * @param {number} field.currentIndex - Index of the texture holding the current step
+ * @param {Uint16Array[]} field.textures - rgba16float texels per texture
+ * @returns {Uint8Array}
+ */
+export function encodeFieldBinary({ dims, currentIndex, textures }) {
+  const texelCount = gridCellCount(dims) * FIELD_CHANNELS;
+  const out = new Uint8Array(FIELD_HEADER_BYTES + textures.length * texelCount * FIELD_BYTES_PER_CHANNEL);
+  const header = new Uint32Array(out.buffer, 0, FIELD_HEADER_BYTES / 4);
+  header.set([
+    FIELD_MAGIC,
+    STATE_FORMAT_VERSION,
+    ...dims,
+    FIELD_CHANNELS,
+    FIELD_BYTES_PER_CHANNEL,
+    textures.length,
+    currentIndex,
+  ]);
+
+  let offset = FIELD_HEADER_BYTES;
+  for (const texels of textures) {
+    if (texels.length !== texelCount) {
+      throw new Error(`Field texture has ${texels.length} values, expected ${texelCount}`);
+    }
+    out.set(new Uint8Array(texels.buffer, texels.byteOffset, texels.byteLength), offset);
+    offset += texels.byteLength;
+  }
+  return out;
+}
+
+/**
+ * Unpack a field.bin payload
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{dims:number[], currentIndex:number, textures:Uint16Array[]}}
+ */
+export function decodeFieldBinary(bytes) {
+  if (bytes.byteLength < FIELD_HEADER_BYTES) {
+    throw new Error('Field data is truncated');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const word = (i) => view.getUint32(i * 4, true);
+  if (word(0) !== FIELD_MAGIC) throw new Error('Not a wigle-u-3d field file');
+  if (word(1) > STATE_FORMAT_VERSION) {
+    throw new Error(`Field format v${word(1)} is newer than this app (v${STATE_FORMAT_VERSION})`);
+  }
+  const dims = [word(2), word(3), word(4)];
+  if (word(5) !== FIELD_CHANNELS || word(6) !== FIELD_BYTES_PER_CHANNEL) {
+    throw new Error('Field data is not rgba16float');
+  }
+
+  const count = word(7);
+  const texelBytes = gridCellCount(dims) * FIELD_CHANNELS * FIELD_BYTES_PER_CHANNEL;
+  if (bytes.byteLength !== FIELD_HEADER_BYTES + count * texelBytes) {
+    throw new Error('Field data size does not match its header');
+  }
+
+  const textures = [];
+  for (let i = 0; i < count; i++) {
+    const start = bytes.byteOffset + FIELD_HEADER_BYTES + i * texelBytes;
+    // Copy so the Uint16Array is aligned regardless of where the entry sits in the ZIP
+    textures.push(new Uint16Array(bytes.buffer.slice(start, start + texelBytes)));
+  }
+  return { dims, currentIndex: word(8), textures };
+}
+
+/**
+ * Bundle a captured state into a ZIP blob
+ *
+ * @param {Object} state - From WebGPUSimulation3D.captureState()
+ * @returns {Blob}
+ */
+export function createStateZip(state) {
+  const { textures, ...meta } = state;
+  const json = JSON.stringify({ version: STATE_FORMAT_VERSION, ...meta }, null, 2);
+  return createZipFromFiles([
+    { name: 'state.json', data: new TextEncoder().encode(json) },
+    {
+      name: 'field.bin',
+      data: encodeFieldBinary({ dims: meta.gridDims, currentIndex: meta.currentIndex, textures }),
+    },
+  ]);
+}
+
+/**
+ * Parse a state ZIP back into the shape captureState() returns
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} State for WebGPUSimulation3D.restoreState()
+ */
+export function readStateZip(buffer) {
+  const files = new Map(readZipFiles(buffer).map((f) => [f.name, f.data]));
+  if (!files.has('state.json') || !files.has('field.bin')) {
+    throw new Error('State file must contain state.json and field.bin');
+  }
+  const { gridSize, ...meta } = JSON.parse(new TextDecoder().decode(files.get('state.json')));
+  const gridDims = toGridDims(meta.gridDims ?? gridSize);
+  const field = decodeFieldBinary(files.get('field.bin'));
+  if (!sameGridDims(field.dims, gridDims)) {
+    throw new Error(
+      `field.bin is ${formatGridDims(field.dims)} but state.json says ${formatGridDims(gridDims)}`,
+    );
+  }
+  return { ...meta, gridDims, currentIndex: field.currentIndex, textures: field.textures };
+}
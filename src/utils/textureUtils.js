@@ -4,27 +4,45 @@
  * Provides helpers for creating and seeding 3D textures used in the simulation.
  */
 
+import {
+  KERNEL_LUT_SIZE,
+  SEED_BURST_DENSITY,
+  TERRAIN_CHANNEL,
+  TERRAIN_INITIAL_HEIGHT,
+} from '../config/constants.js';
+import { createRng } from './random.js';
+import { encodeHalfArray } from './halfFloat.js';
+import { toGridDims, gridCellCount } from './gridDims.js';
+
+// GPUExtent3D of a grid size (cube edge or [nx, ny, nz])
+function textureExtent(size) {
+  const [width, height, depthOrArrayLayers] = toGridDims(size);
+  return { width, height, depthOrArrayLayers };
+}
+
 /**
  * Create a 3D field texture for the simulation
  *
  * @param {GPUDevice} device - WebGPU device
- * @param {number} size - Grid dimension (e.g., 32 for 32×32×32)
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz] (e.g., [128, 128, 32])
  * @param {string} [format='rgba16float'] - Texture format
  * @returns {GPUTexture} The created 3D texture
  *
  * @example
  * const texture = createFieldTexture(device, 32);
+ * const slab = createFieldTexture(device, [128, 128, 32]);
  */
 export function createFieldTexture(device, size, format = 'rgba16float') {
   const usage =
     GPUTextureUsage.TEXTURE_BINDING |
     GPUTextureUsage.STORAGE_BINDING |
     GPUTextureUsage.COPY_DST |
+    GPUTextureUsage.COPY_SRC | // state save reads the field back
     GPUTextureUsage.RENDER_ATTACHMENT;
 
   const descriptor = {
     dimension: '3d',
-    size: { width: size, height: size, depthOrArrayLayers: size },
+    size: textureExtent(size),
     format,
     usage,
   };
@@ -33,57 +51,149 @@ export function createFieldTexture(device, size, format = 'rgba16float') {
 }
 
 /**
- * Seed a 3D texture with random energy values
+ * Build the initial field for a run seed
  *
- * Initializes all cells in the texture with random energy between 0 and maxEnergy.
- * Uses rgba16float format with energy in the red channel.
+ * Fills the species channels of an rgba grid from a seeded PRNG, so the same
+ * seed always yields the same field: SEED_BURST_DENSITY of the cells start one
+ * species at full energy, the rest get low noise in [0, maxEnergy) for every
+ * species. With one species the draw sequence matches the single-channel seed.
+ * Terrain, when enabled, starts flat at TERRAIN_INITIAL_HEIGHT (no PRNG draws).
  *
- * @param {GPUDevice} device - WebGPU device
- * @param {GPUTexture} texture - Target texture to seed
- * @param {number} size - Grid dimension
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
  * @param {number} maxEnergy - Maximum initial energy value
+ * @param {number} seed - Run seed
+ * @param {number} [species=1] - Active species (channels r, g, b, a in order)
+ * @param {boolean} [terrain=false] - Fill the terrain channel
+ * @returns {Float32Array} rgba values, x fastest then y then z
  *
  * @example
- * const texture = createFieldTexture(device, 32);
- * seedTexture(device, texture, 32, 0.05);
+ * const data = createSeedData(32, 0.05, 1234);
  */
-export function seedTexture(device, texture, size, maxEnergy) {
-  const total = size * size * size * 4; // 4 components (rgba)
+export function createSeedData(size, maxEnergy, seed, species = 1, terrain = false) {
+  const total = gridCellCount(toGridDims(size)) * 4; // 4 components (rgba)
   const data = new Float32Array(total);
+  const rng = createRng(seed);
 
-  // Fill only the red channel with random energy
+  // Unused channels remain 0
   for (let i = 0; i < total; i += 4) {
-    data[i] = Math.random() * maxEnergy;
-    // data[i+1], data[i+2], data[i+3] remain 0
+    if (rng() < SEED_BURST_DENSITY) {
+      const s = species > 1 ? Math.floor(rng() * species) : 0;
+      data[i + s] = 1.0;
+    } else {
+      for (let s = 0; s < species; s++) data[i + s] = rng() * maxEnergy;
+    }
+    if (terrain) data[i + TERRAIN_CHANNEL] = TERRAIN_INITIAL_HEIGHT;
   }
+  return data;
+}
 
+/**
+ * Total energy per cell over the active species channels
+ *
+ * @param {Float32Array} data - rgba values, x fastest then y then z
+ * @param {number} [species=1] - Active species (channels summed in order)
+ * @returns {Float32Array} One value per cell
+ */
+export function sumSpeciesEnergy(data, species = 1) {
+  const out = new Float32Array(data.length / 4);
+  for (let i = 0; i < out.length; i++) {
+    let e = 0.0;
+    for (let s = 0; s < species; s++) e += data[i * 4 + s];
+    out[i] = e;
+  }
+  return out;
+}
+
+/**
+ * Upload rgba float data into a 3D rgba16float texture
+ *
+ * @param {GPUDevice} device - WebGPU device
+ * @param {GPUTexture} texture - Target texture
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @param {Float32Array} data - rgba values (converted to half floats)
+ */
+export function writeFieldTexture(device, texture, size, data) {
+  writeFieldTextureHalf(device, texture, size, encodeHalfArray(data));
+}
+
+/**
+ * Upload raw rgba16float texels into a 3D field texture
+ *
+ * @param {GPUDevice} device - WebGPU device
+ * @param {GPUTexture} texture - Target texture
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @param {Uint16Array} halfData - Half-float bits, 4 per cell
+ */
+export function writeFieldTextureHalf(device, texture, size, halfData) {
+  const extent = textureExtent(size);
   device.queue.writeTexture(
     { texture },
-    data,
-    {
-      bytesPerRow: size * 4 * 4, // size × 4 channels × 4 bytes per float
-      rowsPerImage: size,
-    },
+    halfData,
     {
-      width: size,
-      height: size,
-      depthOrArrayLayers: size,
+      bytesPerRow: extent.width * 4 * 2, // nx × 4 channels × 2 bytes per half
+      rowsPerImage: extent.height,
     },
+    extent,
   );
 }
 
+/**
+ * Seed a 3D texture with random energy values
+ *
+ * Initializes all cells in the texture from createSeedData.
+ * Uses rgba16float format with one species per channel.
+ *
+ * @param {GPUDevice} device - WebGPU device
+ * @param {GPUTexture} texture - Target texture to seed
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz]
+ * @param {number} maxEnergy - Maximum initial energy value
+ * @param {number} seed - Run seed
+ * @param {number} [species=1] - Active species
+ * @param {boolean} [terrain=false] - Fill the terrain channel
+ *
+ * @example
+ * const texture = createFieldTexture(device, 32);
+ * seedTexture(device, texture, 32, 0.05, 1234);
+ */
+export function seedTexture(device, texture, size, maxEnergy, seed, species = 1, terrain = false) {
+  writeFieldTexture(device, texture, size, createSeedData(size, maxEnergy, seed, species, terrain));
+}
+
 /**
  * Create a 3D reduction texture for hierarchical average computation
  *
  * @param {GPUDevice} device - WebGPU device
- * @param {number} size - Grid dimension
- * @returns {GPUTexture} The created reduction texture (r32float format)
+ * @param {number|number[]} size - Cube edge or [nx, ny, nz] of this level
+ * @returns {GPUTexture} The created reduction texture (rg32float: mean, mean²)
  */
 export function createReduceTexture(device, size) {
   return device.createTexture({
     dimension: '3d',
-    size: { width: size, height: size, depthOrArrayLayers: size },
-    format: 'r32float',
-    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.STORAGE_BINDING,
+    size: textureExtent(size),
+    format: 'rg32float',
+    usage:
+      GPUTextureUsage.TEXTURE_BINDING |
+      GPUTextureUsage.STORAGE_BINDING |
+      GPUTextureUsage.COPY_SRC, // last level is copied out for readback
   });
 }
+
+/**
+ * Build the kernel weight lookup table
+ *
+ * Pre-computes exp(-2*t*t) for t ∈ [0, 1] in the red channel (rgba32float layout).
+ * The compute shader indexes it with i32(t * (size - 1)); the CPU reference
+ * reads the same table so both paths see identical ring weights.
+ *
+ * @param {number} [size=KERNEL_LUT_SIZE] - Number of samples
+ * @returns {Float32Array} rgba values, 4 floats per sample
+ */
+export function createKernelWeightLUTData(size = KERNEL_LUT_SIZE) {
+  const data = new Float32Array(size * 4);
+  for (let i = 0; i < size; i++) {
+    const t = i / (size - 1); // Normalize to [0, 1]
+    data[i * 4] = Math.exp(-2.0 * t * t);
+    data[i * 4 + 3] = 1.0;
+  }
+  return data;
+}
@@ -0,0 +1,162 @@
+/**
+ * Volume Export
+ *
+ * Writes a scalar field (float32, x fastest then y then z, one sample per cell)
+ * in formats that ParaView, 3D Slicer and napari open directly:
+ *
+ * - NRRD (`.nrrd`) - text header + raw little-endian samples, one file
+ * - VTK image data (`.vti`) - XML with the samples appended raw, one file
+ * - Raw (`.bin` + `.json`) - bare samples plus a header describing shape and order
+ *   (`numpy.fromfile(bin, '<f4').reshape(json.shape)`)
+ *
+ * Samples sit on a unit-spaced lattice starting at the origin, so cell i is at
+ * i, as in mesh export.
+ */
+
+import { gridCellCount } from './gridDims.js';
+
+/**
+ * @typedef {Object} Volume
+ * @property {Float32Array} data - One value per cell, x fastest then y then z
+ * @property {number[]} gridDims - [nx, ny, nz]
+ * @property {string} name - Quantity name (e.g. 'energy')
+ * @property {number} step - Simulation step the field was read at
+ * @property {number} seed - Run seed
+ */
+
+function checkVolume({ data, gridDims }) {
+  if (data.length !== gridCellCount(gridDims)) {
+    throw new Error(`Volume has ${data.length} values, expected ${gridCellCount(gridDims)}`);
+  }
+}
+
+// Join Uint8Arrays into one
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.byteLength, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.byteLength;
+  }
+  return out;
+}
+
+// Typed arrays are little-endian on every platform WebGPU runs on, but say so explicitly
+function littleEndianFloats(data) {
+  const bytes = new DataView(new ArrayBuffer(data.length * 4));
+  data.forEach((value, i) => bytes.setFloat32(i * 4, value, true));
+  return new Uint8Array(bytes.buffer);
+}
+
+/**
+ * @param {Volume} volume
+ * @returns {Uint8Array} NRRD 4 file with the header and samples inline
+ */
+export function encodeNRRD(volume) {
+  checkVolume(volume);
+  const [nx, ny, nz] = volume.gridDims;
+  const header = [
+    'NRRD0004',
+    `# wigle-u-3d ${volume.name}, step ${volume.step}, seed ${volume.seed}`,
+    'type: float',
+    'dimension: 3',
+    `sizes: ${nx} ${ny} ${nz}`,
+    'space dimension: 3',
+    'space directions: (1,0,0) (0,1,0) (0,0,1)',
+    'space origin: (0,0,0)',
+    `content: ${volume.name}`,
+    'endian: little',
+    'encoding: raw',
+    '',
+    '',
+  ].join('\n');
+  return concatBytes([new TextEncoder().encode(header), littleEndianFloats(volume.data)]);
+}
+
+/**
+ * @param {Volume} volume
+ * @returns {Uint8Array} VTK XML ImageData with one point-data array, appended raw
+ */
+export function encodeVTI(volume) {
+  checkVolume(volume);
+  const [nx, ny, nz] = volume.gridDims;
+  const extent = `0 ${nx - 1} 0 ${ny - 1} 0 ${nz - 1}`;
+  const xml = [
+    '<?xml version="1.0"?>',
+    `<!-- wigle-u-3d ${volume.name}, step ${volume.step}, seed ${volume.seed} -->`,
+    '<VTKFile type="ImageData" version="1.0" byte_order="LittleEndian" header_type="UInt32">',
+    `  <ImageData WholeExtent="${extent}" Origin="0 0 0" Spacing="1 1 1">`,
+    `    <Piece Extent="${extent}">`,
+    `      <PointData Scalars="${volume.name}">`,
+    `        <DataArray type="Float32" Name="${volume.name}" format="appended" offset="0"/>`,
+    '      </PointData>',
+    '    </Piece>',
+    '  </ImageData>',
+    '  <AppendedData encoding="raw">',
+    '   _',
+  ].join('\n');
+  // Appended block: UInt32 byte count, then the samples
+  const size = new DataView(new ArrayBuffer(4));
+  size.setUint32(0, volume.data.length * 4, true);
+  const footer = '\n  </AppendedData>\n</VTKFile>\n';
+  return concatBytes([
+    new TextEncoder().encode(xml),
+    new Uint8Array(size.buffer),
+    littleEndianFloats(volume.data),
+    new TextEncoder().encode(footer),
+  ]);
+}
+
+/**
+ * @param {Volume} volume
+ * @param {Object} [extra] - Additional header fields (e.g. params)
+ * @returns {{data:Uint8Array, header:Object}} Raw samples and their JSON header
+ */
+export function encodeRawVolume(volume, extra = {}) {
+  checkVolume(volume);
+  const [nx, ny, nz] = volume.gridDims;
+  const header = {
+    name: volume.name,
+    dtype: 'float32',
+    endian: 'little',
+    gridDims: [nx, ny, nz],
+    // C order (last index fastest), as numpy reads it
+    shape: [nz, ny, nx],
+    spacing: [1, 1, 1],
+    step: volume.step,
+    seed: volume.seed,
+    ...extra,
+  };
+  return { data: littleEndianFloats(volume.data), header };
+}
+
+/**
+ * Encode a volume in one of VOLUME_FORMATS
+ *
+ * @param {Volume} volume
+ * @param {string} format - 'nrrd', 'vti' or 'raw'
+ * @param {Object} [extra] - Additional fields for the raw format's JSON header
+ * @returns {{name:string, blob:Blob}[]} Files to write, named `<name>_step<step>.<ext>`
+ */
+export function createVolumeFiles(volume, format, extra = {}) {
+  const base = `${volume.name}_step${volume.step}`;
+  const binary = 'application/octet-stream';
+  switch (format) {
+    case 'nrrd':
+      return [{ name: `${base}.nrrd`, blob: new Blob([encodeNRRD(volume)], { type: binary }) }];
+    case 'vti':
+      return [{ name: `${base}.vti`, blob: new Blob([encodeVTI(volume)], { type: 'application/xml' }) }];
+    case 'raw': {
+      const { data, header } = encodeRawVolume(volume, { dataFile: `${base}.bin`, ...extra });
+      return [
+        { name: `${base}.bin`, blob: new Blob([data], { type: binary }) },
+        {
+          name: `${base}.json`,
+          blob: new Blob([JSON.stringify(header, null, 2)], { type: 'application/json' }),
+        },
+      ];
+    }
+    default:
+      throw new Error(`Unknown volume format: ${format}`);
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Minimal WebM Muxer
+ *
+ * Packs encoded VP8/VP9 frames (WebCodecs EncodedVideoChunk data) into a
+ * single-track WebM file: EBML header, then a Segment with Info, Tracks, one
+ * Cluster per keyframe of SimpleBlocks, and Cues pointing at each Cluster so
+ * players can seek. Everything is held in memory and sized at finish().
+ *
+ * Timestamps are in milliseconds (TimestampScale 1 ms).
+ */
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimestampScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timestamp: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+};
+
+const TRACK_NUMBER = 1;
+const TRACK_TYPE_VIDEO = 1;
+// SimpleBlock times are int16 offsets from their Cluster's timestamp
+const MAX_CLUSTER_SPAN_MS = 0x7fff;
+
+/** WebCodecs codec string → Matroska CodecID */
+export const WEBM_CODEC_IDS = { vp8: 'V_VP8', vp9: 'V_VP9' };
+
+function idBytes(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return bytes;
+}
+
+// Element data size as an EBML variable-length integer (shortest form)
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Array(length);
+  let v = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  for (let v = value; v > 0 || bytes.length === 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  return bytes;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * @param {number} id - Element ID
+ * @param {Uint8Array|Uint8Array[]|number[]} data - Payload bytes or child elements
+ * @returns {Uint8Array}
+ */
+function element(id, data) {
+  const body = Array.isArray(data) && data[0] instanceof Uint8Array ? concat(data) : Uint8Array.from(data);
+  return concat([Uint8Array.from(idBytes(id)), Uint8Array.from(sizeBytes(body.length)), body]);
+}
+
+const uint = (id, value) => element(id, uintBytes(value));
+const text = (id, value) => element(id, new TextEncoder().encode(value));
+function float(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+export class WebMMuxer {
+  /**
+   * @param {Object} options
+   * @param {string} options.codec - 'vp8' or 'vp9'
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {number} options.frameRate - Frames per second (sets each frame's default duration)
+   * @param {string} [options.writingApp] - Application name stored in the file
+   */
+  constructor({ codec, width, height, frameRate, writingApp = 'wigle-u-3d' }) {
+    if (!WEBM_CODEC_IDS[codec]) throw new Error(`WebM muxer does not support codec "${codec}"`);
+    this.codecId = WEBM_CODEC_IDS[codec];
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.writingApp = writingApp;
+    // { timestamp, blocks: Uint8Array[] } in time order
+    this.clusters = [];
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * @param {Uint8Array} data - One encoded frame
+   * @param {number} timestampMs - Presentation time (non-decreasing)
+   * @param {boolean} keyFrame - Whether the frame decodes on its own
+   */
+  addFrame(data, timestampMs, keyFrame) {
+    const time = Math.round(timestampMs);
+    let cluster = this.clusters[this.clusters.length - 1];
+    if (!cluster && !keyFrame) throw new Error('A WebM stream must start with a keyframe');
+    // New cluster on every keyframe (so Cues can point at it) or when offsets would overflow
+    if (!cluster || keyFrame || time - cluster.timestamp > MAX_CLUSTER_SPAN_MS) {
+      cluster = { timestamp: time, blocks: [] };
+      this.clusters.push(cluster);
+    }
+    const header = new Uint8Array(4);
+    header[0] = 0x80 | TRACK_NUMBER; // track number as a 1-byte vint
+    new DataView(header.buffer).setInt16(1, time - cluster.timestamp);
+    header[3] = keyFrame ? 0x80 : 0x00;
+    cluster.blocks.push(element(ID.SimpleBlock, [header, data]));
+    this.lastTimestamp = time;
+  }
+
+  /** Frames added so far */
+  get frameCount() {
+    return this.clusters.reduce((n, c) => n + c.blocks.length, 0);
+  }
+
+  /**
+   * @returns {Blob} The complete WebM file
+   */
+  finish() {
+    const frameMs = 1000 / this.frameRate;
+    const info = element(ID.Info, [
+      uint(ID.TimestampScale, 1000000),
+      float(ID.Duration, this.frameCount > 0 ? this.lastTimestamp + frameMs : 0),
+      text(ID.MuxingApp, 'wigle-u-3d WebMMuxer'),
+      text(ID.WritingApp, this.writingApp),
+    ]);
+    const tracks = element(ID.Tracks, [
+      element(ID.TrackEntry, [
+        uint(ID.TrackNumber, TRACK_NUMBER),
+        uint(ID.TrackUID, TRACK_NUMBER),
+        uint(ID.TrackType, TRACK_TYPE_VIDEO),
+        uint(ID.FlagLacing, 0),
+        text(ID.CodecID, this.codecId),
+        uint(ID.DefaultDuration, Math.round(frameMs * 1e6)), // nanoseconds
+        element(ID.Video, [uint(ID.PixelWidth, this.width), uint(ID.PixelHeight, this.height)]),
+      ]),
+    ]);
+
+    // Cue positions are offsets from the start of the Segment's data
+    let position = info.length + tracks.length;
+    const cuePoints = [];
+    const clusters = this.clusters.map(({ timestamp, blocks }) => {
+      const cluster = element(ID.Cluster, [uint(ID.Timestamp, timestamp), ...blocks]);
+      cuePoints.push(
+        element(ID.CuePoint, [
+          uint(ID.CueTime, timestamp),
+          element(ID.CueTrackPositions, [uint(ID.CueTrack, TRACK_NUMBER), uint(ID.CueClusterPosition, position)]),
+        ]),
+      );
+      position += cluster.length;
+      return cluster;
+    });
+    const cues = cuePoints.length > 0 ? [element(ID.Cues, cuePoints)] : [];
+
+    const header = element(ID.EBML, [
+      uint(ID.EBMLVersion, 1),
+      uint(ID.EBMLReadVersion, 1),
+      uint(ID.EBMLMaxIDLength, 4),
+      uint(ID.EBMLMaxSizeLength, 8),
+      text(ID.DocType, 'webm'),
+      uint(ID.DocTypeVersion, 2),
+      uint(ID.DocTypeReadVersion, 2),
+    ]);
+    const segment = element(ID.Segment, [info, tracks, ...clusters, ...cues]);
+    return new Blob([header, segment], { type: 'video/webm' });
+  }
+}
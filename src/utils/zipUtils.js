@@ -1,5 +1,5 @@
 /**
- * Minimal ZIP (store-only) builder for bundling multiple files client-side.
+ * Minimal ZIP (store-only) builder and reader for bundling multiple files client-side.
  * Supports UTF-8 filenames, no compression.
  *
  * Each file: { name: string, data: Uint8Array, date?: Date }
@@ -120,3 +120,58 @@ export function createZipFromFiles(files) {
   const blobs = [...localFileHeaders, ...centralDirectory, endRecord];
   return new Blob(blobs, { type: 'application/zip' });
 }
+
+/**
+ * Read files from a store-only ZIP (as written by createZipFromFiles).
+ * Compressed entries are rejected rather than silently misread.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{name:string, data:Uint8Array}[]}
+ */
+export function readZipFiles(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const textDecoder = new TextDecoder();
+
+  // End of central directory record: last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a ZIP file (no end of central directory)');
+
+  const count = view.getUint16(end + 10, true);
+  let ptr = view.getUint32(end + 16, true);
+  const files = [];
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = view.getUint16(ptr + 10, true);
+    const crc = view.getUint32(ptr + 16, true);
+    const size = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const extraLen = view.getUint16(ptr + 30, true);
+    const commentLen = view.getUint16(ptr + 32, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = textDecoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+    if (method !== 0) {
+      throw new Error(`ZIP entry "${name}" is compressed; only stored entries are supported`);
+    }
+
+    const localNameLen = view.getUint16(localOffset + 26, true);
+    const localExtraLen = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLen + localExtraLen;
+    const data = bytes.subarray(start, start + size);
+    if (crc32(data) !== crc) {
+      throw new Error(`ZIP entry "${name}" failed CRC check`);
+    }
+    files.push({ name, data });
+
+    ptr += 46 + nameLen + extraLen + commentLen;
+  }
+  return files;
+}